@@ -0,0 +1,13 @@
+-- Durable processing queue
+-- Workers claim subscription_processing rows with FOR UPDATE SKIP LOCKED and
+-- hold them through a lease that is extended by heartbeats. Rows whose lease
+-- expires without reaching a terminal status are picked up again.
+
+ALTER TABLE subscription_processing
+  ADD COLUMN IF NOT EXISTS lease_owner TEXT,
+  ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_subscription_processing_claimable
+  ON subscription_processing (created_at)
+  WHERE status NOT IN ('completed', 'error');
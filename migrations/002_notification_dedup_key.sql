@@ -0,0 +1,11 @@
+-- Idempotent notification creation
+-- dedup_key is a hash of user, subscription and document, so re-running a
+-- subscription (or matching the same document for two prompts) never creates
+-- a second notification for the same document.
+
+ALTER TABLE notifications
+  ADD COLUMN IF NOT EXISTS dedup_key TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_dedup_key
+  ON notifications (dedup_key)
+  WHERE dedup_key IS NOT NULL;
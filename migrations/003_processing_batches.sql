@@ -0,0 +1,20 @@
+-- Asynchronous batch processing
+-- One row per process-all / batch run, updated as subscriptions finish so any
+-- instance can answer GET /api/subscriptions/batches/:id.
+
+CREATE TABLE IF NOT EXISTS processing_batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  status TEXT NOT NULL DEFAULT 'running',
+  total INTEGER NOT NULL DEFAULT 0,
+  processed INTEGER NOT NULL DEFAULT 0,
+  success_count INTEGER NOT NULL DEFAULT 0,
+  error_count INTEGER NOT NULL DEFAULT 0,
+  skipped_count INTEGER NOT NULL DEFAULT 0,
+  deferred_count INTEGER NOT NULL DEFAULT 0,
+  by_type JSONB NOT NULL DEFAULT '{}',
+  error TEXT,
+  trace_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
@@ -0,0 +1,13 @@
+-- Retry policy for failed processing runs
+-- Each claim counts as an attempt. A failed run is moved to 'failed' with
+-- next_run_at set by exponential backoff and claimed again once it is due;
+-- after the maximum number of attempts it is moved to the terminal 'dead' status.
+
+ALTER TABLE subscription_processing
+  ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+
+DROP INDEX IF EXISTS idx_subscription_processing_claimable;
+
+CREATE INDEX IF NOT EXISTS idx_subscription_processing_claimable
+  ON subscription_processing (created_at)
+  WHERE status NOT IN ('completed', 'error', 'dead');
@@ -0,0 +1,21 @@
+-- Dead letters for notification events that could not be published
+-- The notification row exists in Postgres but the notification worker never
+-- heard about it; the payload is kept here until it is replayed through
+-- POST /api/notifications/dead-letters/:id/replay.
+
+CREATE TABLE IF NOT EXISTS notification_dead_letters (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  notification_id UUID,
+  topic TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  error TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',
+  replay_attempts INTEGER NOT NULL DEFAULT 0,
+  message_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  replayed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_dead_letters_status
+  ON notification_dead_letters (status, created_at);
@@ -0,0 +1,23 @@
+-- Transactional outbox for notification events
+-- A notification and its outbox row are inserted in the same transaction; the
+-- outbox relay of any instance publishes pending rows and marks them sent.
+-- Rows of one user are published in id order, one at a time.
+
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id BIGSERIAL PRIMARY KEY,
+  notification_id UUID NOT NULL,
+  user_id UUID NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ,
+  message_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_pending
+  ON notification_outbox (user_id, id)
+  WHERE status = 'pending';
@@ -0,0 +1,11 @@
+-- Aggregated notification messages in the outbox
+-- In the 'run' delivery mode one outbox row announces all notifications of a
+-- processing run, so it has no single notification_id, and it is published to
+-- its own topic.
+
+ALTER TABLE notification_outbox
+  ALTER COLUMN notification_id DROP NOT NULL;
+
+ALTER TABLE notification_outbox
+  ADD COLUMN IF NOT EXISTS topic TEXT,
+  ADD COLUMN IF NOT EXISTS processing_id TEXT;
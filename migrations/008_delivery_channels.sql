@@ -0,0 +1,36 @@
+-- Delivery channels
+-- Outbox rows and dead letters name the channel that delivers them ('pubsub'
+-- or 'webhook') and, for webhooks, the destination URL. Every delivery attempt
+-- is recorded with its outcome and the response of the receiving endpoint.
+
+ALTER TABLE notification_outbox
+  ADD COLUMN IF NOT EXISTS channel TEXT NOT NULL DEFAULT 'pubsub',
+  ADD COLUMN IF NOT EXISTS destination JSONB;
+
+DROP INDEX IF EXISTS idx_notification_outbox_pending;
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_pending
+  ON notification_outbox (user_id, channel, id)
+  WHERE status = 'pending';
+
+ALTER TABLE notification_dead_letters
+  ADD COLUMN IF NOT EXISTS channel TEXT NOT NULL DEFAULT 'pubsub',
+  ADD COLUMN IF NOT EXISTS destination JSONB;
+
+CREATE TABLE IF NOT EXISTS notification_delivery_attempts (
+  id BIGSERIAL PRIMARY KEY,
+  outbox_id BIGINT,
+  dead_letter_id UUID,
+  notification_id UUID,
+  channel TEXT NOT NULL,
+  destination TEXT,
+  status TEXT NOT NULL,
+  response_status INTEGER,
+  response_body TEXT,
+  error TEXT,
+  duration_ms INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_delivery_attempts_outbox
+  ON notification_delivery_attempts (outbox_id);
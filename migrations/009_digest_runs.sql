@@ -0,0 +1,18 @@
+-- Daily email digests
+-- One row per user and digest date. The row and the digest's outbox row are
+-- inserted in the same transaction, and the unique key makes sure a user gets
+-- at most one digest per day, however often POST /api/digests/run is called.
+
+CREATE TABLE IF NOT EXISTS digest_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  digest_date DATE NOT NULL,
+  notification_count INTEGER NOT NULL DEFAULT 0,
+  subscription_count INTEGER NOT NULL DEFAULT 0,
+  outbox_id BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, digest_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_digest_runs_date
+  ON digest_runs (digest_date);
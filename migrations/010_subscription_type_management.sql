@@ -0,0 +1,12 @@
+-- Subscription type management
+-- Subscription types are managed through /api/subscription-types. A deactivated
+-- type keeps its subscriptions, but they are no longer processed. Names are
+-- unique regardless of case; rename any duplicates before running this.
+
+ALTER TABLE subscription_types
+  ADD COLUMN IF NOT EXISTS description TEXT,
+  ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subscription_types_name
+  ON subscription_types (LOWER(name));
@@ -0,0 +1,7 @@
+-- Parser protocol version per subscription type
+-- protocol_version is the version of the last response of the type's parser
+-- (see docs/parser-protocol.md); NULL until its first run after this migration.
+
+ALTER TABLE subscription_types
+  ADD COLUMN IF NOT EXISTS protocol_version TEXT,
+  ADD COLUMN IF NOT EXISTS protocol_negotiated_at TIMESTAMPTZ;
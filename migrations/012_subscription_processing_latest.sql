@@ -0,0 +1,6 @@
+-- Latest processing record of a subscription
+-- Pending subscriptions whose latest run is 'dead' are left out of batches until
+-- they are processed again on request; this index serves that lookup.
+
+CREATE INDEX IF NOT EXISTS idx_subscription_processing_subscription_created
+  ON subscription_processing (subscription_id, created_at DESC);
@@ -0,0 +1,10 @@
+-- Outbox head-of-line per destination
+-- The relay claims the oldest pending row of each user, channel and destination
+-- (the subscription a row belongs to, or its URL), so one failing webhook does
+-- not hold back the user's other subscriptions.
+
+DROP INDEX IF EXISTS idx_notification_outbox_pending;
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_pending
+  ON notification_outbox (user_id, channel, (COALESCE(destination->>'subscription_id', destination->>'url', '')), id)
+  WHERE status = 'pending';
@@ -2,9 +2,23 @@ const { PubSub } = require('@google-cloud/pubsub');
 
 const NOTIFICATION_TOPIC = process.env.NOTIFICATION_TOPIC || 'subscription-notifications';
 
+/**
+ * Publishes notification events for the notification worker.
+ * Events that cannot be published are stored in the dead-letter store, when one
+ * is configured, so they can be replayed later.
+ */
 class NotificationClient {
+    /**
+     * @param {Object} [config]
+     * @param {string} [config.projectId] - Google Cloud project of the topic
+     * @param {string} [config.topicName] - Notification topic
+     * @param {boolean} [config.enabled] - Set to false to disable publishing
+     * @param {Object} [config.deadLetterRepository] - Store for events whose publish failed
+     */
     constructor(config = {}) {
         this.pubsub = null;
+        this.deadLetterRepository = config.deadLetterRepository || null;
+        this.topics = new Map();
         this.notificationTopic = null;
         this.projectId = config.projectId || process.env.PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT;
         this.isEnabled = config.enabled !== false && !!this.projectId; // Enabled only if there's a projectId
@@ -58,6 +72,23 @@ class NotificationClient {
         }
     }
     
+    /**
+     * Publishes a notification event, throwing on failure instead of dead-lettering it.
+     * Used by callers that handle failures themselves (the outbox relay, dead-letter replays).
+     * @param {Object} notificationData - The notification data to publish.
+     * @param {Object} [options]
+     * @param {string} [options.topic] - Topic to publish to instead of the notification topic
+     * @returns {Promise<string>} The message ID.
+     */
+    async publishOrThrow(notificationData, { topic } = {}) {
+        if (this.isEnabled && this.notificationTopic) {
+            return this._sendToPubSub(notificationData, topic);
+        } else if (this.isDevelopment) {
+            return this._mockPublish(notificationData, topic);
+        }
+        throw new Error('Notification publishing is disabled');
+    }
+    
     /**
      * Alias for publish to maintain backward compatibility
      */
@@ -70,33 +101,82 @@ class NotificationClient {
      * @private
      */
     async _publishToPubSub(notificationData) {
-        const notificationId = notificationData.id || notificationData.notification_id || 'unknown';
-        const userId = notificationData.user_id || 'unknown';
-
-        console.debug('Publishing notification event to PubSub', { notification_id: notificationId });
-
         try {
-            const messageBuffer = Buffer.from(JSON.stringify(notificationData));
-            const messageId = await this.notificationTopic.publishMessage({ data: messageBuffer });
-            
-            console.info('Successfully published notification to PubSub', { message_id: messageId });
-            return messageId;
+            return await this._sendToPubSub(notificationData);
         } catch (error) {
             console.error('Failed to publish notification event to PubSub', { error: error.message });
+            await this._storeDeadLetter(notificationData, error);
             return null; 
         }
     }
     
+    /**
+     * Send a notification event to PubSub, throwing on failure
+     * @private
+     */
+    async _sendToPubSub(notificationData, topicName) {
+        const notificationId = notificationData.id || notificationData.notification_id || 'unknown';
+        const topic = this._getTopic(topicName);
+
+        console.debug('Publishing notification event to PubSub', { notification_id: notificationId, topic: topic.name });
+
+        const messageBuffer = Buffer.from(JSON.stringify(notificationData));
+        const messageId = await topic.publishMessage({ data: messageBuffer });
+        
+        console.info('Successfully published notification to PubSub', { message_id: messageId });
+        return messageId;
+    }
+    
+    /**
+     * PubSub topic by name, defaulting to the notification topic
+     * @private
+     */
+    _getTopic(topicName) {
+        if (!topicName || topicName === this.topicName) {
+            return this.notificationTopic;
+        }
+        if (!this.topics.has(topicName)) {
+            this.topics.set(topicName, this.pubsub.topic(topicName));
+        }
+        return this.topics.get(topicName);
+    }
+    
+    /**
+     * Keep an event whose publish failed so it can be replayed
+     * @private
+     */
+    async _storeDeadLetter(notificationData, error) {
+        if (!this.deadLetterRepository) {
+            return;
+        }
+        try {
+            await this.deadLetterRepository.create({
+                notificationId: notificationData.id || notificationData.notification_id,
+                topic: this.topicName,
+                payload: notificationData,
+                error: error.message
+            });
+        } catch (storeError) {
+            // Nothing left to fall back to: the event is only in the logs now
+            console.error('Failed to store notification dead letter', {
+                notification_id: notificationData.id || notificationData.notification_id || 'unknown',
+                error: storeError.message,
+                payload: notificationData
+            });
+        }
+    }
+    
     /**
      * Mock implementation for development/testing
      * @private
      */
-    async _mockPublish(notificationData) {
+    async _mockPublish(notificationData, topicName) {
         const notificationId = notificationData.id || notificationData.notification_id || 'unknown';
         const userId = notificationData.user_id || 'unknown';
         const mockMessageId = `mock-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
         
         console.info('MOCK: Publishing notification event', { 
+            topic: topicName || this.topicName,
             notification_id: notificationId,
             user_id: userId,
             message_id: mockMessageId,
@@ -0,0 +1,449 @@
+const axios = require('axios');
+const { ParserClient, PARSER_UNAVAILABLE_FAILURES } = require('../utils/parser-protocol');
+const { CircuitBreaker } = require('../utils/circuit-breaker');
+const { resolveParserAdapter } = require('../utils/parser/adapters');
+const { normalizeCapabilities, unknownCapabilities } = require('../utils/parser/capabilities');
+const {
+    PROTOCOL_VERSION_HEADER,
+    LATEST_PROTOCOL_VERSION,
+    requestProtocolVersion
+} = require('../utils/parser/protocol-versions');
+const { getSecret } = require('../config/secrets');
+
+// Constants for parser configuration
+const PARSER_API_KEY_SECRET_NAME = 'PARSER_API_KEY';
+const IDLE_TIMEOUT_MS = parseInt(process.env.PARSER_CLIENT_IDLE_TIMEOUT_MS, 10) || 300000; // 5 minutes
+const SWEEP_INTERVAL_MS = 60000; // 1 minute
+const CONNECTIVITY_TIMEOUT_MS = parseInt(process.env.PARSER_CONNECTIVITY_TIMEOUT_MS, 10) || 5000; // 5 seconds
+const CAPABILITIES_TTL_MS = parseInt(process.env.PARSER_CAPABILITIES_TTL_MS, 10) || 3600000; // 1 hour
+// Parsers that did not describe themselves are asked again sooner
+const CAPABILITIES_RETRY_MS = parseInt(process.env.PARSER_CAPABILITIES_RETRY_MS, 10) || 300000; // 5 minutes
+
+/**
+ * Pool of parser clients keyed by parser URL.
+ * Each parser gets its own client with its own keep-alive agents, API key and
+ * retry settings, so subscriptions of different types can be processed at the
+ * same time without reconfiguring a shared client. Clients that have not been
+ * used for a while are closed.
+ *
+ * Every parser URL also has a circuit breaker: after repeated failures requests
+ * to that parser are rejected with a CircuitOpenError until a probe succeeds. Only
+ * failures saying the parser is unavailable count (transport errors, timeouts, 5xx and
+ * 429); a 4xx or a response rejected by its schema means the parser did answer.
+ *
+ * The capabilities each parser reports at GET /api/capabilities are cached per
+ * parser URL as well (see utils/parser/capabilities). Requests ask for the protocol
+ * version the parser reports, and the pool counts per parser URL the responses
+ * that did not pass the schema of their protocol version, so protocol drift shows
+ * up in /api/parsers/status.
+ */
+class ParserClientPool {
+    /**
+     * @param {Object} [config]
+     * @param {string} [config.parserApiKey] - API key; fetched from Secret Manager when missing
+     * @param {number} [config.idleTimeoutMs] - Time after which an unused client is closed
+     * @param {Object} [config.breaker] - Circuit breaker options (failureThreshold, resetTimeoutMs)
+     */
+    constructor(config = {}) {
+        this.parserApiKey = config.parserApiKey;
+        this.idleTimeoutMs = config.idleTimeoutMs || IDLE_TIMEOUT_MS;
+        this.breakerOptions = config.breaker || {};
+        this.clients = new Map();
+        // Kept when idle clients are evicted, so an open breaker survives eviction
+        this.breakers = new Map();
+        // parser URL -> { capabilities, expiresAt } or { promise } while being fetched
+        this.capabilities = new Map();
+        // parser URL -> protocol version of its last response and schema fallback counts
+        this.protocolStats = new Map();
+        this.sweepTimer = null;
+        this.isInitialized = false;
+    }
+
+    /**
+     * Fetches the parser API key if necessary and starts evicting idle clients.
+     */
+    async initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        // Fetch API key only if not provided during construction
+        if (!this.parserApiKey) {
+            try {
+                this.parserApiKey = await getSecret(PARSER_API_KEY_SECRET_NAME);
+                console.info('Parser API key retrieved successfully.');
+            } catch (error) {
+                console.warn(`Failed to retrieve parser API key (${PARSER_API_KEY_SECRET_NAME})`, { error: error.message });
+                this.parserApiKey = null;
+            }
+        }
+
+        this.sweepTimer = setInterval(() => this._evictIdleClients(), SWEEP_INTERVAL_MS);
+        this.sweepTimer.unref();
+        this.isInitialized = true;
+
+        console.info('Parser client pool initialized', {
+            idle_timeout_ms: this.idleTimeoutMs,
+            api_key_present: !!this.parserApiKey
+        });
+    }
+
+    /**
+     * Sends a request to a parser using that parser's client.
+     * @param {string} parserUrl - Base URL of the parser service
+     * @param {Object} requestData - The request body
+     * @param {Object} [options]
+     * @param {Object} [options.adapter] - Parser adapter to use (see utils/parser/adapters)
+     * @param {Object} [options.typeMetadata] - subscription_types.metadata with optional
+     *   parser_max_retries and parser_timeout_ms, applied when the client is created
+     * @returns {Promise<Object>} Normalized parser response
+     * @throws {CircuitOpenError} When the parser's circuit breaker is open
+     */
+    async send(parserUrl, requestData, options = {}) {
+        const { adapter, typeMetadata } = options;
+        if (!parserUrl) {
+            throw new Error('ParserClientPool: parser URL is required');
+        }
+        const breaker = this._getBreaker(parserUrl);
+        const { probe } = breaker.acquire();
+        const entry = this._acquire(parserUrl, typeMetadata);
+        try {
+            // A half-open probe only checks whether the parser is back, so it is not retried
+            const result = await entry.client.send(requestData, {
+                adapter,
+                protocolVersion: requestProtocolVersion(this.capabilities.get(parserUrl)?.capabilities?.protocol_version),
+                ...(probe && { maxRetries: 0 })
+            });
+            this._recordProtocol(parserUrl, result);
+            if (result.status === 'error' && PARSER_UNAVAILABLE_FAILURES.has(result.failure_class)) {
+                breaker.recordFailure(result.error);
+            } else {
+                breaker.recordSuccess();
+            }
+            return result;
+        } catch (error) {
+            breaker.recordFailure(error.message);
+            throw error;
+        } finally {
+            entry.inFlight--;
+            entry.lastUsedAt = Date.now();
+            if (entry.retired && entry.inFlight === 0) {
+                entry.client.close();
+            }
+        }
+    }
+
+    /**
+     * Throws a CircuitOpenError if requests to a parser are currently rejected.
+     * Lets callers fail fast before doing any work for the request.
+     * @param {string} parserUrl - Base URL of the parser service
+     */
+    assertAvailable(parserUrl) {
+        this._getBreaker(parserUrl).assertAvailable();
+    }
+
+    /**
+     * Checks whether a parser answers: sends GET {parserUrl}/health with the auth headers of
+     * the parser's adapter. The circuit breaker is neither consulted nor updated, so a parser
+     * can be checked while its breaker is open.
+     * @param {string} parserUrl - Base URL of the parser service
+     * @param {Object} [options]
+     * @param {Object} [options.typeMetadata] - subscription_types.metadata, naming the adapter
+     * @param {number} [options.timeoutMs] - Time to wait for the answer
+     * @returns {Promise<Object>} { reachable, healthy, status_code, latency_ms, error }; reachable
+     *   when the parser answered at all, healthy when it answered with a 2xx status
+     */
+    async checkConnectivity(parserUrl, { typeMetadata, timeoutMs = CONNECTIVITY_TIMEOUT_MS } = {}) {
+        const adapter = resolveParserAdapter(typeMetadata);
+        const startedAt = Date.now();
+        try {
+            const response = await axios.get(`${parserUrl.replace(/\/+$/, '')}/health`, {
+                headers: adapter.buildHeaders(this.parserApiKey),
+                timeout: timeoutMs,
+                // Any HTTP answer shows the parser is reachable
+                validateStatus: () => true
+            });
+            return {
+                reachable: true,
+                healthy: response.status >= 200 && response.status < 300,
+                status_code: response.status,
+                latency_ms: Date.now() - startedAt,
+                error: null
+            };
+        } catch (error) {
+            return {
+                reachable: false,
+                healthy: false,
+                status_code: null,
+                latency_ms: Date.now() - startedAt,
+                error: error.code || error.message
+            };
+        }
+    }
+
+    /**
+     * Returns the capabilities of a parser, asking it (GET {parserUrl}/api/capabilities) when
+     * they are not cached. Concurrent callers share one request. Like the connectivity check,
+     * the handshake bypasses the circuit breaker, and a parser that does not answer it is not
+     * an error: its capabilities are unknown (available: false) until it is asked again.
+     * @param {string} parserUrl - Base URL of the parser service
+     * @param {Object} [options]
+     * @param {Object} [options.typeMetadata] - subscription_types.metadata, naming the adapter
+     * @param {boolean} [options.refresh=false] - Ask the parser even if the capabilities are cached
+     * @returns {Promise<Object>} Normalized capabilities, see utils/parser/capabilities
+     */
+    async getCapabilities(parserUrl, { typeMetadata, refresh = false } = {}) {
+        const cached = this.capabilities.get(parserUrl);
+        if (cached?.promise) {
+            return cached.promise;
+        }
+        if (cached && !refresh && cached.expiresAt > Date.now()) {
+            return cached.capabilities;
+        }
+
+        const promise = this._fetchCapabilities(parserUrl, typeMetadata).then(capabilities => {
+            // Not cached when the parser was invalidated while it was being asked
+            if (this.capabilities.get(parserUrl)?.promise === promise) {
+                const ttlMs = capabilities.available ? CAPABILITIES_TTL_MS : CAPABILITIES_RETRY_MS;
+                this.capabilities.set(parserUrl, { capabilities, expiresAt: Date.now() + ttlMs });
+            }
+            return capabilities;
+        });
+        this.capabilities.set(parserUrl, { promise });
+        return promise;
+    }
+
+    /**
+     * Drops the client and the cached capabilities of a parser, e.g. after its subscription
+     * type changed, so the next request creates a client with the type's current settings and
+     * asks the parser again. A capabilities request in flight is not cached when it returns,
+     * and a client with requests in flight is closed once they finish.
+     * @param {string} parserUrl - Base URL of the parser service
+     */
+    invalidate(parserUrl) {
+        this.capabilities.delete(parserUrl);
+        const entry = this.clients.get(parserUrl);
+        if (entry) {
+            this.clients.delete(parserUrl);
+            entry.retired = true;
+            if (entry.inFlight === 0) {
+                entry.client.close();
+            }
+        }
+        console.info('Invalidated parser client', { parser_url: parserUrl, pool_size: this.clients.size });
+    }
+
+    /**
+     * Cached capabilities of every parser URL asked so far
+     * @returns {Array<Object>}
+     */
+    getCapabilityStates() {
+        return Array.from(this.capabilities.entries())
+            .filter(([, cached]) => cached.capabilities)
+            .map(([parserUrl, cached]) => ({
+                parser_url: parserUrl,
+                ...cached.capabilities,
+                expires_at: new Date(cached.expiresAt).toISOString()
+            }));
+    }
+
+    /**
+     * Circuit breaker state of every parser URL seen so far
+     * @returns {Array<Object>}
+     */
+    getBreakerStates() {
+        return Array.from(this.breakers.entries()).map(([parserUrl, breaker]) => ({
+            parser_url: parserUrl,
+            ...breaker.getState()
+        }));
+    }
+
+    /**
+     * Protocol version of the last response of every parser URL, with the number of
+     * responses normalized without passing their schema (schema_fallbacks) and rejected in
+     * strict mode (schema_rejections), by reason.
+     * @returns {Array<Object>}
+     */
+    getProtocolStates() {
+        return Array.from(this.protocolStats.entries()).map(([parserUrl, stats]) => ({
+            parser_url: parserUrl,
+            ...stats,
+            schema_fallbacks: { ...stats.schema_fallbacks },
+            schema_rejections: { ...stats.schema_rejections }
+        }));
+    }
+
+    /**
+     * Pool statistics for status endpoints
+     * @returns {Object} One entry per parser URL
+     */
+    getStats() {
+        return Array.from(this.clients.entries()).map(([parserUrl, entry]) => ({
+            parser_url: parserUrl,
+            in_flight: entry.inFlight,
+            max_retries: entry.client.maxRetries,
+            timeout_ms: entry.client.timeoutMs,
+            last_used_at: new Date(entry.lastUsedAt).toISOString()
+        }));
+    }
+
+    /**
+     * Closes all clients and stops evicting.
+     */
+    close() {
+        clearInterval(this.sweepTimer);
+        this.sweepTimer = null;
+        for (const entry of this.clients.values()) {
+            entry.client.close();
+        }
+        this.clients.clear();
+        this.capabilities.clear();
+        this.isInitialized = false;
+    }
+
+    /**
+     * Returns the circuit breaker of a parser URL, creating it on first use.
+     * @private
+     */
+    _getBreaker(parserUrl) {
+        let breaker = this.breakers.get(parserUrl);
+        if (!breaker) {
+            breaker = new CircuitBreaker(parserUrl, this.breakerOptions);
+            this.breakers.set(parserUrl, breaker);
+        }
+        return breaker;
+    }
+
+    /**
+     * Returns the pool entry of a parser URL, creating its client on first use.
+     * @private
+     */
+    _acquire(parserUrl, typeMetadata = {}) {
+        let entry = this.clients.get(parserUrl);
+        if (!entry) {
+            const maxRetries = parseInt(typeMetadata?.parser_max_retries, 10);
+            const client = new ParserClient({
+                baseURL: parserUrl,
+                apiKey: this.parserApiKey,
+                type: typeMetadata?.parser_adapter || 'standard',
+                maxRetries: Number.isNaN(maxRetries) ? undefined : maxRetries,
+                timeoutMs: parseInt(typeMetadata?.parser_timeout_ms, 10) || undefined,
+                strictProtocol: typeof typeMetadata?.parser_protocol_strict === 'boolean'
+                    ? typeMetadata.parser_protocol_strict
+                    : undefined
+            });
+            entry = { client, inFlight: 0, lastUsedAt: Date.now() };
+            this.clients.set(parserUrl, entry);
+
+            console.info('Created parser client', {
+                parser_url: parserUrl,
+                max_retries: client.maxRetries,
+                timeout_ms: client.timeoutMs,
+                strict_protocol: client.strictProtocol,
+                pool_size: this.clients.size
+            });
+        }
+
+        entry.inFlight++;
+        entry.lastUsedAt = Date.now();
+        return entry;
+    }
+
+    /**
+     * Records the protocol version of a parser response and counts schema fallbacks.
+     * @private
+     */
+    _recordProtocol(parserUrl, result) {
+        if (!result?.protocol_version) {
+            return;
+        }
+        let stats = this.protocolStats.get(parserUrl);
+        if (!stats) {
+            stats = {
+                protocol_version: null,
+                last_response_at: null,
+                schema_fallbacks: {},
+                schema_rejections: {},
+                last_fallback_at: null
+            };
+            this.protocolStats.set(parserUrl, stats);
+        }
+        stats.protocol_version = result.protocol_version;
+        stats.last_response_at = new Date().toISOString();
+
+        const fallback = result.schema_fallback || result.schema_rejected;
+        if (fallback) {
+            const counts = result.schema_rejected ? stats.schema_rejections : stats.schema_fallbacks;
+            counts[fallback] = (counts[fallback] || 0) + 1;
+            stats.last_fallback_at = stats.last_response_at;
+            console.warn('Parser response did not match its protocol schema', {
+                parser_url: parserUrl,
+                protocol_version: result.protocol_version,
+                reason: fallback,
+                rejected: !!result.schema_rejected,
+                count: counts[fallback]
+            });
+        }
+    }
+
+    /**
+     * Asks a parser for its capabilities; never throws.
+     * @private
+     */
+    async _fetchCapabilities(parserUrl, typeMetadata) {
+        try {
+            const adapter = resolveParserAdapter(typeMetadata);
+            const response = await axios.get(`${parserUrl.replace(/\/+$/, '')}${adapter.capabilitiesEndpoint}`, {
+                headers: {
+                    [PROTOCOL_VERSION_HEADER]: LATEST_PROTOCOL_VERSION,
+                    ...adapter.buildHeaders(this.parserApiKey)
+                },
+                timeout: CONNECTIVITY_TIMEOUT_MS,
+                validateStatus: () => true
+            });
+            if (response.status < 200 || response.status >= 300) {
+                console.info('Parser did not report its capabilities', { parser_url: parserUrl, status_code: response.status });
+                return unknownCapabilities(`Capabilities request answered with HTTP ${response.status}`);
+            }
+
+            const capabilities = normalizeCapabilities(response.data);
+            if (capabilities.available) {
+                console.info('Fetched parser capabilities', {
+                    parser_url: parserUrl,
+                    protocol_version: capabilities.protocol_version,
+                    protocol_supported: capabilities.protocol_supported,
+                    max_prompts_per_request: capabilities.max_prompts_per_request,
+                    date_range: capabilities.date_range,
+                    sections: capabilities.sections.length
+                });
+            } else {
+                console.warn('Parser reported invalid capabilities', { parser_url: parserUrl, error: capabilities.error });
+            }
+            return capabilities;
+        } catch (error) {
+            console.warn('Failed to fetch parser capabilities', { parser_url: parserUrl, error: error.code || error.message });
+            return unknownCapabilities(error.code || error.message);
+        }
+    }
+
+    /**
+     * Closes clients without in-flight requests that have been idle longer than the idle timeout.
+     * @private
+     */
+    _evictIdleClients() {
+        const now = Date.now();
+        for (const [parserUrl, entry] of this.clients.entries()) {
+            if (entry.inFlight === 0 && now - entry.lastUsedAt > this.idleTimeoutMs) {
+                entry.client.close();
+                this.clients.delete(parserUrl);
+                console.info('Evicted idle parser client', {
+                    parser_url: parserUrl,
+                    idle_ms: now - entry.lastUsedAt,
+                    pool_size: this.clients.size
+                });
+            }
+        }
+    }
+}
+
+module.exports = ParserClientPool;
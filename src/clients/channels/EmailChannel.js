@@ -0,0 +1,36 @@
+const { publishEmailMessage } = require('../../config/pubsub');
+
+/**
+ * Email delivery channel
+ * Publishes one message per notification to the email service's topic of the user's
+ * frequency (see config/pubsub). Without a Pub/Sub project the messages are written
+ * to a local file sink instead.
+ */
+class EmailChannel {
+    constructor() {
+        this.name = 'email';
+    }
+
+    /**
+     * Human readable destination of a delivery, for logs and delivery attempts
+     * @param {Object} delivery - Outbox row or dead letter
+     * @returns {string|null}
+     */
+    describeDestination(delivery) {
+        const { email, frequency } = delivery.destination || {};
+        return email ? `${email} (${frequency || 'immediate'})` : null;
+    }
+
+    /**
+     * Publish an email message
+     * @param {Object} delivery - Outbox row or dead letter with the email message as payload
+     *   and the frequency in its destination
+     * @returns {Promise<{ messageId: string }>}
+     */
+    async deliver(delivery) {
+        const messageId = await publishEmailMessage(delivery.payload, delivery.destination?.frequency);
+        return { messageId };
+    }
+}
+
+module.exports = EmailChannel;
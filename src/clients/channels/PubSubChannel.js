@@ -0,0 +1,38 @@
+/**
+ * Pub/Sub delivery channel
+ * Publishes outbox messages through the NotificationClient, to the row's topic
+ * or the notification topic.
+ */
+class PubSubChannel {
+    /**
+     * @param {Object} notificationClient - NotificationClient used to publish
+     */
+    constructor(notificationClient) {
+        if (!notificationClient) {
+            throw new Error('PubSubChannel requires a NotificationClient');
+        }
+        this.name = 'pubsub';
+        this.notificationClient = notificationClient;
+    }
+
+    /**
+     * Human readable destination of a delivery, for logs and delivery attempts
+     * @param {Object} delivery - Outbox row or dead letter
+     * @returns {string}
+     */
+    describeDestination(delivery) {
+        return delivery.topic || this.notificationClient.topicName;
+    }
+
+    /**
+     * Publish a message
+     * @param {Object} delivery - Outbox row or dead letter with payload and optional topic
+     * @returns {Promise<{ messageId: string }>}
+     */
+    async deliver(delivery) {
+        const messageId = await this.notificationClient.publishOrThrow(delivery.payload, { topic: delivery.topic });
+        return { messageId };
+    }
+}
+
+module.exports = PubSubChannel;
@@ -0,0 +1,127 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { validateWebhookUrl, webhookAgent } = require('../../utils/webhook-url');
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000; // 10 seconds
+const MAX_RECORDED_BODY_LENGTH = 2000;
+const SIGNATURE_HEADER = 'X-Nifya-Signature';
+const TIMESTAMP_HEADER = 'X-Nifya-Timestamp';
+const DELIVERY_HEADER = 'X-Nifya-Delivery';
+
+/**
+ * Error of a webhook delivery, carrying the endpoint's response when there was one
+ */
+class WebhookDeliveryError extends Error {
+    constructor(message, { responseStatus = null, responseBody = null } = {}) {
+        super(message);
+        this.name = 'WebhookDeliveryError';
+        this.responseStatus = responseStatus;
+        this.responseBody = responseBody;
+    }
+}
+
+/**
+ * Sign a webhook body.
+ * The signature is the hex HMAC-SHA256 of `<timestamp>.<body>` with the webhook secret,
+ * sent as `X-Nifya-Signature: sha256=<signature>` next to `X-Nifya-Timestamp`.
+ * @param {string} secret - Webhook secret
+ * @param {string} timestamp - Unix time in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} Signature header value
+ */
+function signWebhookBody(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * HTTP webhook delivery channel
+ * POSTs outbox messages as JSON to the webhook configured for the subscription
+ * (subscriptions.metadata.webhook) or its user (users.metadata.webhook). The URL
+ * and secret are looked up at delivery time, so rotated secrets apply to retries.
+ * Only https URLs outside the worker's network are delivered to (see utils/webhook-url),
+ * also when their host name resolves to another address at delivery time.
+ */
+class WebhookChannel {
+    /**
+     * @param {Object} subscriptionRepository - Provides findWebhookConfig
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Request timeout
+     */
+    constructor(subscriptionRepository, { timeoutMs } = {}) {
+        if (!subscriptionRepository) {
+            throw new Error('WebhookChannel requires a SubscriptionRepository');
+        }
+        this.name = 'webhook';
+        this.subscriptionRepository = subscriptionRepository;
+        this.timeoutMs = timeoutMs || WEBHOOK_TIMEOUT_MS;
+    }
+
+    /**
+     * Human readable destination of a delivery, for logs and delivery attempts
+     * @param {Object} delivery - Outbox row or dead letter
+     * @returns {string|null}
+     */
+    describeDestination(delivery) {
+        return delivery.destination?.url || null;
+    }
+
+    /**
+     * POST a message to the webhook
+     * @param {Object} delivery - Outbox row or dead letter with payload and destination
+     * @returns {Promise<{ responseStatus: number, responseBody: string }>}
+     * @throws {WebhookDeliveryError} When the webhook is gone, not allowed, unreachable or answers with a non-2xx status
+     */
+    async deliver(delivery) {
+        const subscriptionId = delivery.destination?.subscription_id || delivery.payload?.subscription_id
+            || delivery.payload?.request?.subscription_id;
+        const config = await this.subscriptionRepository.findWebhookConfig(subscriptionId);
+        if (!config) {
+            throw new WebhookDeliveryError(`No webhook configured for subscription ${subscriptionId}`);
+        }
+        const urlError = validateWebhookUrl(config.url);
+        if (urlError) {
+            throw new WebhookDeliveryError(urlError);
+        }
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        let response;
+        try {
+            response = await axios.post(config.url, body, {
+                timeout: this.timeoutMs,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'NIFYA-Subscription-Worker/1.0',
+                    [SIGNATURE_HEADER]: signWebhookBody(config.secret, timestamp, body),
+                    [TIMESTAMP_HEADER]: timestamp,
+                    [DELIVERY_HEADER]: String(delivery.id)
+                },
+                // Every status is recorded; non-2xx is turned into an error below
+                validateStatus: () => true,
+                transformResponse: data => data,
+                maxRedirects: 0,
+                // Resolves the host name itself and refuses blocked addresses
+                httpsAgent: webhookAgent,
+                proxy: false
+            });
+        } catch (error) {
+            throw new WebhookDeliveryError(`Webhook request failed: ${error.message}`);
+        }
+
+        const responseBody = typeof response.data === 'string'
+            ? response.data.substring(0, MAX_RECORDED_BODY_LENGTH)
+            : null;
+        if (response.status < 200 || response.status >= 300) {
+            throw new WebhookDeliveryError(`Webhook responded with status ${response.status}`, {
+                responseStatus: response.status,
+                responseBody
+            });
+        }
+        return { responseStatus: response.status, responseBody };
+    }
+}
+
+module.exports = WebhookChannel;
+module.exports.WebhookDeliveryError = WebhookDeliveryError;
+module.exports.signWebhookBody = signWebhookBody;
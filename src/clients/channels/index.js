@@ -0,0 +1,58 @@
+/**
+ * Delivery channels
+ * A channel delivers outbox messages to one kind of destination. Outbox rows
+ * and dead letters name their channel; the outbox relay and dead-letter
+ * replays look it up here.
+ *
+ * A channel has a unique `name`, `deliver(delivery)` that resolves with
+ * `{ messageId?, responseStatus?, responseBody? }` or throws, and
+ * `describeDestination(delivery)` for logs.
+ */
+
+const PubSubChannel = require('./PubSubChannel');
+const WebhookChannel = require('./WebhookChannel');
+const EmailChannel = require('./EmailChannel');
+
+const DEFAULT_CHANNEL = 'pubsub';
+
+/**
+ * Create the delivery channels of the worker
+ * @param {Object} dependencies
+ * @param {Object} dependencies.notificationClient - NotificationClient for the Pub/Sub channel
+ * @param {Object} dependencies.subscriptionRepository - Webhook configuration lookup
+ * @returns {Map<string, Object>} Channels by name
+ */
+function createDeliveryChannels({ notificationClient, subscriptionRepository }) {
+  const channels = new Map();
+  for (const channel of [
+    new PubSubChannel(notificationClient),
+    new WebhookChannel(subscriptionRepository),
+    new EmailChannel()
+  ]) {
+    channels.set(channel.name, channel);
+  }
+  return channels;
+}
+
+/**
+ * Get a channel by name
+ * @param {Map<string, Object>} channels - Channels created by createDeliveryChannels
+ * @param {string} [name='pubsub'] - Channel name
+ * @returns {Object} The channel
+ */
+function getDeliveryChannel(channels, name = DEFAULT_CHANNEL) {
+  const channel = channels.get(name || DEFAULT_CHANNEL);
+  if (!channel) {
+    throw new Error(`Unknown delivery channel: ${name}`);
+  }
+  return channel;
+}
+
+module.exports = {
+  PubSubChannel,
+  WebhookChannel,
+  EmailChannel,
+  DEFAULT_CHANNEL,
+  createDeliveryChannels,
+  getDeliveryChannel
+};
@@ -1,5 +1,9 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { PubSub } = require('@google-cloud/pubsub');
 const { getSecret } = require('./secrets');
+const { buildNotificationMessage } = require('../utils/notification-message');
 
 // Check if running in development mode
 const isDevelopment = process.env.NODE_ENV === 'development' || !process.env.NODE_ENV;
@@ -10,11 +14,25 @@ if (!isDevelopment) {
   pubsub = new PubSub();
 }
 
+// Topic receiving aggregated processing results (one message per run)
+const PROCESSOR_RESULTS_TOPIC = process.env.PUBSUB_TOPIC_NAME || 'processor-results';
+
+// Email topics by frequency: the secret holding the topic name, and the name used when
+// neither the environment variable nor the secret provides one
+const EMAIL_TOPICS = {
+  immediate: { secretName: 'EMAIL_IMMEDIATE_TOPIC_NAME', defaultName: 'email-notifications-immediate' },
+  daily: { secretName: 'EMAIL_DAILY_TOPIC_NAME', defaultName: 'email-notifications-daily' }
+};
+const EMAIL_FREQUENCIES = Object.keys(EMAIL_TOPICS);
+
+// Email messages are appended here when no Pub/Sub project is configured
+const EMAIL_SINK_FILE = process.env.EMAIL_SINK_FILE || path.join(os.tmpdir(), 'nifya-email-notifications.jsonl');
+
 // Topic names (will be loaded from environment or secrets)
-let emailImmediateTopic;
-let emailDailyTopic;
 let notificationTopic;
 let dlqTopic;
+const emailTopicNames = new Map();
+let emailPubSub = null;
 
 /**
  * Initialize PubSub configuration by loading topic names from secrets
@@ -29,7 +47,7 @@ const initializePubSub = async () => {
     });
     
     // Get topic names from environment variables with fallbacks to defaults
-    const notificationTopicName = process.env.PUBSUB_TOPIC_NAME || 'processor-results';
+    const notificationTopicName = PROCESSOR_RESULTS_TOPIC;
     const dlqTopicName = process.env.PUBSUB_DLQ_TOPIC_NAME || 'processor-results-dlq';
     
     notificationTopic = pubSubClient.topic(notificationTopicName);
@@ -41,23 +59,15 @@ const initializePubSub = async () => {
       dlq_topic: dlqTopicName
     });
     
-    // Skip trying to access the email topics for now
-    /*
-    // Original code:
-    const emailImmediateTopicName = await getSecret('EMAIL_IMMEDIATE_TOPIC_NAME');
-    const emailDailyTopicName = await getSecret('EMAIL_DAILY_TOPIC_NAME');
-    
-    const emailImmediateTopic = pubSubClient.topic(emailImmediateTopicName);
-    const emailDailyTopic = pubSubClient.topic(emailDailyTopicName);
-    */
+    const emailImmediateTopic = pubSubClient.topic(await getEmailTopicName('immediate'));
+    const emailDailyTopic = pubSubClient.topic(await getEmailTopicName('daily'));
     
     return {
       pubSubClient,
       notificationTopic,
       dlqTopic,
-      // Not providing the email topics for now
-      emailImmediateTopic: null,
-      emailDailyTopic: null
+      emailImmediateTopic,
+      emailDailyTopic
     };
   } catch (error) {
     console.error('Failed to initialize PubSub configuration', {
@@ -75,9 +85,10 @@ const initializePubSub = async () => {
  * @param {Object} subscription - The subscription data 
  * @param {Array} matches - The matches found by the BOE parser
  * @param {string} processorType - The type of processor (e.g., 'boe')
+ * @param {Object} [run] - processingId, traceId and processingTimeMs of the run; generated when missing
  * @returns {Promise<string>} Message ID
  */
-async function publishNotificationMessage(subscription, matches, processorType = 'boe') {
+async function publishNotificationMessage(subscription, matches, processorType = 'boe', run = {}) {
   if (!notificationTopic && !isDevelopment) {
     console.error('Notification topic not initialized');
     throw new Error('Notification topic not initialized. Call initializePubSub first.');
@@ -86,43 +97,13 @@ async function publishNotificationMessage(subscription, matches, processorType =
   const subscriptionId = subscription.subscription_id || subscription.id;
   const userId = subscription.user_id;
   
-  // Format the notification message similar to how the BOE parser would have done it
-  const message = {
-    version: '1.0',
-    processor_type: processorType,
-    timestamp: new Date().toISOString(),
-    trace_id: generateTraceId(),
-    request: {
-      subscription_id: subscriptionId,
-      processing_id: generateProcessingId(),
-      user_id: userId,
-      prompts: subscription.prompts || []
-    },
-    results: {
-      query_date: new Date().toISOString().split('T')[0],
-      matches: formatMatches(matches, subscription)
-    },
-    metadata: {
-      processing_time_ms: 0, // We don't track this directly
-      total_matches: matches.length,
-      status: 'success',
-      error: null
-    }
-  };
-  
-  // Validate the message before publishing
-  const { validatePubSubNotification } = require('../utils/validation');
-  const validationResult = validatePubSubNotification(message);
-  
-  if (!validationResult.valid) {
-    console.warn('PubSub message validation warning', {
-      errors: validationResult.errors,
-      subscription_id: subscriptionId,
-      processor_type: processorType
-    });
-    // We continue with the sanitized message even if validation fails
-    // This ensures backward compatibility
-  }
+  // Throws when the message does not match PubSubNotificationSchema
+  const message = buildNotificationMessage(subscription, matches, {
+    processorType,
+    processingId: run.processingId || generateProcessingId(),
+    traceId: run.traceId || generateTraceId(),
+    processingTimeMs: run.processingTimeMs || 0
+  });
   
   // Log the notification message
   console.debug('Publishing notification message', {
@@ -130,7 +111,7 @@ async function publishNotificationMessage(subscription, matches, processorType =
     subscription_id: subscriptionId,
     user_id: userId,
     total_matches: matches.length,
-    topic_name: process.env.PUBSUB_TOPIC_NAME || 'processor-results'
+    topic_name: PROCESSOR_RESULTS_TOPIC
   });
   
   // In development mode, just log the message instead of publishing
@@ -141,7 +122,7 @@ async function publishNotificationMessage(subscription, matches, processorType =
       subscription_id: subscriptionId,
       total_matches: matches.length,
       mode: 'development',
-      topic: process.env.PUBSUB_TOPIC_NAME || 'processor-results'
+      topic: PROCESSOR_RESULTS_TOPIC
     }, 'Development mode: Would have published notification message');
     
     // Log the first match for debugging
@@ -164,7 +145,7 @@ async function publishNotificationMessage(subscription, matches, processorType =
       messageId,
       subscription_id: subscriptionId,
       total_matches: matches.length,
-      topic: process.env.PUBSUB_TOPIC_NAME || 'processor-results'
+      topic: PROCESSOR_RESULTS_TOPIC
     }, 'Published notification message to PubSub');
     
     return messageId;
@@ -174,7 +155,7 @@ async function publishNotificationMessage(subscription, matches, processorType =
       stack: error.stack,
       subscription_id: subscriptionId,
       total_matches: matches.length,
-      topic: process.env.PUBSUB_TOPIC_NAME || 'processor-results'
+      topic: PROCESSOR_RESULTS_TOPIC
     }, 'Failed to publish notification message to PubSub');
     
     // Attempt to publish to DLQ if available
@@ -186,7 +167,7 @@ async function publishNotificationMessage(subscription, matches, processorType =
           metadata: {
             ...message.metadata,
             error: error.message,
-            original_topic: process.env.PUBSUB_TOPIC_NAME || 'processor-results',
+            original_topic: PROCESSOR_RESULTS_TOPIC,
             timestamp_error: new Date().toISOString(),
             status: 'error'
           }
@@ -213,48 +194,6 @@ async function publishNotificationMessage(subscription, matches, processorType =
   }
 }
 
-/**
- * Format matches into the expected structure for the notification worker
- * @param {Array} matches - The matches from the BOE parser
- * @param {Object} subscription - The subscription data
- * @returns {Array} Formatted matches
- */
-function formatMatches(matches, subscription) {
-  if (!matches || !Array.isArray(matches)) {
-    return [];
-  }
-  
-  // Group matches by prompt
-  const matchesByPrompt = {};
-  
-  matches.forEach(match => {
-    const prompt = match.prompt || 'default';
-    if (!matchesByPrompt[prompt]) {
-      matchesByPrompt[prompt] = [];
-    }
-    
-    matchesByPrompt[prompt].push({
-      document_type: 'boe_document',
-      title: match.title || 'Unknown title',
-      summary: match.summary || match.content || 'No summary available',
-      relevance_score: match.relevance_score || 0.5,
-      links: {
-        html: match.links?.html || match.source_url || '',
-        pdf: match.links?.pdf || ''
-      },
-      publication_date: match.publication_date || match.dates?.publication_date || new Date().toISOString(),
-      section: match.section || '',
-      bulletin_type: match.document_type || match.bulletin_type || 'OTHER'
-    });
-  });
-  
-  // Convert to expected array format
-  return Object.entries(matchesByPrompt).map(([prompt, documents]) => ({
-    prompt,
-    documents
-  }));
-}
-
 /**
  * Generate a unique trace ID
  * @returns {string} Trace ID
@@ -272,23 +211,53 @@ function generateProcessingId() {
 }
 
 /**
- * Publish a notification to the email service
- * @param {Object} notification - The notification data
- * @param {Object} user - User data including email
- * @param {Object} subscription - Subscription data
+ * Pub/Sub project email messages are published in, if any
+ * @returns {string|null}
+ */
+function getEmailProjectId() {
+  return process.env.PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT || null;
+}
+
+/**
+ * Name of the email topic of a frequency: from the environment variable or secret of the
+ * same name, falling back to the default. Resolved once per process.
  * @param {string} frequency - 'immediate' or 'daily'
- * @returns {Promise<string>} Message ID
+ * @returns {Promise<string>} Topic name
  */
-async function publishEmailNotification(notification, user, subscription, frequency = 'immediate') {
-  const topic = frequency === 'immediate' ? emailImmediateTopic : emailDailyTopic;
-  
-  if (!topic) {
-    throw new Error(`PubSub topic for ${frequency} notifications not initialized`);
+async function getEmailTopicName(frequency) {
+  const config = EMAIL_TOPICS[frequency];
+  if (!config) {
+    throw new Error(`Unknown email frequency: ${frequency}`);
   }
-  
-  const message = {
+  if (!emailTopicNames.has(frequency)) {
+    let topicName = process.env[config.secretName];
+    if (!topicName) {
+      try {
+        topicName = await getSecret(config.secretName);
+      } catch (error) {
+        console.warn('Failed to load email topic name, using default', {
+          secret_name: config.secretName,
+          default_topic: config.defaultName,
+          error: error.message
+        });
+      }
+    }
+    emailTopicNames.set(frequency, topicName || config.defaultName);
+  }
+  return emailTopicNames.get(frequency);
+}
+
+/**
+ * Build the message the email service expects for one notification
+ * @param {Object} notification - The notification data
+ * @param {Object} user - User data; notificationEmail (or notification_email) wins over email
+ * @param {Object} subscription - Subscription data
+ * @returns {Object} Email message
+ */
+function buildEmailNotificationMessage(notification, user, subscription) {
+  return {
     userId: user.id,
-    email: user.email || user.notification_email,
+    email: user.notificationEmail || user.notification_email || user.email,
     timestamp: new Date().toISOString(),
     notification: {
       id: notification.id,
@@ -299,46 +268,95 @@ async function publishEmailNotification(notification, user, subscription, freque
       subscriptionName: subscription.name || subscription.type_name || 'Subscription'
     }
   };
+}
+
+/**
+ * Append an email message to the local sink file instead of publishing it
+ * @returns {Promise<string>} Local message ID
+ */
+async function writeToEmailSink(message, topicName, frequency) {
+  const messageId = `local-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+  const line = JSON.stringify({
+    message_id: messageId,
+    topic: topicName,
+    frequency,
+    written_at: new Date().toISOString(),
+    message
+  });
+  await fs.promises.mkdir(path.dirname(EMAIL_SINK_FILE), { recursive: true });
+  await fs.promises.appendFile(EMAIL_SINK_FILE, `${line}\n`);
   
-  // In development mode, just log the message instead of publishing
-  if (isDevelopment) {
-    const mockMessageId = `dev-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    logger.info({
-      messageId: mockMessageId,
-      topic,
-      message,
-      mode: 'development'
-    }, 'Development mode: Would have published notification to email service');
-    return mockMessageId;
+  console.info('No Pub/Sub project configured, wrote email message to local sink', {
+    message_id: messageId,
+    topic: topicName,
+    sink_file: EMAIL_SINK_FILE,
+    user_id: message.userId
+  });
+  return messageId;
+}
+
+/**
+ * Publish a built message to the email topic of a frequency, or write it to the
+ * local sink file when no Pub/Sub project is configured
+ * @param {Object} message - Message built by buildEmailNotificationMessage
+ * @param {string} frequency - 'immediate' or 'daily'
+ * @returns {Promise<string>} Message ID
+ */
+async function publishEmailMessage(message, frequency = 'immediate') {
+  const topicName = await getEmailTopicName(frequency);
+  const projectId = getEmailProjectId();
+  
+  if (!projectId) {
+    return writeToEmailSink(message, topicName, frequency);
   }
   
   try {
+    if (!emailPubSub) {
+      emailPubSub = new PubSub({ projectId });
+    }
     const dataBuffer = Buffer.from(JSON.stringify(message));
-    const messageId = await pubsub.topic(topic).publish(dataBuffer);
+    const messageId = await emailPubSub.topic(topicName).publishMessage({ data: dataBuffer });
     
-    logger.info({
-      messageId,
-      topic,
-      notificationId: notification.id,
-      userId: user.id
-    }, 'Published notification to email service');
+    console.info('Published notification to email service', {
+      message_id: messageId,
+      topic: topicName,
+      notification_id: message.notification?.id,
+      user_id: message.userId
+    });
     
     return messageId;
   } catch (error) {
-    logger.error({
+    console.error('Failed to publish notification to email service', {
       error: error.message,
       stack: error.stack,
-      topic,
-      notificationId: notification.id,
-      userId: user.id
-    }, 'Failed to publish notification to email service');
+      topic: topicName,
+      notification_id: message.notification?.id,
+      user_id: message.userId
+    });
     
     throw error;
   }
 }
 
+/**
+ * Publish a notification to the email service
+ * @param {Object} notification - The notification data
+ * @param {Object} user - User data including email
+ * @param {Object} subscription - Subscription data
+ * @param {string} frequency - 'immediate' or 'daily'
+ * @returns {Promise<string>} Message ID
+ */
+async function publishEmailNotification(notification, user, subscription, frequency = 'immediate') {
+  return publishEmailMessage(buildEmailNotificationMessage(notification, user, subscription), frequency);
+}
+
 module.exports = {
+  PROCESSOR_RESULTS_TOPIC,
+  EMAIL_FREQUENCIES,
   initializePubSub,
+  getEmailTopicName,
+  buildEmailNotificationMessage,
+  publishEmailMessage,
   publishEmailNotification,
   publishNotificationMessage
 }; 
\ No newline at end of file
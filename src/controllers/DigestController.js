@@ -0,0 +1,72 @@
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Whether a string is a real calendar date in YYYY-MM-DD form
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+class DigestController {
+    constructor({ digestService }) {
+        if (!digestService) {
+            throw new Error('DigestController requires DigestService');
+        }
+        this.digestService = digestService;
+        console.info('Digest controller initialized');
+
+        // Bind methods to ensure 'this' context is correct
+        this.runDigests = this.runDigests.bind(this);
+    }
+
+    /**
+     * Handles POST /api/digests/run
+     * Creates the daily digests of one day, by default yesterday. Called by the scheduler;
+     * users who already got the day's digest are skipped, so calling it again is safe.
+     * Body: { date?: 'YYYY-MM-DD' }, a day before today in the digest time zone
+     */
+    async runDigests(req, res, next) {
+        const date = req.body?.date;
+        if (date !== undefined && !isValidDate(date)) {
+            return res.status(400).json({
+                status: 'error',
+                error: 'Invalid digest date',
+                message: 'date must be a calendar date in YYYY-MM-DD format',
+                provided: date
+            });
+        }
+        // YYYY-MM-DD strings compare in date order
+        const today = this.digestService.currentDate();
+        if (date !== undefined && date >= today) {
+            return res.status(400).json({
+                status: 'error',
+                error: 'Invalid digest date',
+                message: `date must be before today (${today}, ${this.digestService.timeZone}): digests cover complete days`,
+                provided: date
+            });
+        }
+
+        try {
+            const summary = await this.digestService.runDailyDigests({ digestDate: date });
+            res.status(200).json({
+                status: 'success',
+                data: summary
+            });
+        } catch (error) {
+            console.error('Error running daily digests', {
+                digest_date: date,
+                error: error.message,
+                stack: error.stack
+            });
+            next(error);
+        }
+    }
+}
+
+module.exports = { DigestController };
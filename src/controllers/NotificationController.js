@@ -0,0 +1,177 @@
+const { getDeliveryChannel } = require('../clients/channels');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const DEAD_LETTER_STATUSES = ['pending', 'replaying', 'replayed'];
+// A replay not finished within this time (e.g. its instance went away) no longer holds its dead letter
+const DEAD_LETTER_REPLAY_LOCK_MS = parseInt(process.env.DEAD_LETTER_REPLAY_LOCK_MS, 10) || 300000;
+
+class NotificationController {
+    constructor({ deliveryChannels, deadLetterRepository, deliveryAttemptRepository }) {
+        if (!deliveryChannels || !deadLetterRepository) {
+            throw new Error('NotificationController requires delivery channels and DeadLetterRepository');
+        }
+        this.deliveryChannels = deliveryChannels;
+        this.deadLetterRepository = deadLetterRepository;
+        this.deliveryAttemptRepository = deliveryAttemptRepository || null;
+        console.info('Notification controller initialized');
+
+        // Bind methods to ensure 'this' context is correct
+        this.listDeadLetters = this.listDeadLetters.bind(this);
+        this.replayDeadLetter = this.replayDeadLetter.bind(this);
+    }
+
+    /**
+     * Handles GET /api/notifications/dead-letters
+     * Lists notification events whose publish failed, newest first.
+     * Query parameters: status ('pending', 'replaying' or 'replayed'), limit, offset.
+     */
+    async listDeadLetters(req, res, next) {
+        const { status } = req.query;
+        if (status && !DEAD_LETTER_STATUSES.includes(status)) {
+            return res.status(400).json({
+                status: 'error',
+                error: 'Invalid status filter',
+                message: `status must be one of: ${DEAD_LETTER_STATUSES.join(', ')}`,
+                provided: status
+            });
+        }
+        const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        try {
+            const { total, dead_letters: deadLetters } = await this.deadLetterRepository.list({ status, limit, offset });
+            res.status(200).json({
+                status: 'success',
+                total,
+                count: deadLetters.length,
+                limit,
+                offset,
+                data: deadLetters
+            });
+        } catch (error) {
+            console.error('Error listing notification dead letters', {
+                error: error.message,
+                stack: error.stack
+            });
+            next(error);
+        }
+    }
+
+    /**
+     * Handles POST /api/notifications/dead-letters/:id/replay
+     * Delivers a dead letter's payload again through its channel. The dead letter is claimed
+     * first, so concurrent requests cannot deliver it twice. A failed replay puts the dead
+     * letter back to pending and responds 502 with the delivery error.
+     */
+    async replayDeadLetter(req, res, next) {
+        const { id } = req.params;
+        try {
+            const deadLetter = await this.deadLetterRepository.claimForReplay(id, DEAD_LETTER_REPLAY_LOCK_MS);
+
+            if (!deadLetter) {
+                const current = await this.deadLetterRepository.findById(id);
+                if (!current) {
+                    return res.status(404).json({
+                        status: 'error',
+                        error: 'Dead letter not found',
+                        dead_letter_id: id
+                    });
+                }
+                if (current.status === 'replayed') {
+                    return res.status(409).json({
+                        status: 'error',
+                        error: 'Dead letter has already been replayed',
+                        dead_letter_id: id,
+                        message_id: current.message_id,
+                        replayed_at: current.replayed_at
+                    });
+                }
+                return res.status(409).json({
+                    status: 'error',
+                    error: 'Dead letter is being replayed',
+                    dead_letter_id: id
+                });
+            }
+
+            const channel = getDeliveryChannel(this.deliveryChannels, deadLetter.channel);
+            const startTime = Date.now();
+            let result;
+            try {
+                result = await channel.deliver(deadLetter);
+            } catch (deliveryError) {
+                console.warn('Replay of notification dead letter failed', {
+                    dead_letter_id: id,
+                    notification_id: deadLetter.notification_id,
+                    channel: channel.name,
+                    error: deliveryError.message
+                });
+                await this._recordAttempt(deadLetter, channel, startTime, {
+                    status: 'failed',
+                    error: deliveryError.message,
+                    responseStatus: deliveryError.responseStatus,
+                    responseBody: deliveryError.responseBody
+                });
+                const updated = await this.deadLetterRepository.recordReplay(id, {
+                    succeeded: false,
+                    error: deliveryError.message
+                });
+                return res.status(502).json({
+                    status: 'error',
+                    error: 'Failed to deliver notification event',
+                    message: deliveryError.message,
+                    dead_letter_id: id,
+                    channel: channel.name,
+                    replay_attempts: updated?.replay_attempts
+                });
+            }
+
+            await this._recordAttempt(deadLetter, channel, startTime, { status: 'success', ...result });
+            const updated = await this.deadLetterRepository.recordReplay(id, {
+                succeeded: true,
+                messageId: result.messageId
+            });
+            console.info('Replayed notification dead letter', {
+                dead_letter_id: id,
+                notification_id: deadLetter.notification_id,
+                channel: channel.name,
+                message_id: result.messageId
+            });
+            res.status(200).json({
+                status: 'success',
+                data: updated
+            });
+        } catch (error) {
+            console.error('Error replaying notification dead letter', {
+                dead_letter_id: id,
+                error: error.message,
+                stack: error.stack
+            });
+            next(error);
+        }
+    }
+
+    /** Record a replay as a delivery attempt; failing to record does not fail the replay */
+    async _recordAttempt(deadLetter, channel, startTime, outcome) {
+        if (!this.deliveryAttemptRepository) {
+            return;
+        }
+        try {
+            await this.deliveryAttemptRepository.record({
+                deadLetterId: deadLetter.id,
+                notificationId: deadLetter.notification_id,
+                channel: channel.name,
+                destination: channel.describeDestination(deadLetter),
+                durationMs: Date.now() - startTime,
+                ...outcome
+            });
+        } catch (error) {
+            console.warn('Failed to record notification delivery attempt', {
+                dead_letter_id: deadLetter.id,
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = { NotificationController };
@@ -0,0 +1,106 @@
+const { CircuitOpenError } = require('../utils/circuit-breaker');
+const { isDateString } = require('../utils/processing-window');
+
+// Most prompts and matches per prompt one query may ask for
+const MAX_QUERY_PROMPTS = 10;
+const MAX_QUERY_LIMIT = 50;
+
+class ParserController {
+    constructor({ subscriptionService, subscriptionTypeRepository }) {
+        if (!subscriptionService || !subscriptionTypeRepository) {
+            throw new Error('ParserController requires SubscriptionService and SubscriptionTypeRepository');
+        }
+        this.subscriptionService = subscriptionService;
+        this.subscriptionTypeRepository = subscriptionTypeRepository;
+        console.info('Parser controller initialized');
+
+        // Bind methods to ensure 'this' context is correct
+        this.queryParser = this.queryParser.bind(this);
+    }
+
+    /**
+     * Handles POST /api/parsers/:typeId/query
+     * Queries the parser of a subscription type for prompts, without a subscription, and
+     * responds with the normalized matches and the parser timing.
+     * Body: { prompts: string[], date?: 'YYYY-MM-DD', limit?: number }
+     */
+    async queryParser(req, res, next) {
+        const { typeId } = req.params;
+        const { prompts, date, limit } = req.body || {};
+        const traceId = req.headers['x-trace-id'] || `trace-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+
+        const errors = [];
+        if (!Array.isArray(prompts) || prompts.length === 0
+            || !prompts.every(prompt => typeof prompt === 'string' && prompt.trim().length > 0)) {
+            errors.push('prompts must be a non-empty array of non-empty strings');
+        } else if (prompts.length > MAX_QUERY_PROMPTS) {
+            errors.push(`prompts may contain at most ${MAX_QUERY_PROMPTS} prompts`);
+        }
+        if (date !== undefined && !isDateString(date)) {
+            errors.push('date must be a calendar date in YYYY-MM-DD format');
+        }
+        if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT)) {
+            errors.push(`limit must be an integer between 1 and ${MAX_QUERY_LIMIT}`);
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                error: 'Invalid parser query',
+                message: errors.join('; '),
+                errors
+            });
+        }
+
+        try {
+            const subscriptionType = await this.subscriptionTypeRepository.findById(typeId);
+            if (!subscriptionType) {
+                return res.status(404).json({
+                    status: 'error',
+                    error: 'Subscription type not found',
+                    type_id: typeId
+                });
+            }
+            if (!subscriptionType.parser_url) {
+                return res.status(400).json({
+                    status: 'error',
+                    error: 'Subscription type has no parser URL configured',
+                    type_id: typeId
+                });
+            }
+
+            const result = await this.subscriptionService.queryParser(subscriptionType, { prompts, date, limit, traceId });
+            if (result.status === 'error') {
+                // The parser answered, but with an error: report it with the timing
+                return res.status(502).json({
+                    status: 'error',
+                    error: 'Parser query failed',
+                    message: result.error,
+                    data: result
+                });
+            }
+            res.status(200).json({
+                status: 'success',
+                data: result
+            });
+        } catch (error) {
+            if (error instanceof CircuitOpenError) {
+                return res.status(503).json({
+                    status: 'error',
+                    error: 'Parser unavailable',
+                    message: error.message,
+                    retry_after_ms: error.retryAfterMs,
+                    type_id: typeId
+                });
+            }
+            console.error('Error querying parser', {
+                type_id: typeId,
+                error: error.message,
+                stack: error.stack,
+                trace_id: traceId
+            });
+            next(error);
+        }
+    }
+}
+
+module.exports = { ParserController };
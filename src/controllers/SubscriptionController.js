@@ -1,31 +1,120 @@
 // Removed: const { getLogger } = require('../config/logger');
+const { PROCESSING_STATES, TERMINAL_STATES } = require('../services/ProcessingEvents');
+const { isDateString, dateRange, toDateString } = require('../utils/processing-window');
+const { CircuitOpenError } = require('../utils/circuit-breaker');
+
+// The job may run on another instance, so event streams also poll the processing record
+const EVENT_STREAM_POLL_INTERVAL_MS = parseInt(process.env.EVENT_STREAM_POLL_INTERVAL_MS, 10) || 5000;
+// Most dates one backfill may query
+const BACKFILL_MAX_DAYS = parseInt(process.env.BACKFILL_MAX_DAYS, 10) || 31;
+// A running batch without progress or heartbeat for this long is failed as abandoned
+// (the instance running it went away); the instance running it heartbeats three times as often
+const BATCH_STALE_MS = parseInt(process.env.BATCH_STALE_MS, 10) || 300000;
+
+/**
+ * Map a subscription_processing record to a processing state event
+ * @param {Object} record - The processing record
+ * @returns {Object} Event payload
+ */
+function eventFromRecord(record) {
+    const metadata = record.metadata || {};
+    let state = PROCESSING_STATES.PROCESSING;
+    if (record.status === 'pending' || record.status === 'failed') {
+        // A failed run waiting for its retry is queued again
+        state = PROCESSING_STATES.PENDING;
+    } else if (record.status === 'completed') {
+        state = PROCESSING_STATES.COMPLETED;
+    } else if (record.status === 'error' || record.status === 'dead') {
+        state = PROCESSING_STATES.ERROR;
+    } else if (record.status === 'processing' && metadata.processing_started_at &&
+               new Date(metadata.processing_started_at) >= new Date(record.last_run_at)) {
+        // The current attempt has recorded its parser and dates (SubscriptionService._markProcessingRecord)
+        state = PROCESSING_STATES.CALLING_PARSER;
+    }
+
+    const event = {
+        processing_id: record.id,
+        subscription_id: record.subscription_id,
+        state,
+        timestamp: new Date().toISOString(),
+        trace_id: metadata.trace_id || null
+    };
+    if (state === PROCESSING_STATES.COMPLETED) {
+        // Counts stored by the processing queue when it completed the record
+        event.result = {
+            status: metadata.result_status || 'success',
+            subscription_id: record.subscription_id,
+            matches_count: metadata.matches_count,
+            matches_dropped: metadata.matches_dropped,
+            matches_dropped_by_reason: metadata.matches_dropped_by_reason,
+            notifications_created: metadata.notifications_created,
+            duplicates_suppressed: metadata.duplicates_suppressed,
+            trace_id: event.trace_id
+        };
+    } else if (state === PROCESSING_STATES.ERROR) {
+        event.error = record.error || 'Unknown error';
+        event.attempts = record.attempts;
+    } else if (record.status === 'failed') {
+        event.error = record.error || null;
+        event.attempts = record.attempts;
+        event.next_run_at = record.next_run_at;
+    }
+    return event;
+}
 
 class SubscriptionController {
-    constructor({ subscriptionService, processTrackingRepository /* Removed: logger */ }) {
-        if (!subscriptionService || !processTrackingRepository) {
-            throw new Error('SubscriptionController requires SubscriptionService and ProcessTrackingRepository');
+    constructor({ subscriptionService, processTrackingRepository, processingQueue, batchRepository, processingEvents /* Removed: logger */ }) {
+        if (!subscriptionService || !processTrackingRepository || !processingQueue || !batchRepository || !processingEvents) {
+            throw new Error('SubscriptionController requires SubscriptionService, ProcessTrackingRepository, ProcessingQueueService, BatchRepository and ProcessingEvents');
         }
         this.subscriptionService = subscriptionService;
         this.processTrackingRepository = processTrackingRepository;
+        this.processingQueue = processingQueue;
+        this.batchRepository = batchRepository;
+        this.processingEvents = processingEvents;
+        // Close functions of the open event streams, ended on shutdown
+        this.eventStreams = new Set();
         // Removed: this.logger = logger || getLogger('subscription-controller');
         // Removed: this.logger.info('Subscription controller initialized');
         console.info('Subscription controller initialized'); // Replace logger
 
         // Bind methods to ensure 'this' context is correct
         this.processSingleSubscription = this.processSingleSubscription.bind(this);
+        this.backfillSubscription = this.backfillSubscription.bind(this);
+        this.previewSubscription = this.previewSubscription.bind(this);
         this.processBatchSubscriptions = this.processBatchSubscriptions.bind(this);
         this.getPendingSubscriptions = this.getPendingSubscriptions.bind(this); 
+        this.getBatchStatus = this.getBatchStatus.bind(this);
+        this.getProcessingStatus = this.getProcessingStatus.bind(this);
+        this.streamProcessingEvents = this.streamProcessingEvents.bind(this);
+        this.closeEventStreams = this.closeEventStreams.bind(this);
+    }
 
-        // Active processing tracking (moved from router)
-        this.activeProcessing = new Map();
+    /**
+     * Ends every open processing event stream, e.g. on shutdown: the HTTP server does not
+     * close while they are open. Clients can reconnect to another instance.
+     */
+    closeEventStreams() {
+        if (this.eventStreams.size > 0) {
+            console.info('Closing processing event streams', { count: this.eventStreams.size });
+        }
+        for (const close of this.eventStreams) {
+            close();
+        }
     }
 
     /**
      * Handles POST /api/subscriptions/process/:id
      * Queues a single subscription for processing.
+     * The job is stored in subscription_processing and run by the processing queue,
+     * so it survives restarts and may be picked up by any instance.
+     * With ?dry_run=true nothing is queued; the request is answered like a preview.
      */
     async processSingleSubscription(req, res, next) {
         const { id } = req.params;
+        if (req.query?.dry_run === 'true') {
+            return this.previewSubscription(req, res, next);
+        }
         const traceId = req.headers['x-trace-id'] || `trace-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
         
         console.info('Received request to process subscription', { 
@@ -45,25 +134,6 @@ class SubscriptionController {
             return res.status(400).json({ status: 'error', error: 'Invalid subscription ID' });
         }
         
-        // --- Check for duplicate processing ---
-        if (this.activeProcessing.has(id)) {
-            const { processingId, startTime } = this.activeProcessing.get(id);
-            console.info('Subscription is already being processed', { 
-                subscription_id: id, 
-                processing_id: processingId,
-                started_at: new Date(startTime).toISOString(),
-                elapsed_ms: Date.now() - startTime,
-                trace_id: traceId
-            });
-            
-            return res.status(202).json({
-                status: 'processing',
-                message: 'Subscription is already being processed',
-                processing_id: processingId,
-                subscription_id: id
-            });
-        }
-        
         try {
             // --- Get subscription details for better logging ---
             let subscriptionDetails = {};
@@ -86,34 +156,41 @@ class SubscriptionController {
                 });
             }
             
-            // --- Step 1: Create processing record with enhanced details ---
+            // --- Step 1: Create processing record unless one is already active ---
+            // The repository holds a per-subscription lock across instances, so concurrent
+            // requests for the same subscription all get the same processing record back.
             console.debug('Creating processing record for subscription', { 
                 subscription_id: id,
                 has_details: Object.keys(subscriptionDetails).length > 0,
                 trace_id: traceId
             });
             
-            const processingRecord = await this.processTrackingRepository.createRecord(
-                id, 
-                'pending', 
-                subscriptionDetails
+            const { record: processingRecord, created } = await this.processTrackingRepository.createRecordIfNotActive(
+                id,
+                { trace_id: traceId, queued_at: new Date().toISOString() }
             );
             
             const processingId = processingRecord.id;
             
-            // --- Step 2: Register in active processing map ---
-            this.activeProcessing.set(id, {
-                processingId,
-                startTime: Date.now(),
-                traceId,
-                details: {
-                    user_id: subscriptionDetails.user_id,
-                    type_id: subscriptionDetails.type_id,
-                    type_name: subscriptionDetails.type_name
-                }
-            });
+            if (!created) {
+                console.info('Subscription is already being processed', { 
+                    subscription_id: id, 
+                    processing_id: processingId,
+                    status: processingRecord.status,
+                    started_at: processingRecord.created_at,
+                    trace_id: traceId
+                });
+                
+                return res.status(202).json({
+                    status: 'processing',
+                    message: 'Subscription is already being processed',
+                    processing_id: processingId,
+                    subscription_id: id,
+                    trace_id: processingRecord.metadata?.trace_id || traceId
+                });
+            }
             
-            // --- Step 3: Send initial response ---
+            // --- Step 2: Send initial response ---
             console.info('Subscription queued for processing', { 
                 subscription_id: id, 
                 processing_id: processingId,
@@ -128,53 +205,11 @@ class SubscriptionController {
                 trace_id: traceId
             });
             
-            // --- Step 4: Process subscription asynchronously ---
-            setImmediate(async () => {
-                try {
-                    // This will handle subscription retrieval, parser selection, and processing
-                    const result = await this.subscriptionService.processSubscription(id, { traceId });
-                    
-                    console.info('Subscription processed successfully', {
-                        subscription_id: id,
-                        processing_id: processingId,
-                        status: result.status,
-                        matches: result.matches_count,
-                        notifications: result.notifications_created,
-                        trace_id: traceId
-                    });
-                } catch (processingError) {
-                    console.error('Error processing subscription', {
-                        subscription_id: id,
-                        processing_id: processingId,
-                        error: processingError.message,
-                        error_code: processingError.code || 'unknown',
-                        error_name: processingError.name,
-                        stack: processingError.stack,
-                        trace_id: traceId,
-                        user_id: subscriptionDetails.user_id,
-                        type_id: subscriptionDetails.type_id
-                    });
-                    
-                    try {
-                        // Update processing record with error status
-                        await this.processTrackingRepository.updateStatus(
-                            processingId, 
-                            'error'
-                        );
-                    } catch (updateError) {
-                        console.error('Failed to update processing status after error', {
-                            processing_id: processingId,
-                            error: updateError.message,
-                            trace_id: traceId
-                        });
-                    }
-                } finally {
-                    // Clear from active processing map
-                    this.activeProcessing.delete(id);
-                }
-            });
+            // --- Step 3: Wake up the processing queue ---
+            // Any instance polling the queue may pick the job up; this one just checks right away
+            this.processingQueue.poke();
             
-            // Note: Response already sent, async processing continues
+            // Note: Response already sent, the queue processes the job
         } catch (error) {
             // Handle errors during initial setup (e.g., creating processing record)
             console.error('Error setting up subscription processing', {
@@ -185,8 +220,6 @@ class SubscriptionController {
                 stack: error.stack,
                 trace_id: traceId
             });
-            // Ensure lock is cleared if setup fails
-            this.activeProcessing.delete(id);
             // Pass error to Express error handler
             next(error); 
         }
@@ -201,8 +234,8 @@ class SubscriptionController {
             // Removed: this.logger.info('Fetching pending subscriptions');
             console.info('Fetching pending subscriptions'); // Replace logger
             
-            // Use the service to get pending subscriptions
-            const pendingSubscriptions = await this.subscriptionService.getPendingSubscriptions();
+            // Pending records and failed records whose retry is due
+            const pendingSubscriptions = await this.processTrackingRepository.findPendingRecords();
             
             // Format response
             const response = {
@@ -225,23 +258,472 @@ class SubscriptionController {
     }
 
     /**
-     * Handles POST /api/subscriptions/batch/process
-     * Triggers batch processing of pending subscriptions.
+     * Handles POST /api/subscriptions/:id/backfill
+     * Queues a backfill of past bulletin dates. Body: { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' },
+     * at most BACKFILL_MAX_DAYS dates, none in the future. The backfill is a processing job
+     * like POST /process/:id and is tracked through the same status and event endpoints;
+     * a subscription has one active job at a time.
+     */
+    async backfillSubscription(req, res, next) {
+        const { id } = req.params;
+        const { from, to } = req.body || {};
+        const traceId = req.headers['x-trace-id'] || `trace-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+
+        const rangeError = this._validateBackfillRange(from, to);
+        if (rangeError) {
+            return res.status(400).json({
+                status: 'error',
+                error: 'Invalid backfill range',
+                message: rangeError,
+                provided: { from, to }
+            });
+        }
+
+        try {
+            const subscriptionDetails = await this.subscriptionService.getSubscriptionDetails(id, { traceId });
+            const rejection = this._rejectUnprocessable(subscriptionDetails, id);
+            if (rejection) {
+                return res.status(rejection.code).json(rejection.body);
+            }
+
+            const { record, created } = await this.processTrackingRepository.createRecordIfNotActive(
+                id,
+                { trace_id: traceId, queued_at: new Date().toISOString(), backfill: { from, to } }
+            );
+
+            if (!created) {
+                const activeBackfill = record.metadata?.backfill;
+                // Repeating the request of a queued backfill returns that backfill
+                if (activeBackfill?.from === from && activeBackfill?.to === to) {
+                    return res.status(202).json({
+                        status: 'processing',
+                        message: 'Backfill is already queued',
+                        processing_id: record.id,
+                        subscription_id: id,
+                        trace_id: record.metadata?.trace_id || traceId
+                    });
+                }
+                console.info('Backfill rejected, subscription has an active processing job', {
+                    subscription_id: id,
+                    processing_id: record.id,
+                    trace_id: traceId
+                });
+                return res.status(409).json({
+                    status: 'error',
+                    error: 'Subscription already has an active processing job',
+                    processing_id: record.id,
+                    subscription_id: id
+                });
+            }
+
+            console.info('Subscription backfill queued', {
+                subscription_id: id,
+                processing_id: record.id,
+                from,
+                to,
+                trace_id: traceId
+            });
+
+            res.status(202).json({
+                status: 'success',
+                message: 'Subscription backfill queued',
+                processing_id: record.id,
+                subscription_id: id,
+                from,
+                to,
+                query_dates: dateRange(from, to).length,
+                trace_id: traceId
+            });
+
+            this.processingQueue.poke();
+        } catch (error) {
+            console.error('Error queueing subscription backfill', {
+                subscription_id: id,
+                from,
+                to,
+                error: error.message,
+                stack: error.stack,
+                trace_id: traceId
+            });
+            next(error);
+        }
+    }
+
+    /**
+     * Handles POST /api/subscriptions/:id/preview (and POST /process/:id?dry_run=true)
+     * Runs the parser for the dates the next run would query and responds with the
+     * notifications it would create. Nothing is written. Body: { prompts?: string[] } to try
+     * other prompts than the subscription's.
+     */
+    async previewSubscription(req, res, next) {
+        const { id } = req.params;
+        const prompts = req.body?.prompts;
+        const traceId = req.headers['x-trace-id'] || `trace-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+
+        if (prompts !== undefined && (!Array.isArray(prompts) || prompts.length === 0
+            || !prompts.every(prompt => typeof prompt === 'string' && prompt.trim().length > 0))) {
+            return res.status(400).json({
+                status: 'error',
+                error: 'Invalid prompts',
+                message: 'prompts must be a non-empty array of non-empty strings',
+                provided: prompts
+            });
+        }
+
+        try {
+            const subscriptionDetails = await this.subscriptionService.getSubscriptionDetails(id, { traceId });
+            const rejection = this._rejectUnprocessable(subscriptionDetails, id);
+            if (rejection) {
+                return res.status(rejection.code).json(rejection.body);
+            }
+
+            const preview = await this.subscriptionService.previewSubscription(id, { prompts, traceId });
+            res.status(200).json({
+                status: 'success',
+                data: preview
+            });
+        } catch (error) {
+            if (error instanceof CircuitOpenError) {
+                return res.status(503).json({
+                    status: 'error',
+                    error: 'Parser unavailable',
+                    message: error.message,
+                    retry_after_ms: error.retryAfterMs,
+                    subscription_id: id
+                });
+            }
+            console.error('Error previewing subscription', {
+                subscription_id: id,
+                error: error.message,
+                stack: error.stack,
+                trace_id: traceId
+            });
+            next(error);
+        }
+    }
+
+    /**
+     * Response for a subscription that cannot be run: unknown, or its type has no parser URL
+     * @param {Object} subscriptionDetails - Result of SubscriptionService.getSubscriptionDetails
+     * @returns {{ code: number, body: Object }|null} null when the subscription can be run
+     */
+    _rejectUnprocessable(subscriptionDetails, id) {
+        if (subscriptionDetails.error === 'Subscription not found') {
+            return {
+                code: 404,
+                body: { status: 'error', error: 'Subscription not found', subscription_id: id }
+            };
+        }
+        if (subscriptionDetails.has_parser_url === false) {
+            return {
+                code: 400,
+                body: { status: 'error', error: 'Subscription type has no parser URL configured', subscription_id: id }
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Checks a backfill date range
+     * @returns {string|null} What is wrong with the range, or null when it is valid
+     */
+    _validateBackfillRange(from, to) {
+        if (!isDateString(from) || !isDateString(to)) {
+            return 'from and to must be calendar dates in YYYY-MM-DD format';
+        }
+        if (from > to) {
+            return 'from must not be after to';
+        }
+        if (to > toDateString(new Date())) {
+            return 'to must not be in the future';
+        }
+        const days = dateRange(from, to).length;
+        if (days > BACKFILL_MAX_DAYS) {
+            return `A backfill covers at most ${BACKFILL_MAX_DAYS} days, the range has ${days}`;
+        }
+        return null;
+    }
+
+    /**
+     * Fails batches abandoned by the instance that ran them; housekeeping, errors are only logged
+     */
+    async _failStaleBatches(traceId) {
+        try {
+            await this.batchRepository.failStaleBatches(BATCH_STALE_MS);
+        } catch (error) {
+            console.warn('Failed to check for abandoned batches', {
+                error: error.message,
+                trace_id: traceId
+            });
+        }
+    }
+
+    /**
+     * Handles POST /api/subscriptions/batch/process and POST /api/subscriptions/process-all
+     * Starts batch processing of pending subscriptions in the background and responds
+     * with 202 and a batch ID that can be polled through GET /api/subscriptions/batches/:id.
      */
     async processBatchSubscriptions(req, res, next) {
+        const traceId = req.headers['x-trace-id'] || `trace-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
         // Removed: this.logger.info('Received request for batch subscription processing');
-        console.info('Received request for batch subscription processing'); // Replace logger
+        console.info('Received request for batch subscription processing', { trace_id: traceId }); // Replace logger
         try {
-            // Delegate to the service layer
-            // Note: The service method might need refinement based on actual batch logic
-            const result = await this.subscriptionService.processPendingSubscriptions(); 
+            await this._failStaleBatches(traceId);
+            const batch = await this.batchRepository.create({ traceId });
+            const batchId = batch.id;
+            
+            res.status(202).json({
+                status: 'accepted',
+                message: 'Batch processing started',
+                batch_id: batchId,
+                status_url: `/api/subscriptions/batches/${batchId}`,
+                trace_id: traceId
+            });
             
-            // Removed: this.logger.info('Batch processing request completed', { ... });
-            console.info('Batch processing request completed', { status: result.status, processed: result.processed }); // Replace logger
-            res.status(200).json(result);
+            // Process the batch after responding; progress is stored on the batch record
+            setImmediate(async () => {
+                const limit = parseInt(req.body?.limit, 10) || undefined;
+                // Keeps the batch from being failed as abandoned while a slow subscription runs
+                const heartbeat = setInterval(() => {
+                    this.batchRepository.touch(batchId).catch(() => {});
+                }, Math.ceil(BATCH_STALE_MS / 3));
+                let result;
+                // The first report past 'running' carries the final status; subscriptions still
+                // running then add their counts to the 'partial' batch when they finish
+                let finalStatusReported = false;
+                try {
+                    result = await this.subscriptionService.processPendingSubscriptions({
+                        limit,
+                        runSubscription: subscription => this.processingQueue.runNow(subscription.id, {
+                            trace_id: traceId,
+                            batch_id: batchId
+                        }),
+                        onProgress: progress => {
+                            let status;
+                            if (progress.status !== 'running' && !finalStatusReported) {
+                                status = progress.status;
+                                finalStatusReported = true;
+                            }
+                            return this.batchRepository.updateProgress(batchId, progress, status);
+                        }
+                    });
+                } finally {
+                    clearInterval(heartbeat);
+                }
+                
+                // Only changes a batch still running, i.e. one that failed before its final report
+                try {
+                    await this.batchRepository.updateProgress(batchId, result, result.status);
+                } catch (updateError) {
+                    console.error('Failed to store final batch result', {
+                        batch_id: batchId,
+                        error: updateError.message,
+                        trace_id: traceId
+                    });
+                }
+                
+                // Removed: this.logger.info('Batch processing request completed', { ... });
+                console.info('Batch processing completed', {
+                    batch_id: batchId,
+                    status: result.status,
+                    processed: result.processed,
+                    trace_id: traceId
+                }); // Replace logger
+            });
         } catch (error) {
             // Removed: this.logger.error('Error during batch subscription processing request', { ... });
             console.error('Error during batch subscription processing request', {
+                error: error.message,
+                stack: error.stack,
+                trace_id: traceId
+            });
+            next(error);
+        }
+    }
+
+    /**
+     * Handles GET /api/subscriptions/processing/:processingId
+     * Reports what happened to a processing request returned by processSingleSubscription.
+     */
+    async getProcessingStatus(req, res, next) {
+        const { processingId } = req.params;
+        try {
+            const record = await this.processTrackingRepository.findById(processingId);
+            
+            if (!record) {
+                return res.status(404).json({
+                    status: 'error',
+                    error: 'Processing record not found',
+                    processing_id: processingId
+                });
+            }
+            
+            const metadata = record.metadata || {};
+            res.status(200).json({
+                status: 'success',
+                data: {
+                    processing_id: record.id,
+                    subscription_id: record.subscription_id,
+                    status: record.status,
+                    error: record.error || null,
+                    attempts: record.attempts,
+                    next_run_at: record.next_run_at,
+                    trace_id: metadata.trace_id || null,
+                    // Only set once the queue has completed the record
+                    notifications_created: metadata.notifications_created ?? null,
+                    created_at: record.created_at,
+                    updated_at: record.updated_at,
+                    last_run_at: record.last_run_at,
+                    completed_at: metadata.completed_at || null,
+                    lease_expires_at: record.lease_expires_at,
+                    metadata
+                }
+            });
+        } catch (error) {
+            console.error('Error fetching processing status', {
+                processing_id: processingId,
+                error: error.message,
+                stack: error.stack
+            });
+            next(error);
+        }
+    }
+
+    /**
+     * Handles GET /api/subscriptions/processing/:processingId/events
+     * Streams processing state changes as server-sent events until the run completes or fails.
+     * Step-by-step events come from the in-process emitter; polling the processing record
+     * covers jobs running on other instances.
+     */
+    async streamProcessingEvents(req, res, next) {
+        const { processingId } = req.params;
+        let closed = false;
+        let lastState = null;
+        let pollTimer = null;
+        let unsubscribe = () => {};
+
+        const close = () => {
+            if (closed) {
+                return;
+            }
+            closed = true;
+            this.eventStreams.delete(close);
+            clearInterval(pollTimer);
+            unsubscribe();
+            res.end();
+        };
+
+        const send = (event) => {
+            if (closed) {
+                return;
+            }
+            lastState = event.state;
+            res.write(`event: ${event.state}\ndata: ${JSON.stringify(event)}\n\n`);
+            if (TERMINAL_STATES.includes(event.state)) {
+                close();
+            }
+        };
+
+        try {
+            // Subscribe before reading the record so no state change is missed in between
+            unsubscribe = this.processingEvents.subscribe(processingId, send);
+
+            const record = await this.processTrackingRepository.findById(processingId);
+            if (!record) {
+                unsubscribe();
+                return res.status(404).json({
+                    status: 'error',
+                    error: 'Processing record not found',
+                    processing_id: processingId
+                });
+            }
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            req.on('close', close);
+            this.eventStreams.add(close);
+
+            send(eventFromRecord(record));
+
+            pollTimer = setInterval(async () => {
+                try {
+                    const current = await this.processTrackingRepository.findById(processingId);
+                    if (!current || closed) {
+                        return;
+                    }
+                    const event = eventFromRecord(current);
+                    // Only terminal states are taken from the record; local events are more detailed
+                    if (TERMINAL_STATES.includes(event.state)) {
+                        send(event);
+                    } else if (!closed) {
+                        res.write(': keep-alive\n\n');
+                    }
+                } catch (error) {
+                    console.warn('Failed to poll processing record for event stream', {
+                        processing_id: processingId,
+                        error: error.message
+                    });
+                }
+            }, EVENT_STREAM_POLL_INTERVAL_MS);
+        } catch (error) {
+            console.error('Error streaming processing events', {
+                processing_id: processingId,
+                error: error.message,
+                stack: error.stack
+            });
+            if (res.headersSent) {
+                close();
+            } else {
+                unsubscribe();
+                next(error);
+            }
+        }
+    }
+
+    /**
+     * Handles GET /api/subscriptions/batches/:id
+     * Reports the progress of a batch started by processBatchSubscriptions.
+     */
+    async getBatchStatus(req, res, next) {
+        const { id } = req.params;
+        try {
+            await this._failStaleBatches(req.headers['x-trace-id']);
+            const batch = await this.batchRepository.findById(id);
+            
+            if (!batch) {
+                return res.status(404).json({
+                    status: 'error',
+                    error: 'Batch not found',
+                    batch_id: id
+                });
+            }
+            
+            res.status(200).json({
+                status: 'success',
+                data: {
+                    batch_id: batch.id,
+                    status: batch.status,
+                    total: batch.total,
+                    processed: batch.processed,
+                    success: batch.success_count,
+                    error: batch.error_count,
+                    skipped: batch.skipped_count,
+                    deferred: batch.deferred_count,
+                    by_type: batch.by_type,
+                    error_message: batch.error,
+                    trace_id: batch.trace_id,
+                    created_at: batch.created_at,
+                    updated_at: batch.updated_at,
+                    completed_at: batch.completed_at
+                }
+            });
+        } catch (error) {
+            console.error('Error fetching batch status', {
+                batch_id: id,
                 error: error.message,
                 stack: error.stack
             });
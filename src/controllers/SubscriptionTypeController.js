@@ -0,0 +1,273 @@
+const { validateSubscriptionType } = require('../utils/validation/subscription-type');
+
+// Postgres error code of a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+
+class SubscriptionTypeController {
+    constructor({ subscriptionTypeRepository, parserClientPool }) {
+        if (!subscriptionTypeRepository || !parserClientPool) {
+            throw new Error('SubscriptionTypeController requires SubscriptionTypeRepository and ParserClientPool');
+        }
+        this.subscriptionTypeRepository = subscriptionTypeRepository;
+        this.parserClientPool = parserClientPool;
+        console.info('Subscription type controller initialized');
+
+        // Bind methods to ensure 'this' context is correct
+        this.listTypes = this.listTypes.bind(this);
+        this.getType = this.getType.bind(this);
+        this.createType = this.createType.bind(this);
+        this.updateType = this.updateType.bind(this);
+        this.deactivateType = this.deactivateType.bind(this);
+        this.activateType = this.activateType.bind(this);
+        this.testType = this.testType.bind(this);
+        this.getCapabilities = this.getCapabilities.bind(this);
+    }
+
+    /**
+     * Handles GET /api/subscription-types
+     * Lists the active subscription types, or all of them with ?include_inactive=true,
+     * each with the number of active subscriptions using it.
+     */
+    async listTypes(req, res, next) {
+        const includeInactive = req.query.include_inactive === 'true';
+        try {
+            const types = await this.subscriptionTypeRepository.list({ includeInactive });
+            res.status(200).json({
+                status: 'success',
+                count: types.length,
+                data: types
+            });
+        } catch (error) {
+            console.error('Error listing subscription types', { error: error.message, stack: error.stack });
+            next(error);
+        }
+    }
+
+    /**
+     * Handles GET /api/subscription-types/:id
+     */
+    async getType(req, res, next) {
+        const { id } = req.params;
+        try {
+            const type = await this.subscriptionTypeRepository.findById(id);
+            if (!type) {
+                return this._notFound(res, id);
+            }
+            res.status(200).json({ status: 'success', data: type });
+        } catch (error) {
+            console.error('Error fetching subscription type', { type_id: id, error: error.message, stack: error.stack });
+            next(error);
+        }
+    }
+
+    /**
+     * Handles POST /api/subscription-types
+     * Body: { id?, name, parser_url, description?, icon?, logo_url?, metadata? }. metadata takes
+     * the parser adapter settings and the default match limits of the type's subscriptions.
+     */
+    async createType(req, res, next) {
+        const { data, valid, errors } = validateSubscriptionType(req.body);
+        if (!valid) {
+            return this._invalid(res, errors);
+        }
+
+        try {
+            const sameName = await this.subscriptionTypeRepository.findByName(data.name);
+            if (sameName) {
+                return this._nameTaken(res, data.name, sameName.id);
+            }
+            if (data.id && await this.subscriptionTypeRepository.findById(data.id)) {
+                return res.status(409).json({
+                    status: 'error',
+                    error: 'Subscription type ID already exists',
+                    type_id: data.id
+                });
+            }
+
+            const type = await this.subscriptionTypeRepository.create(data);
+            res.status(201).json({ status: 'success', data: type });
+        } catch (error) {
+            if (error.code === UNIQUE_VIOLATION) {
+                // Created concurrently by another request
+                return this._nameTaken(res, data.name);
+            }
+            console.error('Error creating subscription type', { name: data.name, error: error.message, stack: error.stack });
+            next(error);
+        }
+    }
+
+    /**
+     * Handles PATCH /api/subscription-types/:id
+     * Changes the given fields. metadata is merged into the stored metadata; keys set to
+     * null are removed.
+     */
+    async updateType(req, res, next) {
+        const { id } = req.params;
+        const { data, valid, errors } = validateSubscriptionType(req.body, { partial: true });
+        if (!valid) {
+            return this._invalid(res, errors);
+        }
+
+        try {
+            if (data.name) {
+                const sameName = await this.subscriptionTypeRepository.findByName(data.name);
+                if (sameName && sameName.id !== id) {
+                    return this._nameTaken(res, data.name, sameName.id);
+                }
+            }
+
+            const previous = await this.subscriptionTypeRepository.findById(id);
+            const type = previous && await this.subscriptionTypeRepository.update(id, data);
+            if (!type) {
+                return this._notFound(res, id);
+            }
+            // The parser URL, adapter or client settings may have changed: drop the clients of
+            // the old and the new parser URL, so the next request uses the new settings
+            for (const parserUrl of new Set([previous.parser_url, type.parser_url])) {
+                if (parserUrl) {
+                    this.parserClientPool.invalidate(parserUrl);
+                }
+            }
+            res.status(200).json({ status: 'success', data: type });
+        } catch (error) {
+            if (error.code === UNIQUE_VIOLATION) {
+                return this._nameTaken(res, data.name);
+            }
+            console.error('Error updating subscription type', { type_id: id, error: error.message, stack: error.stack });
+            next(error);
+        }
+    }
+
+    /**
+     * Handles POST /api/subscription-types/:id/deactivate
+     * The type's subscriptions are kept but no longer processed.
+     */
+    async deactivateType(req, res, next) {
+        return this._setActive(req, res, next, false);
+    }
+
+    /**
+     * Handles POST /api/subscription-types/:id/activate
+     */
+    async activateType(req, res, next) {
+        return this._setActive(req, res, next, true);
+    }
+
+    /**
+     * Handles POST /api/subscription-types/:id/test
+     * Checks whether the type's parser answers (GET {parser_url}/health), bypassing its
+     * circuit breaker.
+     */
+    async testType(req, res, next) {
+        const { id } = req.params;
+        try {
+            const type = await this.subscriptionTypeRepository.findById(id);
+            if (!type) {
+                return this._notFound(res, id);
+            }
+            if (!type.parser_url) {
+                return res.status(400).json({
+                    status: 'error',
+                    error: 'Subscription type has no parser URL configured',
+                    type_id: id
+                });
+            }
+
+            const result = await this.parserClientPool.checkConnectivity(type.parser_url, { typeMetadata: type.metadata });
+            console.info('Tested subscription type parser', { type_id: id, parser_url: type.parser_url, ...result });
+            res.status(200).json({
+                status: 'success',
+                data: {
+                    type_id: id,
+                    parser_url: type.parser_url,
+                    ...result
+                }
+            });
+        } catch (error) {
+            console.error('Error testing subscription type parser', { type_id: id, error: error.message, stack: error.stack });
+            next(error);
+        }
+    }
+
+    /**
+     * Handles GET /api/subscription-types/:id/capabilities
+     * Responds with what the type's parser reports at GET /api/capabilities, from the cache
+     * unless ?refresh=true.
+     */
+    async getCapabilities(req, res, next) {
+        const { id } = req.params;
+        const refresh = req.query.refresh === 'true';
+        try {
+            const type = await this.subscriptionTypeRepository.findById(id);
+            if (!type) {
+                return this._notFound(res, id);
+            }
+            if (!type.parser_url) {
+                return res.status(400).json({
+                    status: 'error',
+                    error: 'Subscription type has no parser URL configured',
+                    type_id: id
+                });
+            }
+
+            const capabilities = await this.parserClientPool.getCapabilities(type.parser_url, {
+                typeMetadata: type.metadata,
+                refresh
+            });
+            res.status(200).json({
+                status: 'success',
+                data: {
+                    type_id: id,
+                    parser_url: type.parser_url,
+                    ...capabilities
+                }
+            });
+        } catch (error) {
+            console.error('Error fetching subscription type parser capabilities', { type_id: id, error: error.message, stack: error.stack });
+            next(error);
+        }
+    }
+
+    /** Activate or deactivate a subscription type */
+    async _setActive(req, res, next, active) {
+        const { id } = req.params;
+        try {
+            const type = await this.subscriptionTypeRepository.setActive(id, active);
+            if (!type) {
+                return this._notFound(res, id);
+            }
+            res.status(200).json({ status: 'success', data: type });
+        } catch (error) {
+            console.error('Error changing subscription type state', { type_id: id, active, error: error.message, stack: error.stack });
+            next(error);
+        }
+    }
+
+    _invalid(res, errors) {
+        return res.status(400).json({
+            status: 'error',
+            error: 'Invalid subscription type',
+            message: errors.join('; '),
+            errors
+        });
+    }
+
+    _notFound(res, id) {
+        return res.status(404).json({
+            status: 'error',
+            error: 'Subscription type not found',
+            type_id: id
+        });
+    }
+
+    _nameTaken(res, name, typeId = null) {
+        return res.status(409).json({
+            status: 'error',
+            error: 'Subscription type name already exists',
+            name,
+            ...(typeId && { type_id: typeId })
+        });
+    }
+}
+
+module.exports = { SubscriptionTypeController };
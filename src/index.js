@@ -10,13 +10,28 @@ require('dotenv').config();
 const { 
     SubscriptionRepository,
     NotificationRepository, 
-    ProcessTrackingRepository 
+    ProcessTrackingRepository,
+    BatchRepository,
+    DeadLetterRepository,
+    OutboxRepository,
+    DeliveryAttemptRepository,
+    DigestRepository,
+    SubscriptionTypeRepository
 } = require('./repositories');
 
 const { SubscriptionService } = require('./services/SubscriptionService');
+const { ProcessingQueueService } = require('./services/ProcessingQueueService');
+const { ProcessingEvents } = require('./services/ProcessingEvents');
+const { NotificationOutboxRelay } = require('./services/NotificationOutboxRelay');
+const { DigestService } = require('./services/DigestService');
 const { SubscriptionController } = require('./controllers/SubscriptionController');
-const ParserClient = require('./clients/ParserClient');
+const { NotificationController } = require('./controllers/NotificationController');
+const { DigestController } = require('./controllers/DigestController');
+const { ParserController } = require('./controllers/ParserController');
+const { SubscriptionTypeController } = require('./controllers/SubscriptionTypeController');
+const ParserClientPool = require('./clients/ParserClientPool');
 const NotificationClient = require('./clients/NotificationClient');
+const { createDeliveryChannels } = require('./clients/channels');
 const { getSecret } = require('./config/secrets');
 const { process } = require('./utils');
 const createApiRouter = require('./routes/api/index');
@@ -79,17 +94,18 @@ async function createDatabasePool() {
 
 /**
  * Initialize external service clients
+ * @param {Object} [options]
+ * @param {Object} [options.deadLetterRepository] - Store for notification events whose publish failed
  */
-async function initializeClients() {
+async function initializeClients({ deadLetterRepository } = {}) {
     try {
         console.log('[DEBUG initializeClients] Starting client initialization');
         
-        // Initialize parser client
-        const parserClient = new ParserClient({});
-        await parserClient.initialize();
-        const parserApiKey = parserClient.parserApiKey;
+        // Initialize parser client pool (one client per parser URL)
+        const parserClientPool = new ParserClientPool({});
+        await parserClientPool.initialize();
         
-        console.log('[DEBUG initializeClients] Parser client initialized, setting up notification client');
+        console.log('[DEBUG initializeClients] Parser client pool initialized, setting up notification client');
         
         // Initialize notification client
         // Use globalThis.process to avoid conflicts with the imported 'process' utility
@@ -102,12 +118,13 @@ async function initializeClients() {
         // Create notification client with a project ID - which can be null in development
         const notificationClient = new NotificationClient({
             projectId: pubsubProject,
-            topicName: globalThis.process.env.NOTIFICATION_TOPIC || 'subscription-notifications'
+            topicName: globalThis.process.env.NOTIFICATION_TOPIC || 'subscription-notifications',
+            deadLetterRepository
         });
         
         console.log('[DEBUG initializeClients] All clients initialized successfully');
         
-        return { parserClient, notificationClient, parserApiKey };
+        return { parserClientPool, notificationClient };
     } catch (error) {
         console.error('[DEBUG initializeClients] Error initializing clients:', error);
         throw error;
@@ -122,8 +139,13 @@ function registerRoutes(app, dependencies) {
     const { 
         pool, 
         subscriptionController, 
+        notificationController,
+        digestController,
+        parserController,
+        subscriptionTypeController,
         subscriptionService,
-        parserApiKey 
+        subscriptionTypeRepository,
+        parserClientPool
     } = dependencies;
 
     // Health Check Routes
@@ -131,7 +153,16 @@ function registerRoutes(app, dependencies) {
     console.debug('Registered health routes.');
 
     // Primary API Routes
-    app.use('/api', createApiRouter({ subscriptionController, parserApiKey, pool })); 
+    app.use('/api', createApiRouter({
+        subscriptionController,
+        notificationController,
+        digestController,
+        parserController,
+        subscriptionTypeController,
+        subscriptionTypeRepository,
+        parserClientPool,
+        pool
+    })); 
     console.debug('Registered API routes under /api.');
 
     // Debug Routes - Always enable for subscription type management
@@ -252,36 +283,79 @@ async function startServer() {
             console.info('Database connection established successfully');
         }
         
-        // Initialize external service clients
-        const { parserClient, notificationClient, parserApiKey } = await initializeClients();
-        
         console.log('Creating repositories with pool:', !!pool);
         
         // Initialize repositories
+        const deadLetterRepository = new DeadLetterRepository(pool);
+        
+        // Initialize external service clients
+        const { parserClientPool, notificationClient } = await initializeClients({ deadLetterRepository });
+        
         const subscriptionRepository = new SubscriptionRepository(pool);
         const notificationRepository = new NotificationRepository(pool);
         const processTrackingRepository = new ProcessTrackingRepository(pool);
+        const batchRepository = new BatchRepository(pool);
+        const outboxRepository = new OutboxRepository(pool);
+        const deliveryAttemptRepository = new DeliveryAttemptRepository(pool);
+        const digestRepository = new DigestRepository(pool);
+        const subscriptionTypeRepository = new SubscriptionTypeRepository(pool);
+
+        // Channels notification events are delivered through (Pub/Sub, webhooks)
+        const deliveryChannels = createDeliveryChannels({ notificationClient, subscriptionRepository });
 
         // Initialize service
+        const processingEvents = new ProcessingEvents();
         const subscriptionService = new SubscriptionService({
             subscriptionRepository,
             notificationRepository,
-            parserClient,
-            notificationClient,
+            parserClientPool,
+            subscriptionTypeRepository,
+            processingEvents
+        });
+
+        // Initialize processing queue
+        const processingQueue = new ProcessingQueueService({
+            processTrackingRepository,
+            subscriptionService
+        });
+
+        // Initialize the outbox relay publishing notification events
+        const outboxRelay = new NotificationOutboxRelay({
+            outboxRepository,
+            deliveryChannels,
+            deadLetterRepository,
+            deliveryAttemptRepository
         });
 
         // Initialize controller
         const subscriptionController = new SubscriptionController({
             subscriptionService,
-            processTrackingRepository
+            processTrackingRepository,
+            processingQueue,
+            batchRepository,
+            processingEvents
         });
+        const notificationController = new NotificationController({
+            deliveryChannels,
+            deadLetterRepository,
+            deliveryAttemptRepository
+        });
+        const digestService = new DigestService({ digestRepository });
+        const digestController = new DigestController({ digestService });
+        const parserController = new ParserController({ subscriptionService, subscriptionTypeRepository });
+        const subscriptionTypeController = new SubscriptionTypeController({ subscriptionTypeRepository, parserClientPool });
 
         // Collect dependencies needed for routing
         const routeDependencies = {
             pool,
             subscriptionController,
+            notificationController,
+            digestController,
+            parserController,
+            subscriptionTypeController,
             subscriptionService,
-            parserApiKey
+            subscriptionTypeRepository,
+            parserClientPool
         };
         console.info('Application components instantiated.');
 
@@ -317,7 +391,24 @@ async function startServer() {
             console.info({ port, node_env: globalThis.process.env.NODE_ENV }, `Server listening on port ${port}`);
         });
         
-        process.setupGracefulShutdown(server, pool);
+        // Start the processing queue and outbox relay (need a real database)
+        if (!mockDatabaseMode) {
+            processingQueue.start();
+            outboxRelay.start();
+        } else {
+            console.warn('Processing queue and outbox relay not started in mock database mode');
+        }
+        
+        process.setupGracefulShutdown(server, pool, {
+            stopTasks: [
+                () => subscriptionController.closeEventStreams(),
+                () => processingQueue.stop(),
+                () => outboxRelay.stop()
+            ],
+            cleanupTasks: [
+                () => parserClientPool.close()
+            ]
+        });
         console.info('--- Subscription Worker Started Successfully ---');
 
     } catch (error) {
@@ -63,22 +63,18 @@ const routeDocumentation = {
     }
   },
   
-  // BOE specific routes
-  '/api/boe/process': {
+  // Parser routes
+  '/api/parsers/:typeId/query': {
     POST: {
-      description: 'Process a BOE subscription with specific parameters',
+      description: 'Query the parser of a subscription type for prompts',
       body: {
         prompts: ['Array of search terms'],
-        user_id: 'User ID (UUID)',
-        subscription_id: 'Subscription ID (UUID)',
-        options: {
-          limit: 'Maximum number of results (optional)',
-          date: 'Date to search for (YYYY-MM-DD, optional)'
-        }
+        date: 'Date to search for (YYYY-MM-DD, optional)',
+        limit: 'Maximum number of results per prompt (optional)'
       },
       response_format: { 
         status: 'success|error',
-        entries: 'Array of matching entries'
+        data: 'Normalized matches and parser timing'
       }
     }
   }
@@ -216,7 +212,7 @@ const notFoundHandler = (req, res, next) => {
       '/api/subscriptions/process/:id': 'Process a subscription',
       '/api/subscriptions/pending': 'List pending subscriptions',
       '/api/subscriptions/batch/process': 'Process subscriptions in batch',
-      '/api/boe/process': 'Process BOE-specific subscription'
+      '/api/parsers/:typeId/query': 'Query the parser of a subscription type for prompts'
     }
   });
 };
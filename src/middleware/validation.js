@@ -21,23 +21,6 @@ function isValidUUID(id) {
   return uuidRegex.test(id);
 }
 
-/**
- * Validate ISO date format
- * @param {string} date - Date to validate
- * @returns {boolean} Whether the date is valid
- */
-function isValidDate(date) {
-  if (!date) return false;
-  
-  // Check if in ISO format (YYYY-MM-DD)
-  const isoRegex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!isoRegex.test(date)) return false;
-  
-  // Check if date is valid
-  const parsedDate = new Date(date);
-  return parsedDate instanceof Date && !isNaN(parsedDate);
-}
-
 /**
  * Validate subscription ID parameter
  */
@@ -71,80 +54,30 @@ function validateSubscriptionId(req, res, next) {
 }
 
 /**
- * Validate BOE process request
+ * Create a middleware validating that a path parameter is a UUID
+ * @param {string} paramName - Name of the path parameter
+ * @param {string} label - Human readable name used in error messages
+ * @param {string} examplePath - Example request path
+ * @returns {Function} Express middleware
  */
-function validateBOERequest(req, res, next) {
-  const errors = [];
-  
-  // Validate prompts
-  if (!req.body.prompts) {
-    errors.push('Missing required field: prompts');
-  } else if (!Array.isArray(req.body.prompts)) {
-    errors.push('prompts must be an array of strings');
-  } else if (req.body.prompts.length === 0) {
-    errors.push('prompts array cannot be empty');
-  } else {
-    for (const prompt of req.body.prompts) {
-      if (typeof prompt !== 'string') {
-        errors.push('All prompts must be strings');
-        break;
-      }
-    }
-  }
-  
-  // Validate user_id if provided
-  if (req.body.user_id && !isValidUUID(req.body.user_id)) {
-    errors.push('user_id must be a valid UUID');
-  }
-  
-  // Validate subscription_id if provided
-  if (req.body.subscription_id && !isValidUUID(req.body.subscription_id)) {
-    errors.push('subscription_id must be a valid UUID');
-  }
-  
-  // Validate options if provided
-  if (req.body.options) {
-    if (typeof req.body.options !== 'object') {
-      errors.push('options must be an object');
-    } else {
-      // Validate limit if provided
-      if (req.body.options.limit !== undefined) {
-        const limit = parseInt(req.body.options.limit);
-        if (isNaN(limit) || limit <= 0) {
-          errors.push('options.limit must be a positive number');
+function validateUuidParam(paramName, label, examplePath) {
+  return (req, res, next) => {
+    const value = req.params[paramName];
+    
+    if (!value || !isValidUUID(value)) {
+      return res.status(400).json({
+        status: 'error',
+        error: `Invalid ${label} format`,
+        message: `${label.charAt(0).toUpperCase()}${label.slice(1)} must be a valid UUID`,
+        provided: value,
+        usage: {
+          example: examplePath
         }
-      }
-      
-      // Validate date if provided
-      if (req.body.options.date && !isValidDate(req.body.options.date)) {
-        errors.push('options.date must be a valid date in ISO format (YYYY-MM-DD)');
-      }
+      });
     }
-  }
-  
-  // If there are validation errors, return them
-  if (errors.length > 0) {
-    return res.status(400).json({
-      status: 'error',
-      error: 'Validation failed',
-      message: 'The request contains validation errors',
-      validation_errors: errors,
-      usage: {
-        description: 'Process a BOE subscription with specific parameters',
-        example_body: {
-          prompts: ['Example search term', 'Another search term'],
-          user_id: '123e4567-e89b-12d3-a456-426614174000', // optional
-          subscription_id: '123e4567-e89b-12d3-a456-426614174000', // optional
-          options: {
-            limit: 10, // optional
-            date: '2023-01-01' // optional
-          }
-        }
-      }
-    });
-  }
-  
-  next();
+    
+    next();
+  };
 }
 
 /**
@@ -207,6 +140,6 @@ function validateBatchRequest(req, res, next) {
 
 module.exports = {
   validateSubscriptionId,
-  validateBOERequest,
+  validateUuidParam,
   validateBatchRequest
 };
\ No newline at end of file
@@ -0,0 +1,162 @@
+/**
+ * Repository for batch processing runs (processing_batches table)
+ */
+class BatchRepository {
+    constructor(pool) {
+        if (!pool) {
+            throw new Error('BatchRepository requires a database pool.');
+        }
+        this.pool = pool;
+    }
+
+    /**
+     * Creates a new batch record in the 'running' state.
+     * @param {Object} [options={}] - Batch details.
+     * @param {string} [options.traceId] - Trace ID of the request that started the batch.
+     * @returns {Promise<Object>} The created batch record.
+     */
+    async create({ traceId } = {}) {
+        try {
+            const result = await this.pool.query(
+                `INSERT INTO processing_batches (status, trace_id)
+                 VALUES ('running', $1)
+                 RETURNING *`,
+                [traceId || null]
+            );
+            console.info('Created processing batch', { batch_id: result.rows[0].id, trace_id: traceId });
+            return result.rows[0];
+        } catch (error) {
+            console.error('Error creating processing batch', { error: error.message, code: error.code });
+            throw error;
+        }
+    }
+
+    /**
+     * Stores the current progress of a batch.
+     * Progress snapshots are reported by concurrent workers and may arrive out of order, so
+     * one with fewer processed subscriptions than the stored one is dropped. Finished batches
+     * are left alone, except that a 'partial' batch still takes the progress of the
+     * subscriptions that were running when its time budget ran out.
+     * @param {string} batchId - The ID of the batch.
+     * @param {Object} progress - Counters as produced by SubscriptionService.processPendingSubscriptions.
+     * @param {string} [status] - New batch status; unchanged when omitted.
+     * @returns {Promise<void>}
+     */
+    async updateProgress(batchId, progress, status) {
+        try {
+            await this.pool.query(
+                `UPDATE processing_batches
+                 SET total = $2,
+                     processed = $3,
+                     success_count = $4,
+                     error_count = $5,
+                     skipped_count = $6,
+                     deferred_count = $7,
+                     by_type = $8::jsonb,
+                     error = $9,
+                     status = COALESCE($10, status),
+                     completed_at = CASE WHEN $10 IS NOT NULL AND $10 <> 'running' THEN NOW() ELSE completed_at END,
+                     updated_at = NOW()
+                 WHERE id = $1
+                   AND (status = 'running' OR (status = 'partial' AND $10::text IS NULL))
+                   AND ($10::text IS NOT NULL OR processed <= $3)`,
+                [
+                    batchId,
+                    progress.total || 0,
+                    progress.processed || 0,
+                    progress.success_count || 0,
+                    progress.error_count || 0,
+                    progress.skipped_count || 0,
+                    progress.deferred_count || 0,
+                    JSON.stringify(progress.by_type || {}),
+                    progress.error || null,
+                    status || null
+                ]
+            );
+        } catch (error) {
+            console.error('Error updating processing batch', {
+                batch_id: batchId,
+                error: error.message,
+                code: error.code
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Records that the instance running a batch is still alive.
+     * @param {string} batchId - The ID of the batch.
+     * @returns {Promise<void>}
+     */
+    async touch(batchId) {
+        try {
+            await this.pool.query(
+                `UPDATE processing_batches
+                 SET updated_at = NOW()
+                 WHERE id = $1 AND status = 'running'`,
+                [batchId]
+            );
+        } catch (error) {
+            console.error('Error touching processing batch', {
+                batch_id: batchId,
+                error: error.message,
+                code: error.code
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Fails running batches without progress or heartbeat for longer than staleMs,
+     * e.g. because the instance running them was recycled.
+     * @param {number} staleMs - Time without updates after which a batch counts as abandoned.
+     * @returns {Promise<string[]>} IDs of the batches failed.
+     */
+    async failStaleBatches(staleMs) {
+        try {
+            const result = await this.pool.query(
+                `UPDATE processing_batches
+                 SET status = 'error',
+                     error = 'Batch abandoned: no progress since ' || to_char(updated_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS"Z"'),
+                     completed_at = NOW(),
+                     updated_at = NOW()
+                 WHERE status = 'running'
+                   AND updated_at < NOW() - ($1::integer * INTERVAL '1 millisecond')
+                 RETURNING id`,
+                [staleMs]
+            );
+            const batchIds = result.rows.map(row => row.id);
+            if (batchIds.length > 0) {
+                console.warn('Failed abandoned processing batches', { batch_ids: batchIds, stale_ms: staleMs });
+            }
+            return batchIds;
+        } catch (error) {
+            console.error('Error failing stale processing batches', { error: error.message, code: error.code });
+            throw error;
+        }
+    }
+
+    /**
+     * Find a batch by its ID.
+     * @param {string} batchId - The ID of the batch.
+     * @returns {Promise<Object|null>} The batch record or null if not found.
+     */
+    async findById(batchId) {
+        try {
+            const result = await this.pool.query(
+                'SELECT * FROM processing_batches WHERE id = $1',
+                [batchId]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error finding processing batch', {
+                batch_id: batchId,
+                error: error.message,
+                code: error.code
+            });
+            throw error;
+        }
+    }
+}
+
+module.exports = { BatchRepository };
@@ -0,0 +1,174 @@
+/**
+ * Repository for notification events that could not be published (notification_dead_letters table)
+ */
+class DeadLetterRepository {
+    constructor(pool) {
+        if (!pool) {
+            throw new Error('DeadLetterRepository requires a database pool.');
+        }
+        this.pool = pool;
+    }
+
+    /**
+     * Stores a notification event whose publish failed.
+     * @param {Object} deadLetter - Dead letter details.
+     * @param {string} [deadLetter.notificationId] - ID of the notification the event is about.
+     * @param {string} deadLetter.topic - Topic the event was published to.
+     * @param {Object} deadLetter.payload - The event payload.
+     * @param {string} deadLetter.error - Publish error message.
+     * @param {string} [deadLetter.channel='pubsub'] - Delivery channel of the event.
+     * @param {Object} [deadLetter.destination] - Channel destination (e.g., the webhook URL).
+     * @returns {Promise<Object>} The created dead letter.
+     */
+    async create({ notificationId, topic, payload, error, channel = 'pubsub', destination = null }) {
+        try {
+            const result = await this.pool.query(
+                `INSERT INTO notification_dead_letters (notification_id, topic, payload, error, channel, destination)
+                 VALUES ($1, $2, $3::jsonb, $4, $5, $6::jsonb)
+                 RETURNING *`,
+                [
+                    notificationId || null,
+                    topic,
+                    JSON.stringify(payload),
+                    error || null,
+                    channel,
+                    destination ? JSON.stringify(destination) : null
+                ]
+            );
+            console.warn('Stored notification dead letter', {
+                dead_letter_id: result.rows[0].id,
+                notification_id: notificationId,
+                channel,
+                topic
+            });
+            return result.rows[0];
+        } catch (err) {
+            console.error('Error storing notification dead letter', {
+                notification_id: notificationId,
+                error: err.message,
+                code: err.code
+            });
+            throw err;
+        }
+    }
+
+    /**
+     * Lists dead letters, newest first.
+     * @param {Object} [options={}] - Filters.
+     * @param {string} [options.status] - Only dead letters with this status ('pending', 'replaying' or 'replayed').
+     * @param {number} [options.limit=50] - Maximum number of dead letters.
+     * @param {number} [options.offset=0] - Number of dead letters to skip.
+     * @returns {Promise<{ total: number, dead_letters: Array<Object> }>}
+     */
+    async list({ status, limit = 50, offset = 0 } = {}) {
+        try {
+            const [rows, count] = await Promise.all([
+                this.pool.query(
+                    `SELECT * FROM notification_dead_letters
+                     WHERE ($1::text IS NULL OR status = $1)
+                     ORDER BY created_at DESC
+                     LIMIT $2 OFFSET $3`,
+                    [status || null, limit, offset]
+                ),
+                this.pool.query(
+                    `SELECT COUNT(*)::int AS total FROM notification_dead_letters
+                     WHERE ($1::text IS NULL OR status = $1)`,
+                    [status || null]
+                )
+            ]);
+            return { total: count.rows[0]?.total || 0, dead_letters: rows.rows };
+        } catch (error) {
+            console.error('Error listing notification dead letters', { error: error.message, code: error.code });
+            throw error;
+        }
+    }
+
+    /**
+     * Find a dead letter by its ID.
+     * @param {string} deadLetterId - The ID of the dead letter.
+     * @returns {Promise<Object|null>} The dead letter or null if not found.
+     */
+    async findById(deadLetterId) {
+        try {
+            const result = await this.pool.query(
+                'SELECT * FROM notification_dead_letters WHERE id = $1',
+                [deadLetterId]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error finding notification dead letter', {
+                dead_letter_id: deadLetterId,
+                error: error.message,
+                code: error.code
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Claims a pending dead letter for a replay by moving it to 'replaying', so concurrent
+     * replay requests cannot deliver it twice. A dead letter left 'replaying' for longer
+     * than lockMs (its replay never finished, e.g. the instance went away) can be claimed again.
+     * @param {string} deadLetterId - The ID of the dead letter.
+     * @param {number} lockMs - Time after which an unfinished replay no longer holds the dead letter.
+     * @returns {Promise<Object|null>} The claimed dead letter, or null if it is missing, replayed or being replayed.
+     */
+    async claimForReplay(deadLetterId, lockMs) {
+        try {
+            const result = await this.pool.query(
+                `UPDATE notification_dead_letters
+                 SET status = 'replaying',
+                     updated_at = NOW()
+                 WHERE id = $1
+                   AND (status = 'pending'
+                        OR (status = 'replaying' AND updated_at < NOW() - ($2::integer * INTERVAL '1 millisecond')))
+                 RETURNING *`,
+                [deadLetterId, lockMs]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error claiming notification dead letter', {
+                dead_letter_id: deadLetterId,
+                error: error.message,
+                code: error.code
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Records a replay attempt of a dead letter claimed with claimForReplay.
+     * @param {string} deadLetterId - The ID of the dead letter.
+     * @param {Object} outcome - Replay outcome.
+     * @param {boolean} outcome.succeeded - Whether the event was delivered.
+     * @param {string} [outcome.messageId] - Message ID of a successful publish.
+     * @param {string} [outcome.error] - Error of a failed delivery; the dead letter goes back to pending.
+     * @returns {Promise<Object|null>} The updated dead letter.
+     */
+    async recordReplay(deadLetterId, { succeeded, messageId = null, error = null }) {
+        try {
+            const result = await this.pool.query(
+                `UPDATE notification_dead_letters
+                 SET replay_attempts = replay_attempts + 1,
+                     status = CASE WHEN $2 THEN 'replayed' ELSE 'pending' END,
+                     message_id = COALESCE($3, message_id),
+                     replayed_at = CASE WHEN $2 THEN NOW() ELSE replayed_at END,
+                     error = COALESCE($4, error),
+                     updated_at = NOW()
+                 WHERE id = $1
+                 RETURNING *`,
+                [deadLetterId, !!succeeded, messageId, error]
+            );
+            return result.rows[0] || null;
+        } catch (err) {
+            console.error('Error recording notification dead letter replay', {
+                dead_letter_id: deadLetterId,
+                error: err.message,
+                code: err.code
+            });
+            throw err;
+        }
+    }
+}
+
+module.exports = { DeadLetterRepository };
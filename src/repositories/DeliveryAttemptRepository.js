@@ -0,0 +1,70 @@
+/**
+ * Repository for notification delivery attempts (notification_delivery_attempts table)
+ */
+class DeliveryAttemptRepository {
+    constructor(pool) {
+        if (!pool) {
+            throw new Error('DeliveryAttemptRepository requires a database pool.');
+        }
+        this.pool = pool;
+    }
+
+    /**
+     * Records one delivery attempt.
+     * @param {Object} attempt - Attempt details.
+     * @param {string|number} [attempt.outboxId] - Outbox row that was delivered.
+     * @param {string} [attempt.deadLetterId] - Dead letter that was replayed.
+     * @param {string} [attempt.notificationId] - Notification the message is about.
+     * @param {string} attempt.channel - Delivery channel name.
+     * @param {string} [attempt.destination] - Topic or URL.
+     * @param {string} attempt.status - 'success' or 'failed'.
+     * @param {number} [attempt.responseStatus] - HTTP status of the receiving endpoint.
+     * @param {string} [attempt.responseBody] - Response body, truncated.
+     * @param {string} [attempt.error] - Error message of a failed attempt.
+     * @param {number} [attempt.durationMs] - Time the attempt took.
+     * @returns {Promise<void>}
+     */
+    async record({
+        outboxId = null,
+        deadLetterId = null,
+        notificationId = null,
+        channel,
+        destination = null,
+        status,
+        responseStatus = null,
+        responseBody = null,
+        error = null,
+        durationMs = null
+    }) {
+        try {
+            await this.pool.query(
+                `INSERT INTO notification_delivery_attempts (
+                    outbox_id, dead_letter_id, notification_id, channel, destination,
+                    status, response_status, response_body, error, duration_ms
+                 ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+                [
+                    outboxId,
+                    deadLetterId,
+                    notificationId,
+                    channel,
+                    destination,
+                    status,
+                    responseStatus,
+                    responseBody,
+                    error,
+                    durationMs
+                ]
+            );
+        } catch (err) {
+            console.error('Error recording notification delivery attempt', {
+                outbox_id: outboxId,
+                dead_letter_id: deadLetterId,
+                error: err.message,
+                code: err.code
+            });
+            throw err;
+        }
+    }
+}
+
+module.exports = { DeliveryAttemptRepository };
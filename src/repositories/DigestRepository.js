@@ -0,0 +1,155 @@
+const { insertOutboxRow } = require('./OutboxRepository');
+const { parseEmailSettings } = require('../utils/notification-settings');
+
+/**
+ * Repository for daily email digests (digest_runs table) and the notifications they report.
+ * Day boundaries are computed in the given time zone.
+ */
+class DigestRepository {
+    constructor(pool) {
+        if (!pool) {
+            throw new Error('DigestRepository requires a database pool.');
+        }
+        this.pool = pool;
+    }
+
+    /**
+     * Finds the users due a digest for a date: daily frequency with email notifications on,
+     * notifications created that day and no digest for the date yet.
+     * @param {string} digestDate - Date of the digest (YYYY-MM-DD).
+     * @param {string} timeZone - Time zone the date is interpreted in.
+     * @returns {Promise<Array<Object>>} { userId, enabled, email, frequency } per user.
+     */
+    async findDueUsers(digestDate, timeZone) {
+        try {
+            // ->> yields 'true' for both the boolean and the string form of the flag
+            const result = await this.pool.query(
+                `SELECT u.id AS user_id, u.email, u.notification_settings
+                 FROM users u
+                 WHERE u.notification_settings->>'frequency' = 'daily'
+                   AND u.notification_settings->>'emailNotifications' = 'true'
+                   AND NOT EXISTS (
+                     SELECT 1 FROM digest_runs d
+                     WHERE d.user_id = u.id AND d.digest_date = $1::date
+                   )
+                   AND EXISTS (
+                     SELECT 1 FROM notifications n
+                     WHERE n.user_id = u.id
+                       AND n.created_at >= ($1::date)::timestamp AT TIME ZONE $2
+                       AND n.created_at < ($1::date + 1)::timestamp AT TIME ZONE $2
+                   )
+                 ORDER BY u.id`,
+                [digestDate, timeZone]
+            );
+            return result.rows.map(row => ({
+                userId: row.user_id,
+                ...parseEmailSettings(row.notification_settings, row.email)
+            }));
+        } catch (error) {
+            console.error('Error finding users due a digest', {
+                digest_date: digestDate,
+                error: error.message,
+                code: error.code
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Finds a user's notifications of one day across all their subscriptions.
+     * @param {string} userId - The user.
+     * @param {string} digestDate - Date of the digest (YYYY-MM-DD).
+     * @param {string} timeZone - Time zone the date is interpreted in.
+     * @returns {Promise<Array<Object>>} Notifications with subscription_name and type_name,
+     *   ordered by subscription and creation time.
+     */
+    async findNotificationsForDay(userId, digestDate, timeZone) {
+        try {
+            const result = await this.pool.query(
+                `SELECT n.id, n.subscription_id, s.name AS subscription_name, t.name AS type_name,
+                        n.title, n.content, n.source_url, n.metadata, n.created_at
+                 FROM notifications n
+                 LEFT JOIN subscriptions s ON s.id = n.subscription_id
+                 LEFT JOIN subscription_types t ON t.id = s.type_id
+                 WHERE n.user_id = $1
+                   AND n.created_at >= ($2::date)::timestamp AT TIME ZONE $3
+                   AND n.created_at < ($2::date + 1)::timestamp AT TIME ZONE $3
+                 ORDER BY n.subscription_id, n.created_at, n.id`,
+                [userId, digestDate, timeZone]
+            );
+            return result.rows;
+        } catch (error) {
+            console.error('Error finding notifications for digest', {
+                user_id: userId,
+                digest_date: digestDate,
+                error: error.message,
+                code: error.code
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Records a user's digest for a date and queues its email in the outbox, in one transaction.
+     * @param {Object} digest - The digest.
+     * @param {string} digest.userId - The user.
+     * @param {string} digest.digestDate - Date of the digest (YYYY-MM-DD).
+     * @param {number} digest.notificationCount - Notifications in the digest.
+     * @param {number} digest.subscriptionCount - Subscriptions in the digest.
+     * @param {Object} digest.destination - Email channel destination ({ email, frequency }).
+     * @param {Object} digest.payload - Digest message.
+     * @returns {Promise<Object|null>} The digest_runs row, or null if the user already has a
+     *   digest for the date.
+     */
+    async createDigest({ userId, digestDate, notificationCount, subscriptionCount, destination, payload }) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await client.query(
+                `INSERT INTO digest_runs (user_id, digest_date, notification_count, subscription_count)
+                 VALUES ($1, $2::date, $3, $4)
+                 ON CONFLICT (user_id, digest_date) DO NOTHING
+                 RETURNING id, user_id, digest_date, notification_count, subscription_count, created_at`,
+                [userId, digestDate, notificationCount, subscriptionCount]
+            );
+            if (result.rowCount === 0) {
+                await client.query('ROLLBACK');
+                console.info('Skipped digest already created', { user_id: userId, digest_date: digestDate });
+                return null;
+            }
+
+            const digestRun = result.rows[0];
+            const outboxId = await insertOutboxRow(client, {
+                userId,
+                channel: 'email',
+                destination,
+                payload: { digest_id: digestRun.id, ...payload }
+            });
+            await client.query(
+                `UPDATE digest_runs SET outbox_id = $2 WHERE id = $1`,
+                [digestRun.id, outboxId]
+            );
+            await client.query('COMMIT');
+
+            console.info('Created digest', {
+                digest_id: digestRun.id,
+                user_id: userId,
+                digest_date: digestDate,
+                notifications: notificationCount
+            });
+            return { ...digestRun, outbox_id: outboxId };
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            console.error('Error creating digest', {
+                user_id: userId,
+                digest_date: digestDate,
+                error: error.message
+            });
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = { DigestRepository };
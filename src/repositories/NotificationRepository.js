@@ -1,3 +1,30 @@
+const crypto = require('crypto');
+const { insertOutboxRow } = require('./OutboxRepository');
+
+/**
+ * Builds the stable deduplication key of a notification.
+ * The document is identified by its HTML link, falling back to the parser's
+ * document ID. Without either, documents sharing a title and date (e.g. recurring
+ * announcements) are told apart by a hash of their content, so matching the same
+ * document for two prompts still yields one notification.
+ * @param {Object} notificationData - Notification data
+ * @returns {string} SHA-256 hex digest
+ */
+function buildDedupKey({ user_id, subscription_id, source_url, metadata = {}, title, content }) {
+    let documentRef = source_url || metadata.document_id;
+    if (!documentRef) {
+        const contentHash = crypto.createHash('sha256').update(content || '').digest('hex');
+        documentRef = `${title || ''}|${metadata.publication_date || ''}|${contentHash}`;
+    }
+    return crypto
+        .createHash('sha256')
+        .update(`${user_id}|${subscription_id}|${documentRef}`)
+        .digest('hex');
+}
+
+// Outbox rows written when the caller does not name the channels to deliver through
+const DEFAULT_CHANNELS = [{ channel: 'pubsub' }];
+
 class NotificationRepository {
     constructor(pool) {
         if (!pool) {
@@ -17,77 +44,220 @@ class NotificationRepository {
      * @param {Object} notificationData.metadata
      * @param {string} [notificationData.entity_type]
      * @param {Date} [notificationData.created_at] - Optional creation date, defaults to NOW()
-     * @returns {Promise<Object>} The created notification object (including its ID).
+     * @param {string} [notificationData.dedup_key] - Optional deduplication key; a notification
+     *   whose key already exists is not inserted again.
+     * @param {Object} [options={}]
+     * @param {Object} [options.event] - Notification event to announce; written to the
+     *   notification_outbox in the same transaction, with the notification ID added.
+     * @param {Array<Object>} [options.channels] - Delivery channels of the event, one outbox row
+     *   each ({ channel, destination, buildPayload }); defaults to Pub/Sub only. A channel with
+     *   buildPayload gets buildPayload(notification) instead of the event.
+     * @returns {Promise<Object|null>} The created notification object (including its ID),
+     *   or null if it was suppressed as a duplicate.
      */
-    async create(notificationData) {
-        const { 
-            user_id, subscription_id, title, content, 
-            source_url, metadata, entity_type, created_at 
-        } = notificationData;
+    async create(notificationData, { event, channels = DEFAULT_CHANNELS } = {}) {
+        const { user_id, subscription_id } = notificationData;
 
         console.debug('Creating notification', { user_id: user_id, subscription_id: subscription_id });
 
+        const client = await this.pool.connect();
         try {
-            const result = await this.pool.query(
-                `INSERT INTO notifications (
-                  user_id,
-                  subscription_id,
-                  title,
-                  content,
-                  source_url,
-                  metadata,
-                  entity_type,
-                  created_at
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-                RETURNING id, user_id, subscription_id, title, content, source_url, metadata, entity_type, created_at`, // Return the full created row
-                [
-                  user_id,
-                  subscription_id,
-                  title,
-                  content,
-                  source_url || '',
-                  JSON.stringify(metadata || {}),
-                  entity_type || 'subscription', // Default to 'subscription' if not provided
-                  created_at || new Date() // Use provided date or default to now
-                ]
-            );
-
-            if (result.rowCount === 0) {
-                console.error('Failed to insert notification, no rows returned.', { user_id, subscription_id });
-                throw new Error('Notification creation failed in DB.');
+            await client.query('BEGIN');
+            const notification = await this._insert(client, notificationData);
+            if (notification && event) {
+                for (const { channel, destination, buildPayload } of channels) {
+                    await insertOutboxRow(client, {
+                        notificationId: notification.id,
+                        userId: user_id,
+                        channel,
+                        destination,
+                        payload: buildPayload
+                            ? buildPayload(notification)
+                            : { notification_id: notification.id, ...event }
+                    });
+                }
             }
+            await client.query('COMMIT');
 
-            console.info('Successfully created notification', { notification_id: result.rows[0].id });
-            return result.rows[0]; // Return the created notification object
+            if (notification) {
+                console.info('Successfully created notification', { notification_id: notification.id });
+            }
+            return notification; // Return the created notification object
 
         } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
             console.error('Error creating notification in database', { error: error.message });
             throw error; // Re-throw for the service layer
+        } finally {
+            client.release();
         }
     }
 
     /**
      * Creates a new notification from match data.
      * This method provides a simpler interface used by the SubscriptionService.
+     * A dedup key is derived from user, subscription and document unless one is provided.
      * 
      * @param {Object} notificationData - Notification data with match information
-     * @returns {Promise<Object>} The created notification
+     * @param {Object} [options] - Passed to create (e.g., the outbox event)
+     * @returns {Promise<Object|null>} The created notification, or null for a duplicate
+     */
+    async createNotification(notificationData, options) {
+        return this.create(this._fromMatch(notificationData), options);
+    }
+
+    /**
+     * Creates the notifications of a processing run and one outbox row per delivery channel
+     * announcing them, all in one transaction. Duplicates are skipped; no outbox row is written when
+     * every notification was a duplicate.
+     * @param {Array<Object>} notificationsData - Notification data with match information,
+     *   as accepted by createNotification.
+     * @param {Object} run - Outbox message of the run.
+     * @param {string} run.userId - User the message is about.
+     * @param {string} run.topic - Topic the message is published to.
+     * @param {string} [run.processingId] - Processing run the message reports.
+     * @param {Function} run.buildEvent - Receives the created notifications and the indexes of their
+     *   entries in notificationsData, and returns the message.
+     * @param {Array<Object>} [run.channels] - Delivery channels of the message ({ channel, destination,
+     *   buildPayload }); defaults to Pub/Sub only. A channel with buildPayload gets one row per created
+     *   notification, with buildPayload(notification) as payload, instead of the run message.
+     * @returns {Promise<{ created: Array<Object>, duplicates: number }>}
+     */
+    async createForRun(notificationsData, { userId, topic, processingId, buildEvent, channels = DEFAULT_CHANNELS }) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const created = [];
+            const createdIndexes = [];
+            let duplicates = 0;
+            for (const [index, notificationData] of notificationsData.entries()) {
+                const notification = await this._insert(client, this._fromMatch(notificationData));
+                if (notification) {
+                    created.push(notification);
+                    createdIndexes.push(index);
+                } else {
+                    duplicates++;
+                }
+            }
+            if (created.length > 0) {
+                const payload = buildEvent(created, createdIndexes);
+                for (const { channel, destination, buildPayload } of channels) {
+                    if (!buildPayload) {
+                        await insertOutboxRow(client, {
+                            userId,
+                            topic,
+                            processingId,
+                            channel,
+                            destination,
+                            payload
+                        });
+                        continue;
+                    }
+                    for (const notification of created) {
+                        await insertOutboxRow(client, {
+                            notificationId: notification.id,
+                            userId,
+                            processingId,
+                            channel,
+                            destination,
+                            payload: buildPayload(notification)
+                        });
+                    }
+                }
+            }
+            await client.query('COMMIT');
+
+            console.info('Created notifications of processing run', {
+                user_id: userId,
+                processing_id: processingId,
+                created: created.length,
+                duplicates
+            });
+            return { created, duplicates };
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            console.error('Error creating notifications of processing run', {
+                processing_id: processingId,
+                error: error.message
+            });
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Standardized notification data for match data: entity type from the document
+     * type and a dedup key unless one is provided. created_at is kept when given.
+     * @private
      */
-    async createNotification(notificationData) {
+    _fromMatch(notificationData) {
         // Determine entity type based on document_type if available
         const documentType = notificationData.metadata?.document_type || 'document';
         const entityType = `${documentType.toLowerCase()}`;
         
-        // Create standardized notification data
-        return this.create({
+        return {
             user_id: notificationData.user_id,
             subscription_id: notificationData.subscription_id,
             title: notificationData.title,
             content: notificationData.content,
             source_url: notificationData.source_url || '',
             metadata: notificationData.metadata || {},
-            entity_type: entityType
-        });
+            entity_type: entityType,
+            created_at: notificationData.created_at,
+            dedup_key: notificationData.dedup_key || buildDedupKey(notificationData)
+        };
+    }
+
+    /**
+     * Inserts one notification inside a transaction.
+     * @private
+     * @returns {Promise<Object|null>} The created row, or null for a duplicate
+     */
+    async _insert(client, notificationData) {
+        const { 
+            user_id, subscription_id, title, content, 
+            source_url, metadata, entity_type, created_at, dedup_key 
+        } = notificationData;
+
+        const result = await client.query(
+            `INSERT INTO notifications (
+              user_id,
+              subscription_id,
+              title,
+              content,
+              source_url,
+              metadata,
+              entity_type,
+              created_at,
+              dedup_key
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            ON CONFLICT (dedup_key) WHERE dedup_key IS NOT NULL DO NOTHING
+            RETURNING id, user_id, subscription_id, title, content, source_url, metadata, entity_type, created_at, dedup_key`, // Return the full created row
+            [
+              user_id,
+              subscription_id,
+              title,
+              content,
+              source_url || '',
+              JSON.stringify(metadata || {}),
+              entity_type || 'subscription', // Default to 'subscription' if not provided
+              created_at || new Date(), // Use provided date or default to now
+              dedup_key || null
+            ]
+        );
+
+        if (result.rowCount === 0 && dedup_key) {
+            console.info('Skipped duplicate notification', { user_id, subscription_id, dedup_key });
+            return null;
+        }
+
+        if (result.rowCount === 0) {
+            console.error('Failed to insert notification, no rows returned.', { user_id, subscription_id });
+            throw new Error('Notification creation failed in DB.');
+        }
+
+        return result.rows[0];
     }
 
     // Add other methods as needed, e.g.:
@@ -96,4 +266,4 @@ class NotificationRepository {
     // async markAsRead(notificationId) { ... }
 }
 
-module.exports = { NotificationRepository }; 
\ No newline at end of file
+module.exports = { NotificationRepository, buildDedupKey }; 
\ No newline at end of file
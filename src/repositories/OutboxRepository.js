@@ -0,0 +1,178 @@
+/**
+ * Inserts a notification_outbox row inside a caller's transaction; the outbox relay delivers it.
+ * @param {Object} client - Client of the open transaction.
+ * @param {Object} row - The row.
+ * @param {string} [row.notificationId] - Notification the row announces, if it is about one.
+ * @param {string} row.userId - User the row is about; rows of a user are delivered in order.
+ * @param {string} [row.topic] - Pub/Sub topic, for the pubsub channel.
+ * @param {string} [row.processingId] - Processing run the row reports.
+ * @param {string} [row.channel='pubsub'] - Delivery channel.
+ * @param {Object} [row.destination] - Channel-specific destination.
+ * @param {Object} row.payload - Message to deliver.
+ * @returns {Promise<string>} The ID of the outbox row.
+ */
+async function insertOutboxRow(client, {
+    notificationId = null, userId, topic = null, processingId = null,
+    channel = 'pubsub', destination = null, payload
+}) {
+    const result = await client.query(
+        `INSERT INTO notification_outbox (notification_id, user_id, topic, processing_id, channel, destination, payload)
+         VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7::jsonb)
+         RETURNING id`,
+        [
+            notificationId,
+            userId,
+            topic,
+            processingId,
+            channel,
+            destination ? JSON.stringify(destination) : null,
+            JSON.stringify(payload)
+        ]
+    );
+    return result.rows[0]?.id;
+}
+
+/**
+ * Repository for the notification outbox (notification_outbox table).
+ * Rows are inserted with insertOutboxRow in the transaction that creates what they
+ * announce (notifications, digests) and published by the NotificationOutboxRelay.
+ */
+class OutboxRepository {
+    constructor(pool) {
+        if (!pool) {
+            throw new Error('OutboxRepository requires a database pool.');
+        }
+        this.pool = pool;
+    }
+
+    /**
+     * Claims outbox rows that are ready to be published.
+     * Only the oldest pending row of each user, channel and destination (the subscription
+     * a row belongs to, or its URL) is eligible, so events to one destination are delivered
+     * in order and never two at a time; a failing webhook holds back neither the user's
+     * Pub/Sub messages nor the webhooks of their other subscriptions. A claimed row is locked for
+     * `lockMs`; if the relay dies before marking it, it is claimed again (at-least-once).
+     * @param {Object} [options={}] - Claim options.
+     * @param {number} [options.limit=50] - Maximum number of rows to claim.
+     * @param {number} [options.lockMs=30000] - How long the claim lasts.
+     * @returns {Promise<Array<Object>>} The claimed rows.
+     */
+    async claimBatch({ limit = 50, lockMs = 30000 } = {}) {
+        try {
+            const result = await this.pool.query(
+                `WITH heads AS (
+                    SELECT DISTINCT ON (user_id, channel, COALESCE(destination->>'subscription_id', destination->>'url', ''))
+                        id, next_attempt_at, locked_until
+                    FROM notification_outbox
+                    WHERE status = 'pending'
+                    ORDER BY user_id, channel, COALESCE(destination->>'subscription_id', destination->>'url', ''), id
+                ),
+                claimable AS (
+                    SELECT o.id
+                    FROM notification_outbox o
+                    JOIN heads h ON h.id = o.id
+                    WHERE h.next_attempt_at <= NOW()
+                      AND (o.locked_until IS NULL OR o.locked_until < NOW())
+                      AND o.status = 'pending'
+                    ORDER BY o.id
+                    LIMIT $1
+                    FOR UPDATE OF o SKIP LOCKED
+                )
+                UPDATE notification_outbox o
+                SET locked_until = NOW() + ($2 * INTERVAL '1 millisecond'),
+                    attempts = o.attempts + 1
+                FROM claimable c
+                WHERE o.id = c.id
+                RETURNING o.id, o.notification_id, o.user_id, o.channel, o.topic, o.destination, o.processing_id, o.payload, o.attempts, o.created_at`,
+                [limit, lockMs]
+            );
+            return result.rows;
+        } catch (error) {
+            console.error('Error claiming notification outbox rows', { error: error.message, code: error.code });
+            throw error;
+        }
+    }
+
+    /**
+     * Marks an outbox row as published.
+     * @param {string|number} outboxId - The ID of the outbox row.
+     * @param {string|null} messageId - Message ID returned by the publisher.
+     * @returns {Promise<void>}
+     */
+    async markSent(outboxId, messageId) {
+        try {
+            await this.pool.query(
+                `UPDATE notification_outbox
+                 SET status = 'sent',
+                     message_id = $2,
+                     locked_until = NULL,
+                     sent_at = NOW()
+                 WHERE id = $1`,
+                [outboxId, messageId || null]
+            );
+        } catch (error) {
+            console.error('Error marking notification outbox row as sent', {
+                outbox_id: outboxId,
+                error: error.message,
+                code: error.code
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Records a failed publish; the row stays pending and is retried after the delay.
+     * @param {string|number} outboxId - The ID of the outbox row.
+     * @param {string} errorMessage - Publish error.
+     * @param {number} delayMs - Time before the next attempt.
+     * @returns {Promise<void>}
+     */
+    async markFailed(outboxId, errorMessage, delayMs) {
+        try {
+            await this.pool.query(
+                `UPDATE notification_outbox
+                 SET last_error = $2,
+                     locked_until = NULL,
+                     next_attempt_at = NOW() + ($3 * INTERVAL '1 millisecond')
+                 WHERE id = $1`,
+                [outboxId, errorMessage, delayMs]
+            );
+        } catch (error) {
+            console.error('Error recording failed notification outbox publish', {
+                outbox_id: outboxId,
+                error: error.message,
+                code: error.code
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Gives up on an outbox row after it was moved to the dead-letter store,
+     * so the user's later events are no longer held back.
+     * @param {string|number} outboxId - The ID of the outbox row.
+     * @param {string} errorMessage - Last publish error.
+     * @returns {Promise<void>}
+     */
+    async markDeadLettered(outboxId, errorMessage) {
+        try {
+            await this.pool.query(
+                `UPDATE notification_outbox
+                 SET status = 'dead_lettered',
+                     last_error = $2,
+                     locked_until = NULL
+                 WHERE id = $1`,
+                [outboxId, errorMessage]
+            );
+        } catch (error) {
+            console.error('Error marking notification outbox row as dead-lettered', {
+                outbox_id: outboxId,
+                error: error.message,
+                code: error.code
+            });
+            throw error;
+        }
+    }
+}
+
+module.exports = { OutboxRepository, insertOutboxRow };
@@ -21,9 +21,10 @@ class ProcessTrackingRepository {
      * @param {string} subscriptionId - The ID of the subscription being processed.
      * @param {string} [initialStatus='pending'] - The initial status.
      * @param {Object} [subscriptionDetails={}] - Additional details about the subscription.
+     * @param {Object} [metadata={}] - Initial metadata stored on the record (e.g., trace_id).
      * @returns {Promise<Object>} The created processing record (including its ID).
      */
-    async createRecord(subscriptionId, initialStatus = 'pending', subscriptionDetails = {}) {
+    async createRecord(subscriptionId, initialStatus = 'pending', subscriptionDetails = {}, metadata = {}) {
         // Enhanced logging with more details
         console.debug('Creating processing record', { 
             subscription_id: subscriptionId,
@@ -45,10 +46,10 @@ class ProcessTrackingRepository {
 
         // Query to be executed - log it before attempting
         const queryText = `INSERT INTO subscription_processing
-                            (subscription_id, status)
-                            VALUES ($1, $2)
-                            RETURNING id, subscription_id, status, created_at`;
-        const queryParams = [subscriptionId, initialStatus];
+                            (subscription_id, status, metadata)
+                            VALUES ($1, $2, $3::jsonb)
+                            RETURNING id, subscription_id, status, metadata, created_at`;
+        const queryParams = [subscriptionId, initialStatus, JSON.stringify(metadata || {})];
         
         console.debug('Preparing to execute SQL query', {
             query: queryText.replace(/\s+/g, ' ').trim(),
@@ -254,7 +255,8 @@ class ProcessTrackingRepository {
     }
 
     /**
-     * Finds pending processing records, potentially joining with subscription details.
+     * Finds pending processing records and failed records whose retry is due,
+     * joined with subscription details.
      * @returns {Promise<Array<Object>>} A list of pending processing records.
      */
     async findPendingRecords() {
@@ -266,6 +268,8 @@ class ProcessTrackingRepository {
                     sp.id as processing_id,
                     sp.subscription_id,
                     sp.status,
+                    sp.attempts,
+                    sp.next_run_at,
                     sp.metadata,
                     sp.error as error_message,
                     s.user_id,
@@ -282,7 +286,8 @@ class ProcessTrackingRepository {
                 JOIN subscriptions s ON s.id = sp.subscription_id
                 JOIN subscription_types t ON t.id = s.type_id
                 WHERE sp.status = 'pending'
-                ORDER BY sp.created_at ASC
+                   OR (sp.status = 'failed' AND sp.next_run_at <= NOW())
+                ORDER BY COALESCE(sp.next_run_at, sp.created_at) ASC
             `);
             
             // Process results to add virtual fields for compatibility
@@ -308,7 +313,379 @@ class ProcessTrackingRepository {
         }
     }
 
-     // Add other methods like findById, deleteRecord etc. if necessary
+    /**
+     * Creates a 'pending' processing record unless the subscription already has an active one.
+     * The check and the insert run in one transaction holding a Postgres advisory lock keyed
+     * by subscription ID, so concurrent requests on different instances cannot both create a record.
+     * @param {string} subscriptionId - The ID of the subscription to enqueue.
+     * @param {Object} [metadata={}] - Initial metadata stored on a new record (e.g., trace_id).
+     * @returns {Promise<{record: Object, created: boolean}>} The new record, or the existing active one with created=false.
+     */
+    async createRecordIfNotActive(subscriptionId, metadata = {}) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                `SELECT pg_advisory_xact_lock(hashtext('subscription_processing'), hashtext($1))`,
+                [subscriptionId]
+            );
+
+            const activeRecord = await this._queryActiveRecord(client, subscriptionId);
+            if (activeRecord) {
+                await client.query('COMMIT');
+                console.info('Found active processing record, not creating a new one', {
+                    subscription_id: subscriptionId,
+                    processing_id: activeRecord.id,
+                    status: activeRecord.status
+                });
+                return { record: activeRecord, created: false };
+            }
+
+            const result = await client.query(
+                `INSERT INTO subscription_processing
+                    (subscription_id, status, metadata)
+                 VALUES ($1, 'pending', $2::jsonb)
+                 RETURNING id, subscription_id, status, metadata, created_at`,
+                [subscriptionId, JSON.stringify(metadata || {})]
+            );
+            await client.query('COMMIT');
+
+            console.info('Created processing record successfully', {
+                processing_id: result.rows[0].id,
+                subscription_id: subscriptionId,
+                status: 'pending'
+            });
+            return { record: result.rows[0], created: true };
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            console.error('Error creating processing record under subscription lock', {
+                subscription_id: subscriptionId,
+                error: error.message,
+                error_code: error.code || 'unknown'
+            });
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Claims queued processing records for a worker.
+     * Picks up 'pending' records that are due (next_run_at unset or reached), 'failed'
+     * records whose retry is due, and records whose lease expired before they reached
+     * a terminal status (e.g., the owning instance crashed). Every claim counts as an attempt.
+     * Uses FOR UPDATE SKIP LOCKED so concurrent workers never claim the same record.
+     * @param {string} workerId - Identifier of the claiming worker instance.
+     * @param {Object} options - Claim options.
+     * @param {number} options.limit - Maximum number of records to claim.
+     * @param {number} options.leaseMs - Lease duration in milliseconds.
+     * @returns {Promise<Array<Object>>} The claimed processing records.
+     */
+    async claimRecords(workerId, { limit, leaseMs }) {
+        try {
+            const result = await this.pool.query(
+                `WITH claimable AS (
+                    SELECT id
+                    FROM subscription_processing
+                    WHERE (status = 'pending' AND lease_expires_at IS NULL
+                           AND (next_run_at IS NULL OR next_run_at <= NOW()))
+                       OR (status = 'failed' AND lease_expires_at IS NULL AND next_run_at <= NOW())
+                       OR (lease_expires_at < NOW() AND status NOT IN ('completed', 'error', 'dead'))
+                    ORDER BY created_at ASC
+                    LIMIT $2
+                    FOR UPDATE SKIP LOCKED
+                )
+                UPDATE subscription_processing sp
+                SET status = 'processing',
+                    attempts = sp.attempts + 1,
+                    lease_owner = $1,
+                    lease_expires_at = NOW() + ($3 * INTERVAL '1 millisecond'),
+                    heartbeat_at = NOW(),
+                    last_run_at = NOW(),
+                    updated_at = NOW()
+                FROM claimable
+                WHERE sp.id = claimable.id
+                RETURNING sp.id, sp.subscription_id, sp.status, sp.attempts, sp.metadata, sp.created_at`,
+                [workerId, limit, leaseMs]
+            );
+
+            if (result.rowCount > 0) {
+                console.info('Claimed processing records', {
+                    worker_id: workerId,
+                    count: result.rowCount,
+                    processing_ids: result.rows.map(row => row.id)
+                });
+            }
+            return result.rows;
+        } catch (error) {
+            console.error('Error claiming processing records', {
+                worker_id: workerId,
+                error: error.message,
+                error_code: error.code || 'unknown'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Claims one 'pending' processing record for a worker, e.g. a record the worker has just
+     * created to run it right away. Counts as an attempt, like claimRecords.
+     * @param {string} processingId - The ID of the processing record.
+     * @param {string} workerId - Identifier of the claiming worker instance.
+     * @param {Object} options - Claim options.
+     * @param {number} options.leaseMs - Lease duration in milliseconds.
+     * @returns {Promise<Object|null>} The claimed record, or null if it is no longer pending
+     *   (e.g., a queue worker claimed it first).
+     */
+    async claimRecord(processingId, workerId, { leaseMs }) {
+        try {
+            const result = await this.pool.query(
+                `UPDATE subscription_processing
+                 SET status = 'processing',
+                     attempts = attempts + 1,
+                     lease_owner = $2,
+                     lease_expires_at = NOW() + ($3 * INTERVAL '1 millisecond'),
+                     heartbeat_at = NOW(),
+                     last_run_at = NOW(),
+                     updated_at = NOW()
+                 WHERE id = $1 AND status = 'pending' AND lease_expires_at IS NULL
+                 RETURNING id, subscription_id, status, attempts, metadata, created_at`,
+                [processingId, workerId, leaseMs]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error claiming processing record', {
+                processing_id: processingId,
+                worker_id: workerId,
+                error: error.message,
+                error_code: error.code || 'unknown'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Extends the lease of a claimed processing record.
+     * @param {string} processingId - The ID of the processing record.
+     * @param {string} workerId - Identifier of the worker holding the lease.
+     * @param {number} leaseMs - New lease duration in milliseconds, counted from now.
+     * @returns {Promise<boolean>} False if the worker no longer owns the lease.
+     */
+    async extendLease(processingId, workerId, leaseMs) {
+        const result = await this.pool.query(
+            `UPDATE subscription_processing
+             SET lease_expires_at = NOW() + ($3 * INTERVAL '1 millisecond'),
+                 heartbeat_at = NOW()
+             WHERE id = $1 AND lease_owner = $2`,
+            [processingId, workerId, leaseMs]
+        );
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Moves a claimed processing record to a terminal status and releases its lease.
+     * @param {string} processingId - The ID of the processing record.
+     * @param {string} workerId - Identifier of the worker holding the lease.
+     * @param {string} status - Terminal status ('completed' or 'error').
+     * @param {string|null} [errorMessage=null] - Error text stored with 'error' records.
+     * @param {Object} [resultMetadata={}] - Result details merged into the record metadata (e.g., notifications_created).
+     * @returns {Promise<boolean>} False if the worker no longer owns the lease.
+     */
+    async completeClaimedRecord(processingId, workerId, status, errorMessage = null, resultMetadata = {}) {
+        try {
+            const result = await this.pool.query(
+                `UPDATE subscription_processing
+                 SET status = $3,
+                     error = $4,
+                     lease_owner = NULL,
+                     lease_expires_at = NULL,
+                     updated_at = NOW(),
+                     metadata = COALESCE(metadata, '{}') || $5::jsonb
+                 WHERE id = $1 AND lease_owner = $2`,
+                [
+                    processingId,
+                    workerId,
+                    status,
+                    errorMessage,
+                    JSON.stringify({ ...resultMetadata, completed_at: new Date().toISOString() })
+                ]
+            );
+
+            if (result.rowCount === 0) {
+                console.warn('Lease lost before processing record could be completed', {
+                    processing_id: processingId,
+                    worker_id: workerId,
+                    status
+                });
+                return false;
+            }
+            console.info('Completed claimed processing record', { processing_id: processingId, status });
+            return true;
+        } catch (error) {
+            console.error('Error completing claimed processing record', {
+                processing_id: processingId,
+                error: error.message,
+                error_code: error.code || 'unknown'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Records a failed run of a claimed processing record and releases its lease.
+     * @param {string} processingId - The ID of the processing record.
+     * @param {string} workerId - Identifier of the worker holding the lease.
+     * @param {Object} failure - Failure details.
+     * @param {string} failure.status - 'failed' to retry later or 'dead' to give up.
+     * @param {string} failure.errorMessage - Error text stored on the record.
+     * @param {number|null} [failure.delayMs] - Time before a 'failed' record is retried.
+     * @returns {Promise<boolean>} False if the worker no longer owns the lease.
+     */
+    async failClaimedRecord(processingId, workerId, { status, errorMessage, delayMs = null }) {
+        try {
+            const result = await this.pool.query(
+                `UPDATE subscription_processing
+                 SET status = $3,
+                     error = $4,
+                     lease_owner = NULL,
+                     lease_expires_at = NULL,
+                     next_run_at = CASE WHEN $5::bigint IS NULL THEN NULL
+                                        ELSE NOW() + ($5 * INTERVAL '1 millisecond') END,
+                     updated_at = NOW(),
+                     metadata = COALESCE(metadata, '{}') || $6::jsonb
+                 WHERE id = $1 AND lease_owner = $2`,
+                [
+                    processingId,
+                    workerId,
+                    status,
+                    errorMessage,
+                    delayMs,
+                    JSON.stringify({ error_at: new Date().toISOString() })
+                ]
+            );
+
+            if (result.rowCount === 0) {
+                console.warn('Lease lost before processing failure could be recorded', {
+                    processing_id: processingId,
+                    worker_id: workerId,
+                    status
+                });
+                return false;
+            }
+            console.info('Recorded failed processing run', {
+                processing_id: processingId,
+                status,
+                retry_in_ms: delayMs
+            });
+            return true;
+        } catch (error) {
+            console.error('Error recording failed processing run', {
+                processing_id: processingId,
+                error: error.message,
+                error_code: error.code || 'unknown'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Returns a claimed processing record to the queue so it is retried later.
+     * Used when the run could not start (e.g., the parser is down), so the attempt is not counted.
+     * @param {string} processingId - The ID of the processing record.
+     * @param {string} workerId - Identifier of the worker holding the lease.
+     * @param {Object} options - Retry options.
+     * @param {number} options.delayMs - Time before the record may be claimed again.
+     * @param {string} [options.reason] - Why the record is retried, stored in its metadata.
+     * @returns {Promise<boolean>} False if the worker no longer owns the lease.
+     */
+    async releaseClaimedRecord(processingId, workerId, { delayMs, reason = null }) {
+        try {
+            const result = await this.pool.query(
+                `UPDATE subscription_processing
+                 SET status = 'pending',
+                     attempts = GREATEST(attempts - 1, 0),
+                     lease_owner = NULL,
+                     lease_expires_at = NULL,
+                     next_run_at = NOW() + ($3 * INTERVAL '1 millisecond'),
+                     updated_at = NOW(),
+                     metadata = COALESCE(metadata, '{}') || $4::jsonb
+                 WHERE id = $1 AND lease_owner = $2`,
+                [
+                    processingId,
+                    workerId,
+                    delayMs,
+                    JSON.stringify({ retry_reason: reason, released_at: new Date().toISOString() })
+                ]
+            );
+
+            if (result.rowCount === 0) {
+                console.warn('Lease lost before processing record could be released', {
+                    processing_id: processingId,
+                    worker_id: workerId
+                });
+                return false;
+            }
+            console.info('Released processing record for retry', {
+                processing_id: processingId,
+                delay_ms: delayMs,
+                reason
+            });
+            return true;
+        } catch (error) {
+            console.error('Error releasing claimed processing record', {
+                processing_id: processingId,
+                error: error.message,
+                error_code: error.code || 'unknown'
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Finds the most recent processing record for a subscription that is still queued, waiting
+     * for a retry or running. Records without a lease that are not 'pending' or 'failed' predate
+     * the queue and are ignored.
+     * @private
+     */
+    async _queryActiveRecord(queryable, subscriptionId) {
+        const result = await queryable.query(
+            `SELECT id, subscription_id, status, metadata, lease_owner, lease_expires_at, created_at
+             FROM subscription_processing
+             WHERE subscription_id = $1
+               AND status NOT IN ('completed', 'error', 'dead')
+               AND (status IN ('pending', 'failed') OR lease_expires_at IS NOT NULL)
+             ORDER BY created_at DESC
+             LIMIT 1`,
+            [subscriptionId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Finds a processing record by its ID.
+     * @param {string} processingId - The ID of the processing record.
+     * @returns {Promise<Object|null>} The processing record or null if not found.
+     */
+    async findById(processingId) {
+        try {
+            const result = await this.pool.query(
+                `SELECT id, subscription_id, status, error, attempts, metadata,
+                        lease_owner, lease_expires_at, heartbeat_at,
+                        last_run_at, next_run_at, created_at, updated_at
+                 FROM subscription_processing
+                 WHERE id = $1`,
+                [processingId]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error finding processing record', {
+                processing_id: processingId,
+                error: error.message,
+                error_code: error.code || 'unknown'
+            });
+            throw error;
+        }
+    }
 }
 
 module.exports = { ProcessTrackingRepository }; 
\ No newline at end of file
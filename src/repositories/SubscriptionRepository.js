@@ -1,3 +1,6 @@
+const { parseEmailSettings } = require('../utils/notification-settings');
+const { validateWebhookUrl } = require('../utils/webhook-url');
+
 /**
  * Repository for subscription data access
  */
@@ -38,7 +41,9 @@ class SubscriptionRepository {
                   t.parser_url,
                   t.logo_url,
                   t.description as type_description,
-                  t.metadata as type_metadata
+                  t.metadata as type_metadata,
+                  t.active as type_active,
+                  t.protocol_version as type_protocol_version
                 FROM subscriptions s 
                 JOIN subscription_types t ON t.id = s.type_id
                 WHERE s.id = $1`,
@@ -162,8 +167,50 @@ class SubscriptionRepository {
         }
     }
 
+    /**
+     * Advance the high-water mark of a subscription (metadata.processed_through_date), the last
+     * bulletin date fully covered by its runs. The mark never moves backwards.
+     * @param {string} subscriptionId - The ID of the subscription to update.
+     * @param {string} processedThrough - Last covered date (YYYY-MM-DD).
+     * @returns {Promise<boolean>} Whether the mark moved.
+     */
+    async advanceProcessedThrough(subscriptionId, processedThrough) {
+        try {
+            // YYYY-MM-DD strings compare in date order
+            const result = await this.pool.query(
+                `UPDATE subscriptions 
+                SET metadata = jsonb_set(
+                    COALESCE(metadata, '{}'), 
+                    '{processed_through_date}', 
+                    to_jsonb($2::text)
+                ),
+                updated_at = NOW()
+                WHERE id = $1
+                  AND (metadata->>'processed_through_date' IS NULL OR metadata->>'processed_through_date' < $2)`,
+                [subscriptionId, processedThrough]
+            );
+            console.debug('Advanced subscription processed_through_date', { 
+                subscription_id: subscriptionId, 
+                processed_through_date: processedThrough,
+                moved: result.rowCount > 0
+            });
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error('Error advancing subscription processed_through_date', { 
+                subscription_id: subscriptionId,
+                error: error.message,
+                code: error.code
+            });
+            throw error;
+        }
+    }
+
     /**
      * Find subscriptions that need processing.
+     * Subscriptions whose latest regular run (backfills aside) used all of its attempts and
+     * is 'dead' are left out until they are processed again on request
+     * (POST /api/subscriptions/process/:id), so a subscription that always fails is not
+     * retried on every scheduler tick.
      * @param {Object} options - Options for finding pending subscriptions.
      * @param {number} options.limit - Maximum number of subscriptions to return.
      * @param {string} options.frequency - Filter by frequency (e.g., 'daily', 'weekly').
@@ -175,10 +222,24 @@ class SubscriptionRepository {
             // We're checking if last_processed_at exists in metadata or if it's older than the frequency threshold
             const result = await this.pool.query(
                 `SELECT s.id, s.user_id, s.name, s.frequency, s.metadata, 
-                        t.id as type_id, t.name as type_name, t.parser_url
+                        t.id as type_id, t.name as type_name, t.parser_url,
+                        t.metadata as type_metadata
                  FROM subscriptions s
                  JOIN subscription_types t ON t.id = s.type_id
                  WHERE s.active = true
+                 AND t.active = true
+                 AND NOT EXISTS (
+                     SELECT 1
+                     FROM (
+                         SELECT sp.status
+                         FROM subscription_processing sp
+                         WHERE sp.subscription_id = s.id
+                           AND NOT (COALESCE(sp.metadata, '{}'::jsonb) ? 'backfill')
+                         ORDER BY sp.created_at DESC
+                         LIMIT 1
+                     ) latest
+                     WHERE latest.status = 'dead'
+                 )
                  AND (
                      (s.metadata->>'last_processed_at') IS NULL
                      OR (
@@ -222,6 +283,89 @@ class SubscriptionRepository {
         }
     }
 
+    /**
+     * Find the webhook notifications of a subscription are pushed to.
+     * The subscription's metadata.webhook takes precedence over its user's metadata.webhook.
+     * Webhooks without both a URL and a secret are ignored, and so are URLs webhooks may not
+     * be sent to (see utils/webhook-url).
+     * @param {string} subscriptionId - The ID of the subscription.
+     * @returns {Promise<{ url: string, secret: string, source: string }|null>} The webhook, or null.
+     */
+    async findWebhookConfig(subscriptionId) {
+        try {
+            // to_jsonb(u) keeps the query valid for users tables without a metadata column
+            const result = await this.pool.query(
+                `SELECT s.metadata->'webhook' AS subscription_webhook,
+                        to_jsonb(u)->'metadata'->'webhook' AS user_webhook
+                 FROM subscriptions s
+                 LEFT JOIN users u ON u.id = s.user_id
+                 WHERE s.id = $1`,
+                [subscriptionId]
+            );
+            const row = result.rows[0];
+            if (!row) {
+                return null;
+            }
+            for (const [source, webhook] of [['subscription', row.subscription_webhook], ['user', row.user_webhook]]) {
+                if (!webhook?.url || !webhook?.secret) {
+                    continue;
+                }
+                const urlError = validateWebhookUrl(webhook.url);
+                if (urlError) {
+                    console.warn('Ignoring webhook with a disallowed URL', {
+                        subscription_id: subscriptionId,
+                        source,
+                        reason: urlError
+                    });
+                    continue;
+                }
+                return { url: webhook.url, secret: webhook.secret, source };
+            }
+            return null;
+        } catch (error) {
+            console.error('Error finding subscription webhook', {
+                subscription_id: subscriptionId,
+                error: error.message,
+                code: error.code
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Email notification settings of a subscription's user, from users.notification_settings.
+     * @param {string} subscriptionId - Subscription ID
+     * @returns {Promise<Object|null>} { userId, enabled, email, frequency } with the
+     *   notificationEmail setting winning over the account email and frequency 'immediate'
+     *   or 'daily'; null if the subscription or user does not exist.
+     */
+    async findEmailSettings(subscriptionId) {
+        try {
+            const result = await this.pool.query(
+                `SELECT u.id AS user_id, u.email, u.notification_settings
+                 FROM subscriptions s
+                 JOIN users u ON u.id = s.user_id
+                 WHERE s.id = $1`,
+                [subscriptionId]
+            );
+            const row = result.rows[0];
+            if (!row) {
+                return null;
+            }
+            return {
+                userId: row.user_id,
+                ...parseEmailSettings(row.notification_settings, row.email)
+            };
+        } catch (error) {
+            console.error('Error finding user email settings', {
+                subscription_id: subscriptionId,
+                error: error.message,
+                code: error.code
+            });
+            throw error;
+        }
+    }
+
     // Add other methods as needed, e.g.:
     // async findPendingProcessing() { ... }
     // async updateStatus(subscriptionId, status) { ... }
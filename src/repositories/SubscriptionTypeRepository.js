@@ -0,0 +1,217 @@
+// Columns returned for a subscription type, with the number of active subscriptions using it
+const TYPE_COLUMNS = `t.id, t.name, t.description, t.icon, t.logo_url, t.parser_url, t.metadata,
+    t.active, t.deactivated_at, t.protocol_version, t.protocol_negotiated_at, t.created_at, t.updated_at,
+    (SELECT COUNT(*)::int FROM subscriptions s WHERE s.type_id = t.id AND s.active = true) AS active_subscriptions`;
+
+// Columns a create or update request may set
+const WRITABLE_COLUMNS = ['name', 'description', 'icon', 'logo_url', 'parser_url'];
+
+/**
+ * Repository for subscription types: the sources subscriptions are about and the parser
+ * service that queries each of them.
+ */
+class SubscriptionTypeRepository {
+    constructor(pool) {
+        if (!pool) {
+            throw new Error('SubscriptionTypeRepository requires a database pool.');
+        }
+        this.pool = pool;
+    }
+
+    /**
+     * Lists subscription types by name.
+     * @param {Object} [options]
+     * @param {boolean} [options.includeInactive=false] - Include deactivated types.
+     * @returns {Promise<Array<Object>>} Subscription types with active_subscriptions.
+     */
+    async list({ includeInactive = false } = {}) {
+        try {
+            const result = await this.pool.query(
+                `SELECT ${TYPE_COLUMNS}
+                 FROM subscription_types t
+                 WHERE $1 OR t.active = true
+                 ORDER BY t.name`,
+                [includeInactive]
+            );
+            return result.rows;
+        } catch (error) {
+            console.error('Error listing subscription types', { error: error.message, code: error.code });
+            throw error;
+        }
+    }
+
+    /**
+     * Finds a subscription type by its ID.
+     * @param {string} typeId - The ID of the subscription type.
+     * @returns {Promise<Object|null>} The subscription type with active_subscriptions, or null if not found.
+     */
+    async findById(typeId) {
+        try {
+            const result = await this.pool.query(
+                `SELECT ${TYPE_COLUMNS}
+                 FROM subscription_types t
+                 WHERE t.id = $1`,
+                [typeId]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error finding subscription type', {
+                type_id: typeId,
+                error: error.message,
+                code: error.code
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Finds a subscription type by name, ignoring case.
+     * @param {string} name - The name.
+     * @returns {Promise<Object|null>} { id, name }, or null if no type has the name.
+     */
+    async findByName(name) {
+        try {
+            const result = await this.pool.query(
+                `SELECT id, name FROM subscription_types WHERE LOWER(name) = LOWER($1)`,
+                [name]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error finding subscription type by name', { name, error: error.message, code: error.code });
+            throw error;
+        }
+    }
+
+    /**
+     * Creates a subscription type. Names are unique regardless of case: a duplicate fails
+     * with the unique violation error of Postgres (code 23505).
+     * @param {Object} data - Validated subscription type data (see SubscriptionTypeSchema).
+     * @returns {Promise<Object>} The created subscription type.
+     */
+    async create(data) {
+        const columns = ['metadata', ...WRITABLE_COLUMNS.filter(column => data[column] !== undefined)];
+        const values = [JSON.stringify(data.metadata || {}), ...columns.slice(1).map(column => data[column])];
+        // Without an ID the column default generates one
+        if (data.id) {
+            columns.unshift('id');
+            values.unshift(data.id);
+        }
+        const placeholders = columns.map((column, index) => (column === 'metadata' ? `$${index + 1}::jsonb` : `$${index + 1}`));
+
+        try {
+            const result = await this.pool.query(
+                `INSERT INTO subscription_types (${columns.join(', ')}, created_at, updated_at)
+                 VALUES (${placeholders.join(', ')}, NOW(), NOW())
+                 RETURNING id`,
+                values
+            );
+            const typeId = result.rows[0].id;
+            console.info('Created subscription type', { type_id: typeId, name: data.name });
+            return this.findById(typeId);
+        } catch (error) {
+            console.error('Error creating subscription type', { name: data.name, error: error.message, code: error.code });
+            throw error;
+        }
+    }
+
+    /**
+     * Updates a subscription type. Metadata is merged into the stored metadata; keys set
+     * to null are removed.
+     * @param {string} typeId - The ID of the subscription type.
+     * @param {Object} data - Validated fields to change.
+     * @returns {Promise<Object|null>} The updated subscription type, or null if not found.
+     */
+    async update(typeId, data) {
+        const assignments = [];
+        const values = [typeId];
+        for (const column of WRITABLE_COLUMNS) {
+            if (data[column] !== undefined) {
+                values.push(data[column]);
+                assignments.push(`${column} = $${values.length}`);
+            }
+        }
+        if (data.metadata) {
+            values.push(JSON.stringify(data.metadata));
+            // jsonb_strip_nulls drops the keys the update set to null
+            assignments.push(`metadata = jsonb_strip_nulls(COALESCE(metadata, '{}') || $${values.length}::jsonb)`);
+        }
+
+        try {
+            const result = await this.pool.query(
+                `UPDATE subscription_types
+                 SET ${assignments.join(', ')}, updated_at = NOW()
+                 WHERE id = $1
+                 RETURNING id`,
+                values
+            );
+            if (result.rowCount === 0) {
+                return null;
+            }
+            console.info('Updated subscription type', { type_id: typeId, fields: Object.keys(data) });
+            return this.findById(typeId);
+        } catch (error) {
+            console.error('Error updating subscription type', { type_id: typeId, error: error.message, code: error.code });
+            throw error;
+        }
+    }
+
+    /**
+     * Activates or deactivates a subscription type. Subscriptions of an inactive type are
+     * not processed.
+     * @param {string} typeId - The ID of the subscription type.
+     * @param {boolean} active - The new state.
+     * @returns {Promise<Object|null>} The subscription type, or null if not found.
+     */
+    async setActive(typeId, active) {
+        try {
+            const result = await this.pool.query(
+                `UPDATE subscription_types
+                 SET active = $2,
+                     deactivated_at = CASE WHEN $2 THEN NULL ELSE COALESCE(deactivated_at, NOW()) END,
+                     updated_at = NOW()
+                 WHERE id = $1
+                 RETURNING id`,
+                [typeId, active]
+            );
+            if (result.rowCount === 0) {
+                return null;
+            }
+            console.info(active ? 'Activated subscription type' : 'Deactivated subscription type', { type_id: typeId });
+            return this.findById(typeId);
+        } catch (error) {
+            console.error('Error changing subscription type state', { type_id: typeId, active, error: error.message, code: error.code });
+            throw error;
+        }
+    }
+
+    /**
+     * Records the parser protocol version a subscription type's parser answered in.
+     * @param {string} typeId - The ID of the subscription type.
+     * @param {string} version - The protocol version.
+     * @returns {Promise<boolean>} True if the recorded version changed.
+     */
+    async recordProtocolVersion(typeId, version) {
+        try {
+            const result = await this.pool.query(
+                `UPDATE subscription_types
+                 SET protocol_version = $2, protocol_negotiated_at = NOW()
+                 WHERE id = $1 AND protocol_version IS DISTINCT FROM $2`,
+                [typeId, version]
+            );
+            if (result.rowCount > 0) {
+                console.info('Recorded subscription type protocol version', { type_id: typeId, protocol_version: version });
+            }
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error('Error recording subscription type protocol version', {
+                type_id: typeId,
+                protocol_version: version,
+                error: error.message,
+                code: error.code
+            });
+            throw error;
+        }
+    }
+}
+
+module.exports = { SubscriptionTypeRepository };
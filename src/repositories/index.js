@@ -7,9 +7,21 @@
 const { SubscriptionRepository } = require('./SubscriptionRepository');
 const { NotificationRepository } = require('./NotificationRepository');
 const { ProcessTrackingRepository } = require('./ProcessTrackingRepository');
+const { BatchRepository } = require('./BatchRepository');
+const { DeadLetterRepository } = require('./DeadLetterRepository');
+const { OutboxRepository } = require('./OutboxRepository');
+const { DeliveryAttemptRepository } = require('./DeliveryAttemptRepository');
+const { DigestRepository } = require('./DigestRepository');
+const { SubscriptionTypeRepository } = require('./SubscriptionTypeRepository');
 
 module.exports = {
   SubscriptionRepository,
   NotificationRepository,
-  ProcessTrackingRepository
+  ProcessTrackingRepository,
+  BatchRepository,
+  DeadLetterRepository,
+  OutboxRepository,
+  DeliveryAttemptRepository,
+  DigestRepository,
+  SubscriptionTypeRepository
 }; 
\ No newline at end of file
@@ -1,133 +1,91 @@
 /**
  * BOE API Routes
- * Handles BOE-specific operations.
+ * Handles BOE-specific operations. Prompts are tested against the BOE parser
+ * through POST /api/parsers/:typeId/query.
  */
 const express = require('express');
 // Removed: const { getLogger } = require('../../../config/logger');
 // Removed: const logger = getLogger('boe-api');
-const { validateBOERequest } = require('../../../middleware/validation');
+
+// Subscription type whose parser answers for the BOE
+const BOE_TYPE_ID = process.env.BOE_SUBSCRIPTION_TYPE_ID || 'boe';
+
+/**
+ * Sections configured in a subscription type's metadata.sections, the fallback for
+ * parsers that do not report their capabilities
+ * @param {Object} type - Subscription type
+ * @returns {Array<Object>} { id, name, description } of every well-formed entry
+ */
+function sectionsFromMetadata(type) {
+  const sections = Array.isArray(type.metadata?.sections) ? type.metadata.sections : [];
+  return sections
+    .filter(section => typeof section?.id === 'string' && typeof section?.name === 'string')
+    .map(section => ({
+      id: section.id,
+      name: section.name,
+      description: typeof section.description === 'string' ? section.description : null
+    }));
+}
 
 /**
  * Create BOE router
- * @param {string} parserApiKey - API key for BOE parser
+ * @param {Object} options
+ * @param {Object} options.parserClientPool - Pool of parser clients with the parsers' capabilities
+ * @param {Object} options.subscriptionTypeRepository - Repository for subscription types
  * @returns {Object} Express router
  */
-function createBOERouter(parserApiKey) {
+function createBOERouter({ parserClientPool, subscriptionTypeRepository } = {}) {
   const router = express.Router();
 
   /**
-   * POST /api/boe/process
-   * Process a BOE subscription
+   * GET /api/boe/supported-sections
+   * Get the BOE sections, as the BOE parser reports them at GET /api/capabilities.
+   * When it reports none (no capabilities endpoint, or no parser URL), the sections
+   * configured in the subscription type's metadata.sections are returned instead.
    */
-  router.post('/process', validateBOERequest, async (req, res) => {
-    // Removed: logger.info('BOE processing request received');
-    console.info('BOE processing request received'); // Replace logger
-    const { prompts, options, user_id, subscription_id } = req.body;
-    
-    // Removed: logger.info('BOE process request received', {
-    //   prompts_count: prompts.length,
-    //   user_id: user_id || 'not provided',
-    //   subscription_id: subscription_id || 'not provided',
-    //   options: options || {}
-    // });
-    
-    try {
-      // Initialize BOE processor
-      const BOEProcessor = require('../../../services/processors/boe');
-      const processor = new BOEProcessor({
-        BOE_API_KEY: parserApiKey,
-        BOE_API_URL: process.env.BOE_API_URL || 'https://boe-parser-415554190254.us-central1.run.app'
-      });
-      
-      // Process the request
-      const startTime = Date.now();
-      
-      const data = {
-        subscription_id: subscription_id || `test-${Date.now()}`,
-        user_id: user_id || 'api-user',
-        prompts: prompts,
-        metadata: {
-          options: options || {}
-        }
-      };
-      
-      const result = await processor.processSubscription(data);
-      
-      const processingTime = Date.now() - startTime;
-      
-      // Add processing time to result
-      result.processing_time_ms = processingTime;
-      
-      // Removed: logger.info('BOE processing completed', {
-      //   prompts_count: prompts.length,
-      //   processing_time_ms: processingTime,
-      //   entries_count: result.entries?.length || 0,
-      //   matches_count: result.matches?.length || 0
-      // });
-      
-      res.status(200).json(result);
-    } catch (error) {
-      // Removed: logger.error('Error processing BOE request', {
-      //   error: error.message,
-      //   stack: error.stack,
-      //   prompts_count: prompts.length
-      // });
-      console.error('Error processing BOE request', { error: error.message }); // Replace logger
-      
-      res.status(500).json({
+  router.get('/supported-sections', async (req, res, next) => {
+    if (!parserClientPool || !subscriptionTypeRepository) {
+      return res.status(503).json({
         status: 'error',
-        error: 'BOE processing failed',
-        message: error.message,
-        request: {
-          prompts_count: prompts.length,
-          options: options || {}
-        }
+        error: 'Parser capabilities unavailable',
+        message: 'The BOE parser is not configured'
       });
     }
-  });
 
-  /**
-   * GET /api/boe/supported-sections
-   * Get supported BOE sections
-   */
-  router.get('/supported-sections', (req, res) => {
-    const sections = [
-      {
-        id: 'BDNS',
-        name: 'Base de Datos Nacional de Subvenciones',
-        description: 'Subvenciones y ayudas públicas'
-      },
-      {
-        id: 'BOE-S-SECCI',
-        name: 'Sección I',
-        description: 'Disposiciones generales'
-      },
-      {
-        id: 'BOE-S-SECCII',
-        name: 'Sección II',
-        description: 'Autoridades y personal'
-      },
-      {
-        id: 'BOE-S-SECCIII',
-        name: 'Sección III',
-        description: 'Otras disposiciones'
-      },
-      {
-        id: 'BOE-S-SECCIV',
-        name: 'Sección IV',
-        description: 'Administración de Justicia'
-      },
-      {
-        id: 'BOE-S-SECCV',
-        name: 'Sección V',
-        description: 'Anuncios'
+    try {
+      const type = await subscriptionTypeRepository.findById(BOE_TYPE_ID);
+      if (!type) {
+        return res.status(503).json({
+          status: 'error',
+          error: 'Parser capabilities unavailable',
+          message: `Subscription type ${BOE_TYPE_ID} is not configured`,
+          type_id: BOE_TYPE_ID
+        });
       }
-    ];
-    
-    res.status(200).json({
-      status: 'success',
-      sections
-    });
+
+      const capabilities = type.parser_url
+        ? await parserClientPool.getCapabilities(type.parser_url, { typeMetadata: type.metadata })
+        : null;
+      if (!capabilities?.available) {
+        return res.status(200).json({
+          status: 'success',
+          sections: sectionsFromMetadata(type),
+          source: 'type_metadata',
+          capabilities_error: capabilities ? capabilities.error : 'No parser URL configured'
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        sections: capabilities.sections,
+        source: 'parser',
+        protocol_version: capabilities.protocol_version,
+        fetched_at: capabilities.fetched_at
+      });
+    } catch (error) {
+      console.error('Error fetching BOE sections', { type_id: BOE_TYPE_ID, error: error.message });
+      next(error);
+    }
   });
 
   /**
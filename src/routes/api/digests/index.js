@@ -0,0 +1,30 @@
+/**
+ * Digest API Routes
+ * Runs the daily email digests of users on daily frequency.
+ */
+const express = require('express');
+
+/**
+ * Create digests router
+ * @param {DigestController} digestController - The controller handling digest logic
+ * @returns {express.Router} Express router
+ */
+function createDigestsRouter(digestController) {
+  if (!digestController) {
+    throw new Error('createDigestsRouter requires a DigestController instance.');
+  }
+  const router = express.Router();
+  
+  console.info('Registering digest API routes');
+  
+  /**
+   * POST /api/digests/run
+   * Create the daily digests of a day (default: yesterday). Meant for the scheduler.
+   */
+  router.post('/run', digestController.runDigests);
+  console.debug('Registered POST /run');
+  
+  return router;
+}
+
+module.exports = createDigestsRouter;
@@ -7,8 +7,13 @@ const express = require('express');
 function createApiRouter(options) {
   const { 
     pool,
-    parserApiKey,
-    subscriptionController
+    parserClientPool,
+    subscriptionTypeRepository,
+    subscriptionController,
+    notificationController,
+    digestController,
+    parserController,
+    subscriptionTypeController
   } = options;
   
   if (!subscriptionController) {
@@ -21,6 +26,10 @@ function createApiRouter(options) {
   const { createHealthRouter } = require('../health');
   const createSubscriptionsRouter = require('./subscriptions');
   const createBOERouter = require('./boe'); // Use the BOE router from the API folder
+  const createParsersRouter = require('./parsers');
+  const createNotificationsRouter = require('./notifications');
+  const createDigestsRouter = require('./digests');
+  const createSubscriptionTypesRouter = require('./subscription-types');
   
   // Mount health check route - accessible at /api/health and /api/_health
   router.use(createHealthRouter(pool));
@@ -30,7 +39,27 @@ function createApiRouter(options) {
   router.use('/subscriptions', subscriptionsRouter);
   
   // Mount BOE router - specific to BOE subscription type
-  router.use('/boe', createBOERouter(parserApiKey));
+  router.use('/boe', createBOERouter({ parserClientPool, subscriptionTypeRepository }));
+  
+  // Mount parsers router - parser service status and prompt queries
+  if (parserClientPool) {
+    router.use('/parsers', createParsersRouter(parserClientPool, parserController));
+  }
+  
+  // Mount notifications router - dead letters of failed notification publishes
+  if (notificationController) {
+    router.use('/notifications', createNotificationsRouter(notificationController));
+  }
+  
+  // Mount digests router - daily email digests
+  if (digestController) {
+    router.use('/digests', createDigestsRouter(digestController));
+  }
+  
+  // Mount subscription types router - subscription type and parser management
+  if (subscriptionTypeController) {
+    router.use('/subscription-types', createSubscriptionTypesRouter(subscriptionTypeController));
+  }
   
   // Add root level health check routes
   const healthRouter = createHealthRouter(pool);
@@ -48,7 +77,20 @@ function createApiRouter(options) {
         '/api/subscriptions/pending': 'List pending subscriptions',
         '/api/subscriptions/batch/process': 'Process subscriptions in batch',
         '/api/subscriptions/process-all': 'Process all pending subscriptions (for scheduled jobs)',
-        '/api/boe/process': 'Process BOE-specific subscription'
+        '/api/subscriptions/batches/:id': 'Get the progress of a batch',
+        '/api/subscriptions/processing/:processingId': 'Get the status of a processing request',
+        '/api/subscriptions/processing/:processingId/events': 'Stream processing progress as server-sent events',
+        '/api/parsers/status': 'Circuit breaker state of each parser service',
+        '/api/parsers/:typeId/query': 'Query the parser of a subscription type for prompts',
+        '/api/notifications/dead-letters': 'List notification events whose publish failed',
+        '/api/notifications/dead-letters/:id/replay': 'Publish a failed notification event again',
+        '/api/digests/run': 'Create the daily email digests (for scheduled jobs)',
+        '/api/subscription-types': 'List and create subscription types',
+        '/api/subscription-types/:id': 'Get and update a subscription type',
+        '/api/subscription-types/:id/deactivate': 'Stop processing the subscriptions of a type',
+        '/api/subscription-types/:id/test': 'Check whether the parser of a type answers',
+        '/api/subscription-types/:id/capabilities': 'What the parser of a type reports it supports',
+        '/api/boe/supported-sections': 'Sections the BOE parser reports it covers'
       },
       debug_endpoints: process.env.NODE_ENV !== 'production' || process.env.ENABLE_DEBUG_ROUTES === 'true' 
         ? {
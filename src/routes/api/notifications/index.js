@@ -0,0 +1,42 @@
+/**
+ * Notification API Routes
+ * Inspects and replays notification events that could not be published.
+ */
+const express = require('express');
+const { validateUuidParam } = require('../../../middleware/validation');
+
+/**
+ * Create notifications router
+ * @param {NotificationController} notificationController - The controller handling notification logic
+ * @returns {express.Router} Express router
+ */
+function createNotificationsRouter(notificationController) {
+  if (!notificationController) {
+    throw new Error('createNotificationsRouter requires a NotificationController instance.');
+  }
+  const router = express.Router();
+  
+  console.info('Registering notification API routes');
+  
+  /**
+   * GET /api/notifications/dead-letters
+   * List notification events whose publish failed.
+   */
+  router.get('/dead-letters', notificationController.listDeadLetters);
+  console.debug('Registered GET /dead-letters');
+  
+  /**
+   * POST /api/notifications/dead-letters/:id/replay
+   * Publish a dead letter again.
+   */
+  router.post(
+    '/dead-letters/:id/replay',
+    validateUuidParam('id', 'dead letter ID', '/api/notifications/dead-letters/123e4567-e89b-12d3-a456-426614174000/replay'),
+    notificationController.replayDeadLetter
+  );
+  console.debug('Registered POST /dead-letters/:id/replay');
+  
+  return router;
+}
+
+module.exports = createNotificationsRouter;
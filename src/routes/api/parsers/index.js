@@ -0,0 +1,55 @@
+/**
+ * Parser API Routes
+ * Reports the state of the parser services this worker talks to, and queries them
+ * for prompts outside of any subscription.
+ */
+const express = require('express');
+
+/**
+ * Create parsers router
+ * @param {Object} parserClientPool - Pool of parser clients with their circuit breakers
+ * @param {Object} [parserController] - Controller handling parser queries
+ * @returns {Object} Express router
+ */
+function createParsersRouter(parserClientPool, parserController) {
+  const router = express.Router();
+  
+  console.info('Registering parser API routes');
+  
+  /**
+   * GET /api/parsers/status
+   * Circuit breaker state, client pool statistics, cached capabilities and protocol
+   * version with schema fallback counts per parser URL.
+   */
+  router.get('/status', (req, res) => {
+    const breakers = parserClientPool.getBreakerStates();
+    const clients = parserClientPool.getStats();
+    const capabilities = parserClientPool.getCapabilityStates();
+    const protocols = parserClientPool.getProtocolStates();
+    
+    res.status(200).json({
+      status: 'success',
+      healthy: breakers.every(breaker => breaker.state === 'closed'),
+      parsers: breakers.map(breaker => ({
+        ...breaker,
+        client: clients.find(client => client.parser_url === breaker.parser_url) || null,
+        capabilities: capabilities.find(entry => entry.parser_url === breaker.parser_url) || null,
+        protocol: protocols.find(entry => entry.parser_url === breaker.parser_url) || null
+      }))
+    });
+  });
+  console.debug('Registered GET /status');
+  
+  if (parserController) {
+    /**
+     * POST /api/parsers/:typeId/query
+     * Query the parser of a subscription type for prompts ({ prompts, date?, limit? }).
+     */
+    router.post('/:typeId/query', parserController.queryParser);
+    console.debug('Registered POST /:typeId/query');
+  }
+  
+  return router;
+}
+
+module.exports = createParsersRouter;
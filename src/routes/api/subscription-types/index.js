@@ -0,0 +1,79 @@
+/**
+ * Subscription Type API Routes
+ * Manages the subscription types and the parser service each of them uses.
+ */
+const express = require('express');
+
+/**
+ * Create subscription types router
+ * @param {SubscriptionTypeController} subscriptionTypeController - The controller handling subscription type logic
+ * @returns {express.Router} Express router
+ */
+function createSubscriptionTypesRouter(subscriptionTypeController) {
+  if (!subscriptionTypeController) {
+    throw new Error('createSubscriptionTypesRouter requires a SubscriptionTypeController instance.');
+  }
+  const router = express.Router();
+  
+  console.info('Registering subscription type API routes');
+  
+  /**
+   * GET /api/subscription-types
+   * List subscription types with their active subscription counts (?include_inactive=true for all).
+   */
+  router.get('/', subscriptionTypeController.listTypes);
+  console.debug('Registered GET /');
+  
+  /**
+   * POST /api/subscription-types
+   * Create a subscription type.
+   */
+  router.post('/', subscriptionTypeController.createType);
+  console.debug('Registered POST /');
+  
+  /**
+   * GET /api/subscription-types/:id
+   * Get a subscription type.
+   */
+  router.get('/:id', subscriptionTypeController.getType);
+  console.debug('Registered GET /:id');
+  
+  /**
+   * PATCH /api/subscription-types/:id
+   * Change fields of a subscription type; metadata is merged.
+   */
+  router.patch('/:id', subscriptionTypeController.updateType);
+  console.debug('Registered PATCH /:id');
+  
+  /**
+   * POST /api/subscription-types/:id/deactivate
+   * Stop processing the subscriptions of a type.
+   */
+  router.post('/:id/deactivate', subscriptionTypeController.deactivateType);
+  console.debug('Registered POST /:id/deactivate');
+  
+  /**
+   * POST /api/subscription-types/:id/activate
+   * Process the subscriptions of a deactivated type again.
+   */
+  router.post('/:id/activate', subscriptionTypeController.activateType);
+  console.debug('Registered POST /:id/activate');
+  
+  /**
+   * POST /api/subscription-types/:id/test
+   * Check whether the type's parser answers.
+   */
+  router.post('/:id/test', subscriptionTypeController.testType);
+  console.debug('Registered POST /:id/test');
+  
+  /**
+   * GET /api/subscription-types/:id/capabilities
+   * What the type's parser reports it supports (?refresh=true to ask it again).
+   */
+  router.get('/:id/capabilities', subscriptionTypeController.getCapabilities);
+  console.debug('Registered GET /:id/capabilities');
+  
+  return router;
+}
+
+module.exports = createSubscriptionTypesRouter;
@@ -5,6 +5,7 @@
 const express = require('express');
 const { 
   validateSubscriptionId, 
+  validateUuidParam,
   validateBatchRequest 
 } = require('../../../middleware/validation'); // Assuming validation middleware is still relevant
 
@@ -43,9 +44,31 @@ function createSubscriptionsRouter(subscriptionController) {
   );
   console.debug('Registered POST /process/:id');
 
+  /**
+   * POST /api/subscriptions/:id/backfill
+   * Queue a backfill of past dates ({ from, to }) for a subscription.
+   */
+  router.post(
+    '/:id/backfill',
+    validateUuidParam('id', 'subscription ID', '/api/subscriptions/123e4567-e89b-12d3-a456-426614174000/backfill'),
+    subscriptionController.backfillSubscription
+  );
+  console.debug('Registered POST /:id/backfill');
+
+  /**
+   * POST /api/subscriptions/:id/preview
+   * Respond with the notifications a run would create, without writing anything.
+   */
+  router.post(
+    '/:id/preview',
+    validateUuidParam('id', 'subscription ID', '/api/subscriptions/123e4567-e89b-12d3-a456-426614174000/preview'),
+    subscriptionController.previewSubscription
+  );
+  console.debug('Registered POST /:id/preview');
+
   /**
    * POST /api/subscriptions/batch/process
-   * Trigger batch processing of subscriptions.
+   * Start batch processing of subscriptions in the background (202 with a batch ID).
    */
   router.post(
     '/batch/process', 
@@ -65,6 +88,39 @@ function createSubscriptionsRouter(subscriptionController) {
   );
   console.debug('Registered POST /process-all');
   
+  /**
+   * GET /api/subscriptions/batches/:id
+   * Report the progress of a batch started through /batch/process or /process-all.
+   */
+  router.get(
+    '/batches/:id',
+    validateUuidParam('id', 'batch ID', '/api/subscriptions/batches/123e4567-e89b-12d3-a456-426614174000'),
+    subscriptionController.getBatchStatus
+  );
+  console.debug('Registered GET /batches/:id');
+  
+  /**
+   * GET /api/subscriptions/processing/:processingId
+   * Report the status of a processing request returned by POST /process/:id.
+   */
+  router.get(
+    '/processing/:processingId',
+    validateUuidParam('processingId', 'processing ID', '/api/subscriptions/processing/123e4567-e89b-12d3-a456-426614174000'),
+    subscriptionController.getProcessingStatus
+  );
+  console.debug('Registered GET /processing/:processingId');
+  
+  /**
+   * GET /api/subscriptions/processing/:processingId/events
+   * Stream the processing state changes as server-sent events.
+   */
+  router.get(
+    '/processing/:processingId/events',
+    validateUuidParam('processingId', 'processing ID', '/api/subscriptions/processing/123e4567-e89b-12d3-a456-426614174000/events'),
+    subscriptionController.streamProcessingEvents
+  );
+  console.debug('Registered GET /processing/:processingId/events');
+  
   console.info('Subscription API routes registered successfully');
   return router;
 }
@@ -100,183 +100,6 @@ function createDebugRouter(subscriptionService, pool) {
     }
   });
 
-  // New endpoint: Get all subscription types
-  router.get('/subscription-types', async (req, res) => {
-    try {
-      console.debug('Fetching subscription types for debug');
-      
-      const client = await pool.connect();
-      
-      try {
-        // First check if description column exists
-        const columnCheckResult = await client.query(`
-          SELECT column_name 
-          FROM information_schema.columns 
-          WHERE table_name='subscription_types' AND column_name='description'
-        `);
-        
-        // Build the query dynamically based on column existence
-        const hasDescriptionColumn = columnCheckResult.rows.length > 0;
-        
-        // Query for subscription types
-        const result = await client.query(`
-          SELECT 
-            id,
-            name,
-            ${hasDescriptionColumn ? 'description,' : ''}
-            icon,
-            created_at,
-            updated_at,
-            metadata,
-            parser_url
-          FROM subscription_types
-          ORDER BY name ASC
-        `);
-
-        return res.json({
-          status: 'success',
-          count: result.rows.length,
-          subscription_types: result.rows
-        });
-      } finally {
-        client.release();
-      }
-    } catch (error) {
-      console.error('Error fetching subscription types', {
-        error: error.message,
-        stack: error.stack
-      });
-
-      return res.status(500).json({
-        status: 'error',
-        error: error.message
-      });
-    }
-  });
-
-  // New endpoint: Insert a subscription type for testing
-  router.post('/subscription-types', async (req, res) => {
-    try {
-      const { name, description, icon, metadata, parser_url } = req.body;
-      
-      console.info('Inserting subscription type for testing', { name });
-
-      // Basic validation
-      if (!name) {
-        return res.status(400).json({
-          status: 'error',
-          error: 'Name is required'
-        });
-      }
-      
-      const client = await pool.connect();
-      
-      try {
-        // First check if description column exists
-        const columnCheckResult = await client.query(`
-          SELECT column_name 
-          FROM information_schema.columns 
-          WHERE table_name='subscription_types' AND column_name='description'
-        `);
-        
-        const hasDescriptionColumn = columnCheckResult.rows.length > 0;
-        
-        // Start transaction
-        await client.query('BEGIN');
-        
-        // Check if a subscription type with this name already exists
-        const checkResult = await client.query(
-          'SELECT id FROM subscription_types WHERE name = $1',
-          [name]
-        );
-        
-        let subscriptionTypeId;
-        
-        if (checkResult.rows.length > 0) {
-          // Update existing subscription type
-          subscriptionTypeId = checkResult.rows[0].id;
-          
-          // Build update SQL dynamically based on column existence 
-          const updateSql = `
-            UPDATE subscription_types
-            SET 
-              ${hasDescriptionColumn ? 'description = $1,' : ''}
-              icon = $${hasDescriptionColumn ? '2' : '1'},
-              metadata = $${hasDescriptionColumn ? '3' : '2'}::jsonb,
-              parser_url = $${hasDescriptionColumn ? '4' : '3'},
-              updated_at = NOW()
-            WHERE id = $${hasDescriptionColumn ? '5' : '4'}
-            RETURNING id, name, ${hasDescriptionColumn ? 'description,' : ''} parser_url
-          `;
-          
-          // Prepare parameters array based on column existence
-          const updateParams = hasDescriptionColumn 
-            ? [description || null, icon || null, JSON.stringify(metadata || {}), parser_url || null, subscriptionTypeId]
-            : [icon || null, JSON.stringify(metadata || {}), parser_url || null, subscriptionTypeId];
-          
-          const result = await client.query(updateSql, updateParams);
-          
-          await client.query('COMMIT');
-          
-          return res.json({
-            status: 'success',
-            message: 'Subscription type updated',
-            subscription_type: result.rows[0]
-          });
-        } else {
-          // Insert new subscription type - build SQL dynamically
-          const insertColumns = hasDescriptionColumn 
-            ? 'name, description, icon, metadata, parser_url, created_at, updated_at'
-            : 'name, icon, metadata, parser_url, created_at, updated_at';
-            
-          const insertValues = hasDescriptionColumn
-            ? '($1, $2, $3, $4::jsonb, $5, NOW(), NOW())'
-            : '($1, $2, $3::jsonb, $4, NOW(), NOW())';
-            
-          const insertReturning = hasDescriptionColumn
-            ? 'id, name, description, parser_url'
-            : 'id, name, parser_url';
-            
-          const insertParams = hasDescriptionColumn
-            ? [name, description || null, icon || null, JSON.stringify(metadata || {}), parser_url || null]
-            : [name, icon || null, JSON.stringify(metadata || {}), parser_url || null];
-          
-          const insertSql = `
-            INSERT INTO subscription_types
-            (${insertColumns})
-            VALUES ${insertValues}
-            RETURNING ${insertReturning}
-          `;
-          
-          const result = await client.query(insertSql, insertParams);
-          
-          await client.query('COMMIT');
-          
-          return res.json({
-            status: 'success',
-            message: 'Subscription type created',
-            subscription_type: result.rows[0]
-          });
-        }
-      } catch (error) {
-        await client.query('ROLLBACK');
-        throw error;
-      } finally {
-        client.release();
-      }
-    } catch (error) {
-      console.error('Error inserting subscription type', {
-        error: error.message,
-        stack: error.stack
-      });
-
-      return res.status(500).json({
-        status: 'error',
-        error: error.message
-      });
-    }
-  });
-
   // Debug endpoint to get a list of pending subscriptions
   router.get('/pending-subscriptions', async (req, res) => {
     try {
@@ -626,60 +449,6 @@ function createDebugRouter(subscriptionService, pool) {
     }
   });
 
-  // Add a new endpoint to test the DOGA processor
-  router.post('/test-doga', async (req, res) => {
-    try {
-      const logger = req.app.get('logger');
-      logger.info('Testing DOGA processor', { body: req.body });
-
-      const subscriptionProcessor = req.app.get('subscriptionProcessor');
-      const dogaProcessor = subscriptionProcessor.processorMap['doga'];
-      
-      if (!dogaProcessor) {
-        logger.error('DOGA processor not found in processor map');
-        return res.status(500).json({
-          success: false,
-          error: 'DOGA processor not initialized'
-        });
-      }
-
-      // Create a test subscription object
-      const testSubscription = {
-        id: 'test-doga-' + Date.now(),
-        type: 'doga',
-        config: req.body.config || {
-          keywords: ['test', 'prueba'],
-          sections: ['all']
-        },
-        lastProcessedDate: null
-      };
-
-      logger.info('Processing test DOGA subscription', { subscription: testSubscription });
-      
-      // Process the test subscription
-      const result = await dogaProcessor.processSubscription(testSubscription);
-      
-      logger.info('DOGA test processing completed', { result });
-      
-      return res.json({
-        success: true,
-        message: 'DOGA processor test completed',
-        result
-      });
-    } catch (error) {
-      req.app.get('logger').error('Error testing DOGA processor', {
-        error: error.message,
-        stack: error.stack
-      });
-      
-      return res.status(500).json({
-        success: false,
-        error: error.message,
-        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-      });
-    }
-  });
-
   return router;
 }
 
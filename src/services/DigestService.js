@@ -0,0 +1,152 @@
+/**
+ * Digest Service
+ *
+ * Builds the daily email digests of users whose notification frequency is 'daily'.
+ * Such users get no email per notification; instead one digest per day collects
+ * their notifications of that day across all their subscriptions. Each digest is
+ * queued in the notification outbox for the email channel, which publishes it to
+ * the daily email topic.
+ */
+
+const { buildDigestMessage } = require('../utils/digest-message');
+
+// Time zone in which digest days start and end
+const DIGEST_TIMEZONE = process.env.DIGEST_TIMEZONE || 'UTC';
+
+/**
+ * Date of a point in time in a time zone
+ * @param {Date} date - The point in time
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} YYYY-MM-DD
+ */
+function formatDateInTimeZone(date, timeZone) {
+  // en-CA formats dates as YYYY-MM-DD
+  return date.toLocaleDateString('en-CA', { timeZone });
+}
+
+/**
+ * Whether Intl knows a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * DigestService class running the daily digests
+ */
+class DigestService {
+  /**
+   * Create a new DigestService
+   * @param {Object} options - Dependencies and settings
+   * @param {Object} options.digestRepository - Repository for digest_runs and the notifications of a day
+   * @param {string} [options.timeZone] - Time zone of digest days
+   * @throws {Error} When the time zone is not a valid IANA time zone, so startup fails
+   *   instead of every digest request
+   */
+  constructor({ digestRepository, timeZone }) {
+    if (!digestRepository) {
+      throw new Error('DigestService requires DigestRepository');
+    }
+    this.digestRepository = digestRepository;
+    this.timeZone = timeZone || DIGEST_TIMEZONE;
+    if (!isValidTimeZone(this.timeZone)) {
+      throw new Error(`DigestService: invalid time zone "${this.timeZone}" (check DIGEST_TIMEZONE)`);
+    }
+
+    console.info('Digest service initialized', { time_zone: this.timeZone });
+  }
+
+  /**
+   * Yesterday's date in the digest time zone, the default digest date: the day is complete
+   * when the digests run in the morning
+   * @returns {string} YYYY-MM-DD
+   */
+  defaultDigestDate() {
+    return formatDateInTimeZone(new Date(Date.now() - 24 * 60 * 60 * 1000), this.timeZone);
+  }
+
+  /**
+   * Today's date in the digest time zone; a digest covers a complete day, so only
+   * earlier dates can be digested
+   * @returns {string} YYYY-MM-DD
+   */
+  currentDate() {
+    return formatDateInTimeZone(new Date(), this.timeZone);
+  }
+
+  /**
+   * Create the digests of a day for every user due one. Users who already got the day's
+   * digest are skipped, so the run can be repeated safely.
+   * @param {Object} [options]
+   * @param {string} [options.digestDate] - Day to build digests for (YYYY-MM-DD), defaults to yesterday
+   * @returns {Promise<Object>} Summary: digest_date, time_zone, users, created, already_sent, skipped, errors
+   */
+  async runDailyDigests({ digestDate } = {}) {
+    const date = digestDate || this.defaultDigestDate();
+    const users = await this.digestRepository.findDueUsers(date, this.timeZone);
+    const summary = {
+      digest_date: date,
+      time_zone: this.timeZone,
+      users: users.length,
+      created: 0,
+      already_sent: 0,
+      skipped: 0,
+      errors: 0
+    };
+
+    console.info('Running daily digests', { digest_date: date, time_zone: this.timeZone, users: users.length });
+
+    for (const user of users) {
+      try {
+        const outcome = await this._createDigest(user, date);
+        summary[outcome]++;
+      } catch (error) {
+        summary.errors++;
+        console.error('Error creating digest', {
+          user_id: user.userId,
+          digest_date: date,
+          error: error.message
+        });
+      }
+    }
+
+    console.info('Daily digests finished', summary);
+    return summary;
+  }
+
+  /**
+   * Create one user's digest
+   * @returns {Promise<string>} 'created', 'already_sent' or 'skipped'
+   */
+  async _createDigest(user, digestDate) {
+    if (!user.email) {
+      console.warn('Skipping digest of user without email address', { user_id: user.userId });
+      return 'skipped';
+    }
+
+    const notifications = await this.digestRepository.findNotificationsForDay(user.userId, digestDate, this.timeZone);
+    if (notifications.length === 0) {
+      return 'skipped';
+    }
+
+    const message = buildDigestMessage(user, digestDate, notifications);
+    const digestRun = await this.digestRepository.createDigest({
+      userId: user.userId,
+      digestDate,
+      notificationCount: notifications.length,
+      subscriptionCount: message.subscriptions.length,
+      destination: { email: user.email, frequency: 'daily' },
+      payload: message
+    });
+    return digestRun ? 'created' : 'already_sent';
+  }
+}
+
+module.exports = { DigestService, formatDateInTimeZone };
@@ -0,0 +1,228 @@
+/**
+ * Notification Outbox Relay
+ *
+ * Delivers notification events from the notification_outbox table through the
+ * delivery channel each row names (Pub/Sub or a webhook, see clients/channels).
+ * Notifications and their outbox rows are written in one transaction, so every
+ * stored notification is announced even if the worker crashes right after
+ * the insert. Delivery is at-least-once: a row is marked sent only after its
+ * publish succeeded, and a claim that is never marked expires and is retried.
+ * Only the oldest pending row of each user, channel and destination is claimed,
+ * which keeps the events to each destination in order. Every attempt is recorded in
+ * notification_delivery_attempts.
+ */
+
+const { getDeliveryChannel } = require('../clients/channels');
+
+// Constants - configurable through environment variables
+const DEFAULT_POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS, 10) || 2000; // 2 seconds
+const DEFAULT_BATCH_SIZE = parseInt(process.env.OUTBOX_BATCH_SIZE, 10) || 50;
+const DEFAULT_LOCK_MS = parseInt(process.env.OUTBOX_LOCK_MS, 10) || 30000; // 30 seconds
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 10;
+const RETRY_BASE_DELAY_MS = 5000; // 5 seconds
+const RETRY_MAX_DELAY_MS = 300000; // 5 minutes
+
+/**
+ * NotificationOutboxRelay class delivering outbox rows through their delivery channels
+ */
+class NotificationOutboxRelay {
+  /**
+   * Create a new NotificationOutboxRelay
+   * @param {Object} options - Dependencies and settings
+   * @param {Object} options.outboxRepository - Repository for notification_outbox rows
+   * @param {Map<string, Object>} options.deliveryChannels - Channels by name, see createDeliveryChannels
+   * @param {Object} [options.deadLetterRepository] - Receives events that used all their attempts
+   * @param {Object} [options.deliveryAttemptRepository] - Records every delivery attempt
+   * @param {number} [options.pollIntervalMs] - Interval between outbox polls
+   * @param {number} [options.batchSize] - Maximum rows claimed per poll
+   * @param {number} [options.lockMs] - How long a claimed row is reserved for this relay
+   * @param {number} [options.maxAttempts] - Attempts before an event is moved to the dead-letter store
+   */
+  constructor({
+    outboxRepository,
+    deliveryChannels,
+    deadLetterRepository,
+    deliveryAttemptRepository,
+    pollIntervalMs,
+    batchSize,
+    lockMs,
+    maxAttempts
+  }) {
+    if (!outboxRepository || !deliveryChannels) {
+      throw new Error('NotificationOutboxRelay requires OutboxRepository and delivery channels');
+    }
+    this.outboxRepository = outboxRepository;
+    this.deliveryChannels = deliveryChannels;
+    this.deadLetterRepository = deadLetterRepository || null;
+    this.deliveryAttemptRepository = deliveryAttemptRepository || null;
+    this.pollIntervalMs = pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+    this.batchSize = batchSize || DEFAULT_BATCH_SIZE;
+    this.lockMs = lockMs || DEFAULT_LOCK_MS;
+    this.maxAttempts = maxAttempts || DEFAULT_MAX_ATTEMPTS;
+
+    this.running = false;
+    this.polling = null;
+    this.pollTimer = null;
+    this.stats = { sent: 0, failed: 0, dead_lettered: 0 };
+
+    console.info('Notification outbox relay initialized', {
+      poll_interval_ms: this.pollIntervalMs,
+      batch_size: this.batchSize,
+      max_attempts: this.maxAttempts
+    });
+  }
+
+  /**
+   * Start polling the outbox
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    console.info('Notification outbox relay started');
+    this._schedulePoll(0);
+  }
+
+  /**
+   * Stop polling and wait for the current batch to be published
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    if (this.polling) {
+      await this.polling;
+    }
+    console.info('Notification outbox relay stopped', this.stats);
+  }
+
+  /**
+   * Relay statistics for status endpoints
+   * @returns {Object} Counters since start
+   */
+  getStats() {
+    return { running: this.running, ...this.stats };
+  }
+
+  /** Schedule the next poll, replacing any pending one */
+  _schedulePoll(delayMs) {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => {
+      this.polling = this._poll().finally(() => {
+        this.polling = null;
+      });
+    }, delayMs);
+  }
+
+  /** Claim a batch of outbox rows and publish them */
+  async _poll() {
+    if (!this.running) {
+      return;
+    }
+
+    let claimed = 0;
+    try {
+      const rows = await this.outboxRepository.claimBatch({ limit: this.batchSize, lockMs: this.lockMs });
+      claimed = rows.length;
+      // Claimed rows belong to different users or channels, so they can be delivered together
+      await Promise.all(rows.map(row => this._publish(row)));
+    } catch (error) {
+      console.error('Error polling notification outbox', { error: error.message });
+    } finally {
+      if (this.running) {
+        // A full batch means more rows are probably waiting
+        this._schedulePoll(claimed >= this.batchSize ? 0 : this.pollIntervalMs);
+      }
+    }
+  }
+
+  /** Deliver one outbox row and record the outcome */
+  async _publish(row) {
+    const startTime = Date.now();
+    let channel;
+    try {
+      channel = getDeliveryChannel(this.deliveryChannels, row.channel);
+      const result = await channel.deliver(row);
+      await this._recordAttempt(row, channel, startTime, { status: 'success', ...result });
+      await this.outboxRepository.markSent(row.id, result.messageId);
+      this.stats.sent++;
+    } catch (error) {
+      await this._recordAttempt(row, channel, startTime, {
+        status: 'failed',
+        error: error.message,
+        responseStatus: error.responseStatus,
+        responseBody: error.responseBody
+      });
+      await this._handleFailure(row, error).catch(handleError => {
+        // The claim expires and the row is published again
+        console.error('Failed to record notification outbox failure', {
+          outbox_id: row.id,
+          error: handleError.message,
+          original_error: error.message
+        });
+      });
+    }
+  }
+
+  /** Record a delivery attempt; failing to record never affects delivery */
+  async _recordAttempt(row, channel, startTime, outcome) {
+    if (!this.deliveryAttemptRepository) {
+      return;
+    }
+    try {
+      await this.deliveryAttemptRepository.record({
+        outboxId: row.id,
+        notificationId: row.notification_id,
+        channel: row.channel,
+        destination: channel ? channel.describeDestination(row) : null,
+        durationMs: Date.now() - startTime,
+        ...outcome
+      });
+    } catch (error) {
+      console.warn('Failed to record notification delivery attempt', {
+        outbox_id: row.id,
+        error: error.message
+      });
+    }
+  }
+
+  /** Schedule a retry, or move the event to the dead-letter store once it used all attempts */
+  async _handleFailure(row, error) {
+    if (row.attempts >= this.maxAttempts && this.deadLetterRepository) {
+      const channel = this.deliveryChannels.get(row.channel);
+      await this.deadLetterRepository.create({
+        notificationId: row.notification_id,
+        topic: (channel && channel.describeDestination(row)) || row.topic || row.channel,
+        payload: row.payload,
+        error: error.message,
+        channel: row.channel,
+        destination: row.destination
+      });
+      await this.outboxRepository.markDeadLettered(row.id, error.message);
+      this.stats.dead_lettered++;
+      console.error('Moved notification event to dead letters', {
+        outbox_id: row.id,
+        notification_id: row.notification_id,
+        attempts: row.attempts,
+        error: error.message
+      });
+      return;
+    }
+
+    const delayMs = Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(row.attempts - 1, 0), RETRY_MAX_DELAY_MS);
+    await this.outboxRepository.markFailed(row.id, error.message, delayMs);
+    this.stats.failed++;
+    console.warn('Failed to publish notification event, will retry', {
+      outbox_id: row.id,
+      notification_id: row.notification_id,
+      channel: row.channel,
+      attempts: row.attempts,
+      retry_in_ms: delayMs,
+      error: error.message
+    });
+  }
+}
+
+module.exports = { NotificationOutboxRelay };
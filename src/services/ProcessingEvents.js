@@ -0,0 +1,69 @@
+/**
+ * Processing Events
+ *
+ * In-process event emitter for subscription processing progress.
+ * SubscriptionService publishes a state change at each processing step and
+ * listeners (e.g., the server-sent events endpoint) subscribe per processing ID.
+ * Events only reach listeners on the instance that runs the job.
+ */
+
+const { EventEmitter } = require('events');
+
+// Processing states, in the order they are reached
+const PROCESSING_STATES = {
+  PENDING: 'pending',
+  // Claimed by a worker; the exact step is only known on the instance running it
+  PROCESSING: 'processing',
+  FETCHING_SUBSCRIPTION: 'fetching_subscription',
+  CALLING_PARSER: 'calling_parser',
+  MATCHING_RESULTS: 'matching_results',
+  CREATING_NOTIFICATIONS: 'creating_notifications',
+  UPDATING_STATUS: 'updating_status',
+  COMPLETED: 'completed',
+  ERROR: 'error'
+};
+
+const TERMINAL_STATES = [PROCESSING_STATES.COMPLETED, PROCESSING_STATES.ERROR];
+
+/**
+ * ProcessingEvents class for publishing and subscribing to processing progress
+ */
+class ProcessingEvents extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open event stream, so there is no meaningful upper bound
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Publish a state change of a processing run
+   * @param {string} processingId - The subscription_processing record ID
+   * @param {string} state - One of PROCESSING_STATES
+   * @param {Object} [data={}] - Counts and details known at this point
+   */
+  publish(processingId, state, data = {}) {
+    if (!processingId) {
+      return;
+    }
+    this.emit(`processing:${processingId}`, {
+      processing_id: processingId,
+      state,
+      timestamp: new Date().toISOString(),
+      ...data
+    });
+  }
+
+  /**
+   * Listen to the state changes of a processing run
+   * @param {string} processingId - The subscription_processing record ID
+   * @param {Function} listener - Called with each event
+   * @returns {Function} Function that removes the listener
+   */
+  subscribe(processingId, listener) {
+    const eventName = `processing:${processingId}`;
+    this.on(eventName, listener);
+    return () => this.off(eventName, listener);
+  }
+}
+
+module.exports = { ProcessingEvents, PROCESSING_STATES, TERMINAL_STATES };
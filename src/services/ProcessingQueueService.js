@@ -0,0 +1,382 @@
+/**
+ * Processing Queue Service
+ *
+ * Durable, Postgres-backed job queue for subscription processing.
+ * Jobs are subscription_processing rows: workers claim them with leases,
+ * keep the leases alive with heartbeats while processing, and release them
+ * on completion. Rows whose lease expires (e.g., the instance was restarted)
+ * are picked up again by any instance. Backfill jobs (metadata.backfill holding
+ * a { from, to } date range) run a backfill instead of a regular run.
+ *
+ * Failed jobs are retried with exponential backoff: the row is marked 'failed'
+ * with next_run_at set to the next attempt, and marked 'dead' once it has used
+ * all of its attempts.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+
+// Constants - configurable through environment variables
+const DEFAULT_CONCURRENCY = parseInt(process.env.QUEUE_CONCURRENCY, 10) || 2;
+const DEFAULT_LEASE_MS = parseInt(process.env.QUEUE_LEASE_MS, 10) || 60000; // 1 minute
+const DEFAULT_POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_INTERVAL_MS, 10) || 5000; // 5 seconds
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 20000; // 20 seconds
+const MIN_RETRY_DELAY_MS = 5000; // 5 seconds
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.PROCESSING_MAX_ATTEMPTS, 10) || 5;
+const DEFAULT_RETRY_BASE_DELAY_MS = parseInt(process.env.PROCESSING_RETRY_BASE_DELAY_MS, 10) || 60000; // 1 minute
+const DEFAULT_RETRY_MAX_DELAY_MS = parseInt(process.env.PROCESSING_RETRY_MAX_DELAY_MS, 10) || 3600000; // 1 hour
+
+/**
+ * ProcessingQueueService class for running queued subscription processing jobs
+ */
+class ProcessingQueueService {
+  /**
+   * Create a new ProcessingQueueService
+   * @param {Object} options - Dependencies and settings
+   * @param {Object} options.processTrackingRepository - Repository for subscription_processing rows
+   * @param {Object} options.subscriptionService - Service that processes a subscription
+   * @param {string} [options.workerId] - Unique identifier of this worker instance
+   * @param {number} [options.concurrency] - Maximum number of jobs processed at once
+   * @param {number} [options.leaseMs] - Lease duration; heartbeats run every third of it
+   * @param {number} [options.pollIntervalMs] - Interval between queue polls
+   * @param {number} [options.maxAttempts] - Attempts before a failing job is marked dead
+   * @param {number} [options.retryBaseDelayMs] - Delay before the first retry; doubled on every further retry
+   * @param {number} [options.retryMaxDelayMs] - Upper bound of the retry delay
+   */
+  constructor({
+    processTrackingRepository,
+    subscriptionService,
+    workerId,
+    concurrency,
+    leaseMs,
+    pollIntervalMs,
+    maxAttempts,
+    retryBaseDelayMs,
+    retryMaxDelayMs
+  }) {
+    if (!processTrackingRepository || !subscriptionService) {
+      throw new Error('ProcessingQueueService requires ProcessTrackingRepository and SubscriptionService');
+    }
+    this.processTrackingRepository = processTrackingRepository;
+    this.subscriptionService = subscriptionService;
+    this.workerId = workerId || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+    this.concurrency = concurrency || DEFAULT_CONCURRENCY;
+    this.leaseMs = leaseMs || DEFAULT_LEASE_MS;
+    this.pollIntervalMs = pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+    this.maxAttempts = maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.retryBaseDelayMs = retryBaseDelayMs || DEFAULT_RETRY_BASE_DELAY_MS;
+    this.retryMaxDelayMs = retryMaxDelayMs || DEFAULT_RETRY_MAX_DELAY_MS;
+
+    this.activeJobs = new Map();
+    this.running = false;
+    this.polling = false;
+    this.pollTimer = null;
+
+    console.info('Processing queue service initialized', {
+      worker_id: this.workerId,
+      concurrency: this.concurrency,
+      lease_ms: this.leaseMs,
+      poll_interval_ms: this.pollIntervalMs,
+      max_attempts: this.maxAttempts
+    });
+  }
+
+  /**
+   * Start polling the queue
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    console.info('Processing queue started', { worker_id: this.workerId });
+    this._schedulePoll(0);
+  }
+
+  /**
+   * Trigger an immediate poll, e.g. right after a job has been enqueued
+   */
+  poke() {
+    if (this.running) {
+      this._schedulePoll(0);
+    }
+  }
+
+  /**
+   * Stop polling and wait for in-flight jobs to finish.
+   * Jobs still running after the timeout keep their lease until it expires
+   * and are then picked up by another instance.
+   * @param {number} [timeoutMs] - Maximum time to wait for in-flight jobs
+   * @returns {Promise<void>}
+   */
+  async stop(timeoutMs = DEFAULT_SHUTDOWN_TIMEOUT_MS) {
+    this.running = false;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+
+    if (this.activeJobs.size === 0) {
+      console.info('Processing queue stopped', { worker_id: this.workerId });
+      return;
+    }
+
+    console.info('Waiting for in-flight processing jobs', {
+      worker_id: this.workerId,
+      active_jobs: this.activeJobs.size,
+      timeout_ms: timeoutMs
+    });
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(resolve, timeoutMs);
+    });
+    await Promise.race([Promise.allSettled(this.activeJobs.values()), timeout]);
+    clearTimeout(timer);
+
+    console.info('Processing queue stopped', {
+      worker_id: this.workerId,
+      unfinished_jobs: this.activeJobs.size
+    });
+  }
+
+  /**
+   * Queue a subscription and run it on this instance right away, e.g. as part of a batch.
+   * The run goes through the queue like any other job: it holds a lease, and a failure is
+   * retried with backoff. Nothing is run when the subscription already has an active
+   * processing record, or when a queue worker claims the new record first.
+   * @param {string} subscriptionId - The subscription to run
+   * @param {Object} [metadata={}] - Metadata of the processing record (e.g., trace_id, batch_id)
+   * @returns {Promise<Object>} The run result with its processing_id; status 'skipped' with
+   *   reason 'already_queued' when the run was left to the queue
+   */
+  async runNow(subscriptionId, metadata = {}) {
+    const { record, created } = await this.processTrackingRepository.createRecordIfNotActive(subscriptionId, metadata);
+    const job = created
+      ? await this.processTrackingRepository.claimRecord(record.id, this.workerId, { leaseMs: this.leaseMs })
+      : null;
+    if (!job) {
+      return {
+        status: 'skipped',
+        reason: 'already_queued',
+        subscription_id: subscriptionId,
+        processing_id: record.id
+      };
+    }
+
+    const jobPromise = this._runJob(job).finally(() => {
+      this.activeJobs.delete(job.id);
+    });
+    this.activeJobs.set(job.id, jobPromise);
+    const result = await jobPromise;
+    return { ...result, processing_id: job.id };
+  }
+
+  /**
+   * Queue statistics for status endpoints
+   * @returns {Object} Current queue state
+   */
+  getStats() {
+    return {
+      worker_id: this.workerId,
+      running: this.running,
+      active_jobs: this.activeJobs.size,
+      concurrency: this.concurrency,
+      max_attempts: this.maxAttempts
+    };
+  }
+
+  /**
+   * Decide what happens to a job whose attempt failed
+   * @param {number} attempts - Attempts made so far, including the failed one
+   * @returns {{ status: string, delayMs: number|null }} 'failed' with the delay before
+   *   the next attempt, or 'dead' when no attempts are left
+   */
+  _retryDecision(attempts) {
+    if (attempts >= this.maxAttempts) {
+      return { status: 'dead', delayMs: null };
+    }
+    const delayMs = Math.min(
+      this.retryBaseDelayMs * 2 ** Math.max(attempts - 1, 0),
+      this.retryMaxDelayMs
+    );
+    return { status: 'failed', delayMs };
+  }
+
+  /** Schedule the next poll, replacing any pending one */
+  _schedulePoll(delayMs) {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this._poll(), delayMs);
+  }
+
+  /** Claim as many jobs as there are free slots and start them */
+  async _poll() {
+    if (!this.running || this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      const freeSlots = this.concurrency - this.activeJobs.size;
+      if (freeSlots > 0) {
+        const jobs = await this.processTrackingRepository.claimRecords(this.workerId, {
+          limit: freeSlots,
+          leaseMs: this.leaseMs
+        });
+
+        for (const job of jobs) {
+          const jobPromise = this._runJob(job).finally(() => {
+            this.activeJobs.delete(job.id);
+            // A slot was freed, look for more work right away
+            this.poke();
+          });
+          this.activeJobs.set(job.id, jobPromise);
+        }
+      }
+    } catch (error) {
+      console.error('Error polling processing queue', {
+        worker_id: this.workerId,
+        error: error.message
+      });
+    } finally {
+      this.polling = false;
+      if (this.running) {
+        this._schedulePoll(this.pollIntervalMs);
+      }
+    }
+  }
+
+  /**
+   * Process one claimed job while keeping its lease alive
+   * @returns {Promise<Object>} The run result; status 'error' when the run threw
+   */
+  async _runJob(job) {
+    const traceId = job.metadata?.trace_id || crypto.randomBytes(8).toString('hex');
+    const startTime = Date.now();
+
+    console.info('Starting processing job', {
+      processing_id: job.id,
+      subscription_id: job.subscription_id,
+      attempt: job.attempts,
+      worker_id: this.workerId,
+      trace_id: traceId
+    });
+
+    const heartbeat = setInterval(async () => {
+      try {
+        const owned = await this.processTrackingRepository.extendLease(job.id, this.workerId, this.leaseMs);
+        if (!owned) {
+          console.warn('Lost lease on processing job', {
+            processing_id: job.id,
+            worker_id: this.workerId,
+            trace_id: traceId
+          });
+        }
+      } catch (error) {
+        console.warn('Failed to extend processing job lease', {
+          processing_id: job.id,
+          error: error.message,
+          trace_id: traceId
+        });
+      }
+    }, Math.floor(this.leaseMs / 3));
+
+    let finalStatus = 'completed';
+    let errorMessage = null;
+    let resultMetadata = {};
+    let retryAfterMs = null;
+    let result;
+
+    try {
+      // Backfill jobs carry their date range in the record's metadata
+      const backfill = job.metadata?.backfill;
+      const runOptions = { traceId, processingId: job.id };
+      result = backfill
+        ? await this.subscriptionService.backfillSubscription(job.subscription_id, {
+          ...runOptions,
+          from: backfill.from,
+          to: backfill.to
+        })
+        : await this.subscriptionService.processSubscription(job.subscription_id, runOptions);
+
+      if (result.status === 'retry') {
+        retryAfterMs = Math.max(result.retry_after_ms || 0, MIN_RETRY_DELAY_MS);
+        resultMetadata = { retry_reason: result.reason };
+      } else if (result.status === 'error') {
+        finalStatus = 'error';
+        errorMessage = result.error || 'Unknown error';
+      } else {
+        resultMetadata = {
+          result_status: result.status,
+          matches_count: result.matches_count || 0,
+          matches_dropped: result.matches_dropped || 0,
+          matches_dropped_by_reason: result.matches_dropped_by_reason || {},
+          query_dates: result.query_dates || [],
+          processed_through_date: result.processed_through_date || null,
+          notifications_created: result.notifications_created || 0,
+          duplicates_suppressed: result.duplicates_suppressed || 0
+        };
+      }
+
+      console.info('Processing job finished', {
+        processing_id: job.id,
+        subscription_id: job.subscription_id,
+        status: result.status,
+        matches: result.matches_count,
+        notifications: result.notifications_created,
+        duplicates: result.duplicates_suppressed,
+        processing_time_ms: Date.now() - startTime,
+        trace_id: traceId
+      });
+    } catch (error) {
+      finalStatus = 'error';
+      errorMessage = error.message;
+      result = { status: 'error', error: error.message, subscription_id: job.subscription_id };
+
+      console.error('Processing job failed', {
+        processing_id: job.id,
+        subscription_id: job.subscription_id,
+        error: error.message,
+        stack: error.stack,
+        trace_id: traceId
+      });
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    try {
+      if (retryAfterMs !== null) {
+        // Not a failure of this job (e.g., its parser is down): queue it again
+        await this.processTrackingRepository.releaseClaimedRecord(job.id, this.workerId, {
+          delayMs: retryAfterMs,
+          reason: resultMetadata.retry_reason
+        });
+      } else if (finalStatus === 'error') {
+        const { status, delayMs } = this._retryDecision(job.attempts || 1);
+        await this.processTrackingRepository.failClaimedRecord(job.id, this.workerId, {
+          status,
+          errorMessage,
+          delayMs
+        });
+        if (status === 'dead') {
+          console.error('Processing job exhausted its attempts', {
+            processing_id: job.id,
+            subscription_id: job.subscription_id,
+            attempts: job.attempts,
+            error: errorMessage,
+            trace_id: traceId
+          });
+        }
+      } else {
+        await this.processTrackingRepository.completeClaimedRecord(job.id, this.workerId, finalStatus, errorMessage, resultMetadata);
+      }
+    } catch (error) {
+      console.error('Failed to complete processing job', {
+        processing_id: job.id,
+        error: error.message,
+        trace_id: traceId
+      });
+    }
+    return result;
+  }
+}
+
+module.exports = { ProcessingQueueService };
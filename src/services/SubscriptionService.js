@@ -7,11 +7,36 @@
  */
 
 const crypto = require('crypto');
-const { ParserClient } = require('../utils/parser-protocol'); // This path will be updated
+const { runBatch } = require('../utils/batch');
+const { resolveParserAdapter } = require('../utils/parser/adapters');
+const { CircuitOpenError } = require('../utils/circuit-breaker');
+const { PROCESSING_STATES } = require('./ProcessingEvents');
+const { buildNotificationMessage } = require('../utils/notification-message');
+const { resolveMatchLimits, applyMatchLimits } = require('../utils/match-limits');
+const { computeProcessingWindow, coveredThrough, isDateString, dateRange, toDateString } = require('../utils/processing-window');
+const { PROCESSOR_RESULTS_TOPIC, buildEmailNotificationMessage } = require('../config/pubsub');
 
 // Constants - these might move to config later
 const DEFAULT_PROMPTS = ['Información general', 'Noticias importantes'];
-const DEFAULT_MATCH_LIMIT = 10;
+// Matches kept per run when neither the subscription nor its type sets max_matches_per_run
+const DEFAULT_MATCH_LIMIT = parseInt(process.env.DEFAULT_MATCH_LIMIT, 10) || 10;
+
+// Most bulletin dates a run queries, oldest uncovered first; later dates are left to the next runs
+const PROCESSING_MAX_LOOKBACK_DAYS = parseInt(process.env.PROCESSING_MAX_LOOKBACK_DAYS, 10) || 7;
+
+// Batch processing settings
+const BATCH_FETCH_LIMIT = parseInt(process.env.BATCH_FETCH_LIMIT, 10) || 100;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 5;
+const BATCH_PER_PARSER_CONCURRENCY = parseInt(process.env.BATCH_PER_PARSER_CONCURRENCY, 10) || 2;
+const BATCH_TIME_BUDGET_MS = parseInt(process.env.BATCH_TIME_BUDGET_MS, 10) || 240000; // 4 minutes, below the Cloud Run request timeout
+
+// How notifications are announced: one event per notification, or one aggregated
+// message per processing run (PubSubNotificationSchema, on the processor results topic)
+const DELIVERY_MODES = {
+  NOTIFICATION: 'notification',
+  RUN: 'run'
+};
+const NOTIFICATION_DELIVERY_MODE = process.env.NOTIFICATION_DELIVERY_MODE || DELIVERY_MODES.NOTIFICATION;
 
 /**
  * SubscriptionService class for handling subscription processing logic
@@ -22,19 +47,34 @@ class SubscriptionService {
    * @param {Object} options - Dependencies
    * @param {Object} options.subscriptionRepository - Repository for subscription data
    * @param {Object} options.notificationRepository - Repository for notification data
-   * @param {Object} options.parserClient - Client for interacting with the parser service
-   * @param {Object} options.notificationClient - Client for publishing notifications (e.g., PubSub)
+   * @param {Object} options.parserClientPool - Pool of parser clients keyed by parser URL
+   * @param {Object} [options.subscriptionTypeRepository] - Repository recording the parser protocol
+   *   version of each subscription type
+   * @param {Object} [options.processingEvents] - ProcessingEvents emitter notified at each processing step
+   * @param {string} [options.deliveryMode] - 'notification' (default) or 'run', see DELIVERY_MODES
    */
-  constructor({ subscriptionRepository, notificationRepository, parserClient, notificationClient }) {
-    if (!subscriptionRepository || !notificationRepository || !parserClient) {
+  constructor({
+    subscriptionRepository,
+    notificationRepository,
+    parserClientPool,
+    subscriptionTypeRepository,
+    processingEvents,
+    deliveryMode
+  }) {
+    if (!subscriptionRepository || !notificationRepository || !parserClientPool) {
         throw new Error('Missing required dependencies for SubscriptionService');
     }
+    this.deliveryMode = deliveryMode || NOTIFICATION_DELIVERY_MODE;
+    if (!Object.values(DELIVERY_MODES).includes(this.deliveryMode)) {
+        throw new Error(`Unknown notification delivery mode: ${this.deliveryMode}`);
+    }
     this.subscriptionRepository = subscriptionRepository;
     this.notificationRepository = notificationRepository;
-    this.parserClient = parserClient;
-    this.notificationClient = notificationClient;
+    this.parserClientPool = parserClientPool;
+    this.subscriptionTypeRepository = subscriptionTypeRepository || null;
+    this.processingEvents = processingEvents || null;
     
-    console.info('Subscription service initialized');
+    console.info('Subscription service initialized', { delivery_mode: this.deliveryMode });
   }
   
   /**
@@ -105,11 +145,20 @@ class SubscriptionService {
    * Process a single subscription by ID
    * @param {string} subscriptionId - The ID of the subscription to process
    * @param {Object} [options={}] - Additional options like traceId
+   * @param {string} options.processingId - The subscription_processing record this run belongs to,
+   *   claimed from the processing queue, which runs every subscription (batches included)
    * @returns {Promise<Object>} Processing result with status, counts, and traceId
    */
   async processSubscription(subscriptionId, options = {}) {
     // Use provided traceId or generate a new one
     const traceId = options.traceId || crypto.randomBytes(8).toString('hex');
+    const processingId = options.processingId || null;
+    const startedAt = Date.now();
+    const emitState = (state, data = {}) => this._emitProcessingState(processingId, state, {
+      subscription_id: subscriptionId,
+      trace_id: traceId,
+      ...data
+    });
     
     console.info('Processing subscription', { 
       subscription_id: subscriptionId, 
@@ -123,6 +172,7 @@ class SubscriptionService {
       }
 
       // 1. Fetch Subscription Data
+      emitState(PROCESSING_STATES.FETCHING_SUBSCRIPTION, { step: 1 });
       const subscription = await this._getSubscriptionData(subscriptionId, traceId);
       
       // Check if the subscription type has a parser URL
@@ -134,42 +184,130 @@ class SubscriptionService {
           trace_id: traceId
         });
         
-        return {
+        const skippedResult = {
           status: 'skipped',
           subscription_id: subscriptionId,
           reason: 'no_parser_url',
           message: 'Subscription type has no parser URL configured',
           trace_id: traceId
         };
+        emitState(PROCESSING_STATES.COMPLETED, { result: skippedResult });
+        return skippedResult;
       }
-
-      // 2. Get Parser Results
-      const parserResult = await this._fetchParserResults(subscription, traceId);
       
+      // Deactivated subscription types keep their subscriptions, but these are not processed
+      if (subscription.type_active === false) {
+        const skippedResult = this._typeInactiveResult(subscription, traceId);
+        emitState(PROCESSING_STATES.COMPLETED, { result: skippedResult });
+        return skippedResult;
+      }
+
+      // 2. Get Parser Results for every bulletin date not covered yet
+      const window = this._processingWindow(subscription);
+      if (window.remaining_days > 0) {
+        console.warn('Processing backlog longer than the lookback, leaving later dates to the next runs', {
+          subscription_id: subscriptionId,
+          from: window.from,
+          to: window.to,
+          remaining_days: window.remaining_days,
+          trace_id: traceId
+        });
+      }
+      emitState(PROCESSING_STATES.CALLING_PARSER, {
+        step: 2,
+        parser_url: subscription.parser_url,
+        query_dates: window.dates
+      });
+      const parserResult = await this._fetchParserResults(subscription, traceId, processingId, window);
+
+      // The parser failed for every date (e.g. it is down): fail the run so the queue retries
+      // it, leaving the last run time and the high-water mark alone
+      if (parserResult.status === 'error') {
+        throw new Error(`Parser failed for ${parserResult.failed_date || window.from}: ${parserResult.error || 'Unknown error'}`);
+      }
+
       // 3. Process Results into Matches
-      const matches = this._processParserEntries(parserResult, subscription.prompts, traceId);
+      emitState(PROCESSING_STATES.MATCHING_RESULTS, {
+        step: 3,
+        entries_count: parserResult?.entries?.length || 0
+      });
+      const entryMatches = this._processParserEntries(parserResult, subscription.prompts, traceId);
+      const { matches, dropped } = this._limitMatches(subscription, entryMatches, traceId);
+      const matchesDropped = entryMatches.length - matches.length;
       
       // 4. Create and Publish Notifications
-      const notificationResult = await this._handleNotifications(subscription, matches, traceId);
+      emitState(PROCESSING_STATES.CREATING_NOTIFICATIONS, {
+        step: 4,
+        matches_count: matches.length,
+        matches_dropped: matchesDropped
+      });
+      const notificationResult = await this._handleNotifications(subscription, matches, traceId, {
+        processingId,
+        startedAt,
+        queryDate: parserResult?.query_date
+      });
       
       // 5. Update Subscription Status
-      await this._updateSubscriptionStatus(subscriptionId, traceId);
+      emitState(PROCESSING_STATES.UPDATING_STATUS, {
+        step: 5,
+        matches_count: matches.length,
+        notifications_created: notificationResult.created,
+        duplicates_suppressed: notificationResult.duplicates
+      });
+      // A window cut short by the lookback keeps the last run time, so the subscription stays
+      // pending and the next scheduler tick goes on with the dates after it
+      await this._updateSubscriptionStatus(subscriptionId, traceId, {
+        touchLastProcessed: window.remaining_days === 0
+      });
+      const processedThrough = await this._advanceProcessedThrough(
+        subscription, window, parserResult.covered_dates, traceId
+      );
       
       console.info('Subscription processing completed successfully', {
         subscription_id: subscriptionId,
         notifications_created: notificationResult.created,
+        duplicates_suppressed: notificationResult.duplicates,
         errors: notificationResult.errors,
         trace_id: traceId
       });
       
-      return {
+      const result = {
         status: 'success',
         subscription_id: subscriptionId,
         matches_count: matches.length,
+        matches_dropped: matchesDropped,
+        matches_dropped_by_reason: dropped,
         notifications_created: notificationResult.created,
+        duplicates_suppressed: notificationResult.duplicates,
+        query_dates: parserResult.covered_dates,
+        processed_through_date: processedThrough || subscription.metadata?.processed_through_date || null,
+        ...(window.remaining_days > 0 && { remaining_days: window.remaining_days }),
+        ...(parserResult.failed_date && { failed_date: parserResult.failed_date }),
         trace_id: traceId
       };
+      emitState(PROCESSING_STATES.COMPLETED, { result });
+      return result;
     } catch (error) {
+      if (error instanceof CircuitOpenError) {
+        // The parser is known to be down: leave the subscription for a later attempt
+        console.warn('Parser unavailable, subscription left for retry', {
+          subscription_id: subscriptionId,
+          parser_url: error.target,
+          retry_after_ms: error.retryAfterMs,
+          trace_id: traceId
+        });
+        const retryResult = {
+          status: 'retry',
+          reason: 'parser_unavailable',
+          error: error.message,
+          retry_after_ms: error.retryAfterMs,
+          subscription_id: subscriptionId,
+          trace_id: traceId
+        };
+        emitState(PROCESSING_STATES.PENDING, { result: retryResult });
+        return retryResult;
+      }
+      
       console.error('Error processing subscription', {
         subscription_id: subscriptionId,
         error: error.message,
@@ -177,59 +315,160 @@ class SubscriptionService {
         trace_id: traceId
       });
       
-      // Update subscription_processing record to 'error' status
-      try {
-        // Find the active processing record for this subscription
-        const query = `
-          SELECT id FROM subscription_processing 
-          WHERE subscription_id = $1 
-          ORDER BY created_at DESC 
-          LIMIT 1
-        `;
-        const client = await this.subscriptionRepository.pool.connect();
-        const result = await client.query(query, [subscriptionId]);
-        
-        if (result.rows.length > 0) {
-          const processingId = result.rows[0].id;
-          const errorStatus = 'error';
-          
-          // Update the processing record with error status and details
-          const updateQuery = `
-            UPDATE subscription_processing 
-            SET status = $1, 
-                error = $2,
-                updated_at = NOW(),
-                metadata = jsonb_set(
-                  COALESCE(metadata, '{}'), 
-                  '{error_at}', 
-                  to_jsonb($3::text)
-                )
-            WHERE id = $4
-          `;
-          await client.query(updateQuery, [
-            errorStatus, 
-            error.message, 
-            new Date().toISOString(), 
-            processingId
-          ]);
-          
-          console.info('Updated subscription processing record to error state', {
-            subscription_id: subscriptionId,
-            processing_id: processingId,
-            error: error.message,
-            trace_id: traceId
-          });
-        }
-        client.release();
-      } catch (updateError) {
-        console.warn('Failed to update subscription processing error status', {
+      // No error event: the queue decides whether the run is retried or dead, and
+      // event streams pick that up from the processing record
+      return {
+        status: 'error',
+        error: error.message,
+        subscription_id: subscriptionId,
+        trace_id: traceId
+      };
+    }
+  }
+
+  /**
+   * Backfill a subscription: query its parser for every date of a past range and create the
+   * notifications those dates would have produced, dated at their publication date. Dates are
+   * queried one at a time, as in a regular run's window, and the match limits apply to each
+   * date separately, as if every date had been a daily run. Backfilled notifications are not
+   * announced through the outbox (no Pub/Sub event, webhook or email), and the subscription's
+   * high-water mark and last run time are left alone.
+   * @param {string} subscriptionId - ID of the subscription
+   * @param {Object} options
+   * @param {string} options.from - First date of the range (YYYY-MM-DD)
+   * @param {string} options.to - Last date of the range (YYYY-MM-DD)
+   * @param {string} [options.traceId] - Trace ID for request tracking
+   * @param {string} options.processingId - subscription_processing record of the backfill job
+   * @returns {Promise<Object>} Result like processSubscription's. Status 'error' when the parser
+   *   failed for a date, so the queue retries the job; notifications of the dates already
+   *   covered are deduplicated on the retry.
+   */
+  async backfillSubscription(subscriptionId, options = {}) {
+    const { from, to } = options;
+    const traceId = options.traceId || crypto.randomBytes(8).toString('hex');
+    const processingId = options.processingId || null;
+    const emitState = (state, data = {}) => this._emitProcessingState(processingId, state, {
+      subscription_id: subscriptionId,
+      trace_id: traceId,
+      ...data
+    });
+    
+    console.info('Backfilling subscription', {
+      subscription_id: subscriptionId,
+      from,
+      to,
+      trace_id: traceId
+    });
+    
+    try {
+      if (!isDateString(from) || !isDateString(to) || from > to) {
+        throw new Error(`Invalid backfill range: ${from} to ${to}`);
+      }
+      
+      emitState(PROCESSING_STATES.FETCHING_SUBSCRIPTION, { step: 1 });
+      const subscription = await this._getSubscriptionData(subscriptionId, traceId);
+      if (!subscription.parser_url) {
+        const skippedResult = {
+          status: 'skipped',
+          subscription_id: subscriptionId,
+          reason: 'no_parser_url',
+          message: 'Subscription type has no parser URL configured',
+          trace_id: traceId
+        };
+        emitState(PROCESSING_STATES.COMPLETED, { result: skippedResult });
+        return skippedResult;
+      }
+      if (subscription.type_active === false) {
+        const skippedResult = this._typeInactiveResult(subscription, traceId);
+        emitState(PROCESSING_STATES.COMPLETED, { result: skippedResult });
+        return skippedResult;
+      }
+      
+      const window = { from, to, dates: dateRange(from, to), remaining_days: 0 };
+      emitState(PROCESSING_STATES.CALLING_PARSER, {
+        step: 2,
+        parser_url: subscription.parser_url,
+        query_dates: window.dates
+      });
+      const parserResult = await this._fetchParserResults(subscription, traceId, processingId, window);
+      
+      emitState(PROCESSING_STATES.MATCHING_RESULTS, {
+        step: 3,
+        entries_count: parserResult?.entries?.length || 0
+      });
+      const entryMatches = this._processParserEntries(parserResult, subscription.prompts, traceId);
+      const { matches, dropped } = this._limitMatchesPerDate(subscription, entryMatches, traceId);
+      const matchesDropped = entryMatches.length - matches.length;
+      
+      emitState(PROCESSING_STATES.CREATING_NOTIFICATIONS, {
+        step: 4,
+        matches_count: matches.length,
+        matches_dropped: matchesDropped
+      });
+      const notificationResult = await this._createBackfillNotifications(subscription, matches, traceId);
+      
+      console.info('Subscription backfill finished', {
+        subscription_id: subscriptionId,
+        from,
+        to,
+        covered_dates: parserResult.covered_dates.length,
+        failed_date: parserResult.failed_date || null,
+        notifications_created: notificationResult.created,
+        duplicates_suppressed: notificationResult.duplicates,
+        errors: notificationResult.errors,
+        trace_id: traceId
+      });
+      
+      if (parserResult.failed_date) {
+        return {
+          status: 'error',
+          error: `Parser failed for ${parserResult.failed_date}: ${parserResult.error || 'Unknown error'}`,
+          subscription_id: subscriptionId,
+          trace_id: traceId
+        };
+      }
+      
+      const result = {
+        status: 'success',
+        subscription_id: subscriptionId,
+        matches_count: matches.length,
+        matches_dropped: matchesDropped,
+        matches_dropped_by_reason: dropped,
+        notifications_created: notificationResult.created,
+        duplicates_suppressed: notificationResult.duplicates,
+        query_dates: parserResult.covered_dates,
+        trace_id: traceId
+      };
+      emitState(PROCESSING_STATES.COMPLETED, { result });
+      return result;
+    } catch (error) {
+      if (error instanceof CircuitOpenError) {
+        console.warn('Parser unavailable, backfill left for retry', {
           subscription_id: subscriptionId,
-          error: updateError.message,
-          original_error: error.message,
+          parser_url: error.target,
+          retry_after_ms: error.retryAfterMs,
           trace_id: traceId
         });
+        const retryResult = {
+          status: 'retry',
+          reason: 'parser_unavailable',
+          error: error.message,
+          retry_after_ms: error.retryAfterMs,
+          subscription_id: subscriptionId,
+          trace_id: traceId
+        };
+        emitState(PROCESSING_STATES.PENDING, { result: retryResult });
+        return retryResult;
       }
       
+      console.error('Error backfilling subscription', {
+        subscription_id: subscriptionId,
+        from,
+        to,
+        error: error.message,
+        stack: error.stack,
+        trace_id: traceId
+      });
       return {
         status: 'error',
         error: error.message,
@@ -239,8 +478,136 @@ class SubscriptionService {
     }
   }
 
+  /**
+   * Preview a run: query the parser for the dates the next run would cover and return the
+   * notifications it would create, without writing anything. No notification or outbox row is
+   * created, and neither the processing records nor the subscription's last run time and
+   * high-water mark are touched.
+   * @param {string} subscriptionId - ID of the subscription
+   * @param {Object} [options]
+   * @param {Array<string>} [options.prompts] - Prompts to try instead of the subscription's
+   * @param {string} [options.traceId] - Trace ID for request tracking
+   * @returns {Promise<Object>} Would-be notifications, match and drop counts, and the dates queried
+   * @throws {CircuitOpenError} When the parser's circuit breaker is open
+   */
+  async previewSubscription(subscriptionId, options = {}) {
+    const traceId = options.traceId || crypto.randomBytes(8).toString('hex');
+    const startedAt = Date.now();
+    
+    const stored = await this._getSubscriptionData(subscriptionId, traceId);
+    const subscription = options.prompts ? { ...stored, prompts: options.prompts } : stored;
+    
+    const window = this._processingWindow(subscription);
+    const parserResult = await this._fetchParserResults(subscription, traceId, null, window, { dryRun: true });
+    const entryMatches = this._processParserEntries(parserResult, subscription.prompts, traceId);
+    const { matches, dropped } = this._limitMatches(subscription, entryMatches, traceId);
+    
+    console.info('Subscription preview finished', {
+      subscription_id: subscriptionId,
+      query_dates: parserResult.covered_dates.length,
+      matches_count: matches.length,
+      matches_dropped: entryMatches.length - matches.length,
+      trace_id: traceId
+    });
+    
+    return {
+      status: 'success',
+      dry_run: true,
+      subscription_id: subscriptionId,
+      prompts: this._validatePrompts(subscription.prompts),
+      query_dates: parserResult.covered_dates,
+      ...(parserResult.failed_date && {
+        failed_date: parserResult.failed_date,
+        parser_error: parserResult.error || null
+      }),
+      matches_count: matches.length,
+      matches_dropped: entryMatches.length - matches.length,
+      matches_dropped_by_reason: dropped,
+      notifications: matches.map(match => this._notificationFromMatch(subscription, match, traceId)),
+      processing_time_ms: Date.now() - startedAt,
+      trace_id: traceId
+    };
+  }
+
+  /**
+   * Query a subscription type's parser for prompts outside of any subscription, e.g. to test
+   * prompts. The request and the normalization of the results are those of a run; no match
+   * limits apply beyond the limit sent to the parser, and nothing is written.
+   * @param {Object} subscriptionType - The subscription type (id, name, parser_url, metadata)
+   * @param {Object} options
+   * @param {Array<string>} options.prompts - Prompts to query
+   * @param {string} [options.date] - Date to query (YYYY-MM-DD), defaults to today
+   * @param {number} [options.limit] - Maximum matches per prompt, sent to the parser
+   * @param {string} [options.traceId] - Trace ID for request tracking
+   * @returns {Promise<Object>} Normalized matches, the parser status and error, and timing
+   * @throws {CircuitOpenError} When the parser's circuit breaker is open
+   */
+  async queryParser(subscriptionType, { prompts, date, limit, traceId: providedTraceId } = {}) {
+    const traceId = providedTraceId || crypto.randomBytes(8).toString('hex');
+    const queryDate = date || toDateString(new Date());
+    // Request building expects a subscription; this one belongs to no user
+    const subscription = {
+      id: null,
+      user_id: null,
+      prompts,
+      metadata: limit ? { max_matches_per_prompt: limit } : {},
+      type_id: subscriptionType.id,
+      type_name: subscriptionType.name,
+      parser_url: subscriptionType.parser_url,
+      type_metadata: subscriptionType.metadata || {}
+    };
+    const window = { from: queryDate, to: queryDate, dates: [queryDate], remaining_days: 0 };
+    
+    const startedAt = Date.now();
+    const parserResult = await this._fetchParserResults(subscription, traceId, null, window, { dryRun: true });
+    const parserTimeMs = Date.now() - startedAt;
+    const matches = this._processParserEntries(parserResult, subscription.prompts, traceId);
+    
+    console.info('Parser query finished', {
+      type_id: subscriptionType.id,
+      parser_url: subscriptionType.parser_url,
+      status: parserResult.status,
+      matches_count: matches.length,
+      parser_time_ms: parserTimeMs,
+      trace_id: traceId
+    });
+    
+    return {
+      status: parserResult.status,
+      ...(parserResult.status === 'error' && { error: parserResult.error || 'Unknown error' }),
+      type_id: subscriptionType.id,
+      parser_url: subscriptionType.parser_url,
+      query_date: parserResult.query_date || queryDate,
+      protocol_version: parserResult.protocol_version || null,
+      prompts: this._validatePrompts(prompts),
+      matches_count: matches.length,
+      matches,
+      timing: {
+        parser_time_ms: parserTimeMs,
+        total_time_ms: Date.now() - startedAt
+      },
+      trace_id: traceId
+    };
+  }
+
   // --- Private Helper Methods --- 
 
+  /** Publish a processing state change; listener failures never affect processing */
+  _emitProcessingState(processingId, state, data) {
+    if (!this.processingEvents || !processingId) {
+      return;
+    }
+    try {
+      this.processingEvents.publish(processingId, state, data);
+    } catch (error) {
+      console.warn('Failed to publish processing state', {
+        processing_id: processingId,
+        state,
+        error: error.message
+      });
+    }
+  }
+
   /** Fetch subscription data */
   async _getSubscriptionData(subscriptionId, traceId) {
     console.debug('[DEBUG] Fetching subscription data', { 
@@ -276,8 +643,29 @@ class SubscriptionService {
     return subscription;
   }
 
-  /** Validate prompts and call the parser client */
-  async _fetchParserResults(subscription, traceId) {
+  /** Result of a run skipped because the subscription's type is deactivated */
+  _typeInactiveResult(subscription, traceId) {
+    console.info('Skipping subscription of a deactivated type', {
+      subscription_id: subscription.id,
+      type_id: subscription.type_id,
+      trace_id: traceId
+    });
+    return {
+      status: 'skipped',
+      subscription_id: subscription.id,
+      reason: 'type_inactive',
+      message: 'Subscription type is deactivated',
+      trace_id: traceId
+    };
+  }
+
+  /**
+   * Validate prompts and call the parser client for the dates of the processing window
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Leave the processing record untouched
+   * @returns {Promise<Object>} Parser result; covered_dates lists the dates queried successfully
+   */
+  async _fetchParserResults(subscription, traceId, processingId, window, { dryRun = false } = {}) {
     const prompts = this._validatePrompts(subscription.prompts);
     
     // Check if we have a parser URL from the subscription type
@@ -290,68 +678,147 @@ class SubscriptionService {
       throw new Error(`No parser URL configured for subscription type: ${subscription.type_id}`);
     }
     
+    // Fail fast while the parser's circuit breaker is open
+    this.parserClientPool.assertAvailable(subscription.parser_url);
+    
+    // The subscription type names the adapter that speaks its parser's protocol
+    const adapter = resolveParserAdapter(subscription.type_metadata);
+    
     // Additional debug logging for parser selection based on subscription type
     console.debug('[DEBUG] Using parser based on subscription type', {
       subscription_id: subscription.id,
       type_name: subscription.type_name,
       type_id: subscription.type_id,
       parser_url: subscription.parser_url,
+      parser_adapter: adapter.name,
       trace_id: traceId
     });
     
-    // Configure the parser client with the correct URL from subscription_types
-    await this.parserClient.updateBaseURL(subscription.parser_url);
+    // The pool hands out the client of this parser URL; no shared client is reconfigured
     console.info('Using parser URL from subscription type', {
       subscription_id: subscription.id,
       parser_url: subscription.parser_url,
       type_name: subscription.type_name
     });
     
-    // Update subscription_processing record with the parser information
-    try {
-      // Find the active processing record for this subscription
-      const query = `
-        SELECT id FROM subscription_processing 
-        WHERE subscription_id = $1 
-        ORDER BY created_at DESC 
-        LIMIT 1
-      `;
-      const client = await this.subscriptionRepository.pool.connect();
-      const result = await client.query(query, [subscription.id]);
+    // Previews leave the processing records alone
+    if (!dryRun) {
+      await this._markProcessingRecord(subscription, adapter, window, traceId, processingId);
+    }
+    
+    // Shape the requests to what the parser reports it supports (unknown when it does not say)
+    const capabilities = await this.parserClientPool.getCapabilities(subscription.parser_url, {
+      typeMetadata: subscription.type_metadata
+    });
+    const promptChunks = this._chunkPrompts(prompts, capabilities.max_prompts_per_request);
+    
+    // Build the request in the format of the subscription type's parser
+    // Parsers need not return more per prompt than the subscription keeps
+    const { maxMatchesPerPrompt } = this._matchLimits(subscription);
+    const sendPrompts = (chunk, dates) => {
+      const requestData = adapter.buildRequest({
+        subscription,
+        prompts: chunk,
+        traceId,
+        limit: maxMatchesPerPrompt || undefined,
+        ...dates
+      });
       
-      if (result.rows.length > 0) {
-        const processingId = result.rows[0].id;
-        const processingStatus = `Processing in ${subscription.type_id}`;
-        const metadata = JSON.stringify({
-          parser_url: subscription.parser_url,
-          parser_type: subscription.type_id,
-          parser_name: subscription.type_name,
-          processing_started_at: new Date().toISOString()
-        });
-        
-        // Update the processing record with the new status and metadata
-        const updateQuery = `
-          UPDATE subscription_processing 
-          SET status = $1, 
-              metadata = $2::jsonb, 
-              updated_at = NOW() 
-          WHERE id = $3
-        `;
-        await client.query(updateQuery, [processingStatus, metadata, processingId]);
-        
+      console.debug('Sending request to parser for subscription type', { 
+        subscription_id: subscription.id,
+        type_id: subscription.type_id,
+        parser_url: subscription.parser_url,
+        type_name: subscription.type_name,
+        parser_adapter: adapter.name,
+        prompts: chunk,
+        ...dates
+      });
+      
+      return this.parserClientPool.send(subscription.parser_url, requestData, {
+        adapter,
+        typeMetadata: subscription.type_metadata
+      });
+    };
+    // Prompts beyond the parser's per-request maximum go in further requests for the same dates
+    const send = async dates => {
+      if (promptChunks.length === 1) {
+        return sendPrompts(prompts, dates);
+      }
+      const results = [];
+      for (const chunk of promptChunks) {
+        const result = await sendPrompts(chunk, dates);
+        if (result.status === 'error') {
+          return result;
+        }
+        results.push(result);
+      }
+      return {
+        ...results[results.length - 1],
+        entries: results.flatMap(result => result.entries || [])
+      };
+    };
+    
+    const parserResult = await this._queryWindow(subscription, window, send, {
+      dateRange: this._acceptsDateRanges(subscription, capabilities)
+    });
+
+    console.info('Parser processing completed', { 
+      subscription_id: subscription.id,
+      type_id: subscription.type_id,
+      status: parserResult.status,
+      query_dates: window.dates,
+      covered_dates: parserResult.covered_dates.length,
+      prompt_requests: promptChunks.length,
+      protocol_version: parserResult.protocol_version,
+      entries_count: parserResult.entries?.length || 0 
+    });
+    
+    if (!dryRun) {
+      await this._recordProtocolVersion(subscription, parserResult, traceId);
+    }
+
+    return parserResult;
+  }
+  
+  /**
+   * Record the parser of a run and its dates in the metadata of the run's
+   * subscription_processing record. The record's status belongs to the processing queue.
+   */
+  async _markProcessingRecord(subscription, adapter, window, traceId, processingId) {
+    if (!processingId) {
+      return;
+    }
+    try {
+      const metadata = JSON.stringify({
+        parser_url: subscription.parser_url,
+        parser_type: subscription.type_id,
+        parser_name: subscription.type_name,
+        parser_adapter: adapter.name,
+        query_dates: window.dates,
+        processing_started_at: new Date().toISOString()
+      });
+      const { rowCount } = await this.subscriptionRepository.pool.query(
+        `UPDATE subscription_processing
+         SET metadata = COALESCE(metadata, '{}') || $1::jsonb,
+             updated_at = NOW()
+         WHERE id = $2`,
+        [metadata, processingId]
+      );
+
+      if (rowCount > 0) {
         console.info('Updated subscription processing record', {
           subscription_id: subscription.id,
           processing_id: processingId,
-          status: processingStatus,
+          parser_type: subscription.type_id,
           trace_id: traceId
         });
       } else {
-        console.warn('No processing record found for subscription', {
+        console.warn('Processing record not found', {
           subscription_id: subscription.id,
+          processing_id: processingId,
           trace_id: traceId
         });
       }
-      client.release();
     } catch (error) {
       console.error('Error updating subscription processing record', {
         subscription_id: subscription.id,
@@ -360,40 +827,153 @@ class SubscriptionService {
       });
       // Don't throw error here to allow processing to continue
     }
-    
-    // Create a standardized request according to the parser protocol
-    // All parsers use the same protocol regardless of subscription type
-    const requestData = {
-      texts: prompts,
-      metadata: {
-        user_id: subscription.user_id,
-        subscription_id: subscription.id,
+  }
+  
+  /**
+   * Record the protocol version the subscription type's parser answered in, when it changed.
+   * A failure is only logged: the version is recorded again by the next run.
+   */
+  async _recordProtocolVersion(subscription, parserResult, traceId) {
+    const version = parserResult.protocol_version;
+    // Responses rejected in strict mode were not answered in a version the worker speaks
+    if (!this.subscriptionTypeRepository || !version || parserResult.schema_rejected
+      || version === subscription.type_protocol_version) {
+      return;
+    }
+    try {
+      await this.subscriptionTypeRepository.recordProtocolVersion(subscription.type_id, version);
+      if (subscription.type_protocol_version) {
+        console.warn('Parser protocol version of subscription type changed', {
+          type_id: subscription.type_id,
+          previous_version: subscription.type_protocol_version,
+          protocol_version: version,
+          trace_id: traceId
+        });
+      }
+    } catch (error) {
+      console.warn('Failed to record parser protocol version', {
         type_id: subscription.type_id,
-        type_name: subscription.type_name,
+        protocol_version: version,
+        error: error.message,
         trace_id: traceId
-      },
-      date: new Date().toISOString().split('T')[0] // Use today's date in ISO format
-    };
-
-    console.debug('Sending request to parser for subscription type', { 
-      subscription_id: subscription.id,
-      type_id: subscription.type_id,
-      parser_url: subscription.parser_url,
-      type_name: subscription.type_name,
-      prompts: prompts
-    });
+      });
+    }
+  }
+  
+  /**
+   * Whether a subscription's parser is sent date ranges: the subscription type's
+   * parser_date_range metadata when set, otherwise what the parser reports.
+   */
+  _acceptsDateRanges(subscription, capabilities) {
+    const configured = subscription.type_metadata?.parser_date_range;
+    return typeof configured === 'boolean' ? configured : capabilities?.date_range === true;
+  }
+  
+  /** Split prompts into groups of at most maxPerRequest; one group when there is no maximum */
+  _chunkPrompts(prompts, maxPerRequest) {
+    if (!maxPerRequest || prompts.length <= maxPerRequest) {
+      return [prompts];
+    }
+    const chunks = [];
+    for (let index = 0; index < prompts.length; index += maxPerRequest) {
+      chunks.push(prompts.slice(index, index + maxPerRequest));
+    }
+    return chunks;
+  }
+  
+  /**
+   * Query the parser for every date of a window: in one request when the parser accepts date
+   * ranges (see _acceptsDateRanges), otherwise one request per date, oldest first. Querying
+   * stops at the first date the parser answers with an error, so the covered dates are always
+   * the start of the window.
+   * @param {Object} subscription - The subscription
+   * @param {Object} window - Window from computeProcessingWindow
+   * @param {Function} send - Sends a request for { date } or { dateFrom, dateTo }
+   * @param {Object} [options]
+   * @param {boolean} [options.dateRange=false] - Query the whole window in one request
+   * @returns {Promise<Object>} Parser result with the entries of all covered dates, covered_dates,
+   *   and failed_date when a date failed
+   */
+  async _queryWindow(subscription, window, send, { dateRange = false } = {}) {
+    if (dateRange && window.dates.length > 1) {
+      const result = await send({ date: window.to, dateFrom: window.from, dateTo: window.to });
+      const failed = result.status === 'error';
+      return {
+        ...result,
+        query_date: result.query_date || window.to,
+        covered_dates: failed ? [] : window.dates,
+        ...(failed && { failed_date: window.from })
+      };
+    }
     
-    // Send the request to the parser service
-    const parserResult = await this.parserClient.send(requestData);
-
-    console.info('Parser processing completed', { 
-      subscription_id: subscription.id,
-      type_id: subscription.type_id,
-      status: parserResult.status,
-      entries_count: parserResult.entries?.length || 0 
+    const entries = [];
+    const coveredDates = [];
+    let failure = null;
+    let protocolVersion = null;
+    for (const date of window.dates) {
+      const result = await send({ date });
+      if (result.status === 'error') {
+        failure = { date, error: result.error };
+        break;
+      }
+      protocolVersion = result.protocol_version || protocolVersion;
+      // Entries without a publication date belong to the date they were queried for
+      entries.push(...(result.entries || []).map(entry => ({ query_date: date, ...entry })));
+      coveredDates.push(date);
+    }
+    
+    if (failure) {
+      console.warn('Parser failed for a date of the processing window', {
+        subscription_id: subscription.id,
+        failed_date: failure.date,
+        covered_dates: coveredDates.length,
+        error: failure.error
+      });
+    }
+    
+    return {
+      entries,
+      // Nothing covered means the run failed like a single failed request
+      status: failure && coveredDates.length === 0 ? 'error' : 'success',
+      ...(failure && { error: failure.error, failed_date: failure.date }),
+      ...(protocolVersion && { protocol_version: protocolVersion }),
+      query_date: window.to,
+      covered_dates: coveredDates,
+      timestamp: new Date().toISOString()
+    };
+  }
+  
+  /** Dates the next run of a subscription has to query, see utils/processing-window */
+  _processingWindow(subscription) {
+    return computeProcessingWindow({
+      processedThrough: subscription.metadata?.processed_through_date,
+      lastProcessedAt: subscription.metadata?.last_processed_at,
+      maxLookbackDays: PROCESSING_MAX_LOOKBACK_DAYS
     });
-
-    return parserResult;
+  }
+  
+  /**
+   * Move the subscription's high-water mark over the dates this run covered. A failure is only
+   * logged: the next run queries the dates again, and notifications are deduplicated.
+   * @returns {Promise<string|null>} The new mark, or null when it did not move
+   */
+  async _advanceProcessedThrough(subscription, window, coveredDates, traceId) {
+    const processedThrough = coveredThrough(window, coveredDates);
+    if (!processedThrough) {
+      return null;
+    }
+    try {
+      await this.subscriptionRepository.advanceProcessedThrough(subscription.id, processedThrough);
+      return processedThrough;
+    } catch (error) {
+      console.error('Failed to advance subscription high-water mark', {
+        subscription_id: subscription.id,
+        processed_through_date: processedThrough,
+        error: error.message,
+        trace_id: traceId
+      });
+      return null;
+    }
   }
   
   /** Process parser entries into a standardized match format */
@@ -415,8 +995,9 @@ class SubscriptionService {
           summary: entry.summary || entry.content || 'Sin contenido',
           relevance_score: entry.relevance_score || 0,
           prompt: prompt,
+          document_id: entry.document_id || entry.id || null,
           links: entry.links || {},
-          publication_date: entry.dates?.publication_date || new Date().toISOString().split('T')[0],
+          publication_date: entry.dates?.publication_date || entry.query_date || new Date().toISOString().split('T')[0],
           department: entry.department || '',
           section: entry.section || ''
         };
@@ -427,6 +1008,61 @@ class SubscriptionService {
     return matches;
   }
   
+  /**
+   * Apply the subscription's match limits (min_relevance_score, max_matches_per_prompt,
+   * max_matches_per_run; see utils/match-limits) to the matches of a run
+   * @returns {{ matches: Array<Object>, dropped: Object }} Kept matches, best first, and drop counts by reason
+   */
+  _limitMatches(subscription, matches, traceId) {
+    const limits = this._matchLimits(subscription);
+    const result = applyMatchLimits(matches, limits);
+    
+    if (result.matches.length < matches.length) {
+      console.info('Dropped matches over the subscription limits', {
+        subscription_id: subscription.id,
+        matches: matches.length,
+        kept: result.matches.length,
+        ...result.dropped,
+        min_relevance_score: limits.minRelevanceScore,
+        max_matches_per_prompt: limits.maxMatchesPerPrompt,
+        max_matches_per_run: limits.maxMatchesPerRun,
+        trace_id: traceId
+      });
+    }
+    return result;
+  }
+  
+  /**
+   * Apply the subscription's match limits to the matches of every publication date separately
+   * @returns {{ matches: Array<Object>, dropped: Object }} Kept matches and summed drop counts by reason
+   */
+  _limitMatchesPerDate(subscription, matches, traceId) {
+    const byDate = new Map();
+    for (const match of matches) {
+      const dateMatches = byDate.get(match.publication_date) || [];
+      dateMatches.push(match);
+      byDate.set(match.publication_date, dateMatches);
+    }
+    
+    const kept = [];
+    const dropped = {};
+    for (const dateMatches of byDate.values()) {
+      const result = this._limitMatches(subscription, dateMatches, traceId);
+      kept.push(...result.matches);
+      for (const [reason, count] of Object.entries(result.dropped)) {
+        dropped[reason] = (dropped[reason] || 0) + count;
+      }
+    }
+    return { matches: kept, dropped };
+  }
+  
+  /** Match limits of a subscription, falling back to its type's and then the defaults */
+  _matchLimits(subscription) {
+    return resolveMatchLimits(subscription.metadata, subscription.type_metadata, {
+      max_matches_per_run: DEFAULT_MATCH_LIMIT
+    });
+  }
+  
   /** Validate and clean up prompts */
   _validatePrompts(prompts) {
     // Handle different prompt formats
@@ -471,52 +1107,79 @@ class SubscriptionService {
     return title.substring(0, 57) + '...';
   }
   
-  /** Create and publish notifications for matches */
-  async _handleNotifications(subscription, matches, traceId) {
+  /** Notification data of a match */
+  _notificationFromMatch(subscription, match, traceId) {
+    return {
+      subscription_id: subscription.id,
+      user_id: subscription.user_id,
+      title: match.notification_title || match.title,
+      content: match.summary,
+      source_url: match.links?.html || '',
+      metadata: {
+        document_type: match.document_type,
+        document_id: match.document_id,
+        publication_date: match.publication_date,
+        prompt: match.prompt,
+        relevance_score: match.relevance_score,
+        trace_id: traceId
+      }
+    };
+  }
+  
+  /**
+   * Create notifications for matches and queue their announcement in the outbox
+   * @param {Object} subscription - The subscription
+   * @param {Array} matches - Matches of the run
+   * @param {string} traceId - Trace ID of the run
+   * @param {Object} [run] - processingId, startedAt and queryDate of the run, used by the 'run' delivery mode
+   */
+  async _handleNotifications(subscription, matches, traceId, run = {}) {
     if (!matches || matches.length === 0) {
       console.debug('No matches to create notifications for', {
         subscription_id: subscription.id
       });
-      return { created: 0, errors: 0 };
+      return { created: 0, duplicates: 0, errors: 0 };
     }
     
     console.info('Creating notifications for matches', {
       subscription_id: subscription.id,
-      matches_count: matches.length
+      matches_count: matches.length,
+      delivery_mode: this.deliveryMode
     });
     
+    const channels = await this._deliveryChannelsFor(subscription);
+    
+    if (this.deliveryMode === DELIVERY_MODES.RUN) {
+      return this._handleRunNotifications(subscription, matches, traceId, { ...run, channels });
+    }
+    
     const results = {
       created: 0,
+      duplicates: 0,
       errors: 0
     };
     
     for (const match of matches) {
       try {
-        const notification = await this.notificationRepository.createNotification({
-          subscription_id: subscription.id,
-          user_id: subscription.user_id,
-          title: match.notification_title || match.title,
-          content: match.summary,
-          source_url: match.links?.html || '',
-          metadata: {
-            document_type: match.document_type,
-            publication_date: match.publication_date,
-            prompt: match.prompt,
-            relevance_score: match.relevance_score,
-            trace_id: traceId
+        const notification = await this.notificationRepository.createNotification(
+          this._notificationFromMatch(subscription, match, traceId),
+          {
+            // Written to the outbox with the notification; the outbox relay publishes it
+            event: {
+              user_id: subscription.user_id,
+              subscription_id: subscription.id,
+              subscription_type: subscription.type_name,
+              title: match.notification_title || match.title,
+              trace_id: traceId
+            },
+            channels
           }
-        });
+        );
         
-        // Try to publish to notification client if available
-        if (this.notificationClient) {
-          await this.notificationClient.publish({
-            notification_id: notification.id,
-            user_id: subscription.user_id,
-            subscription_id: subscription.id,
-            subscription_type: subscription.type_name,
-            title: notification.title,
-            trace_id: traceId
-          });
+        // Same document already notified (earlier run or another prompt)
+        if (!notification) {
+          results.duplicates++;
+          continue;
         }
         
         results.created++;
@@ -536,64 +1199,131 @@ class SubscriptionService {
     return results;
   }
   
-  /** Update subscription status after processing */
-  async _updateSubscriptionStatus(subscriptionId, traceId) {
-    try {
-      await this.subscriptionRepository.updateLastProcessed(subscriptionId);
-      console.debug('Updated subscription last processed timestamp', {
-        subscription_id: subscriptionId
-      });
-      
-      // Update the subscription_processing record to 'completed'
+  /**
+   * Create the notifications of a backfill, dated at their publication date and without
+   * outbox messages: the user sees them in the app, but gets no emails or webhooks for them
+   */
+  async _createBackfillNotifications(subscription, matches, traceId) {
+    const results = { created: 0, duplicates: 0, errors: 0 };
+    for (const match of matches) {
+      const notificationData = this._notificationFromMatch(subscription, match, traceId);
+      const publishedAt = Date.parse(match.publication_date);
       try {
-        // Find the active processing record for this subscription
-        const query = `
-          SELECT id, status FROM subscription_processing 
-          WHERE subscription_id = $1 
-          ORDER BY created_at DESC 
-          LIMIT 1
-        `;
-        const client = await this.subscriptionRepository.pool.connect();
-        const result = await client.query(query, [subscriptionId]);
-        
-        if (result.rows.length > 0) {
-          const processingId = result.rows[0].id;
-          const currentStatus = result.rows[0].status;
-          const completedStatus = 'completed';
-          
-          // Only update if the status indicates it's still processing
-          if (currentStatus.startsWith('Processing')) {
-            const updateQuery = `
-              UPDATE subscription_processing 
-              SET status = $1, 
-                  updated_at = NOW(),
-                  metadata = jsonb_set(
-                    COALESCE(metadata, '{}'), 
-                    '{completed_at}', 
-                    to_jsonb($2::text)
-                  )
-              WHERE id = $3
-            `;
-            await client.query(updateQuery, [completedStatus, new Date().toISOString(), processingId]);
-            
-            console.info('Updated subscription processing record to completed', {
-              subscription_id: subscriptionId,
-              processing_id: processingId,
-              previous_status: currentStatus,
-              new_status: completedStatus,
-              trace_id: traceId
-            });
-          }
+        const notification = await this.notificationRepository.createNotification({
+          ...notificationData,
+          metadata: { ...notificationData.metadata, backfilled: true },
+          created_at: Number.isNaN(publishedAt) ? undefined : new Date(publishedAt)
+        });
+        if (notification) {
+          results.created++;
+        } else {
+          results.duplicates++;
         }
-        client.release();
-      } catch (processingError) {
-        console.warn('Failed to update subscription processing status', {
-          subscription_id: subscriptionId,
-          error: processingError.message,
-          trace_id: traceId
+      } catch (error) {
+        console.error('Error creating backfilled notification', {
+          subscription_id: subscription.id,
+          error: error.message,
+          match: {
+            title: match.title,
+            publication_date: match.publication_date
+          }
         });
-        // Don't throw here, as this is just housekeeping
+        results.errors++;
       }
+    }
+    return results;
+  }
+  
+  /**
+   * Create the notifications of a run together with one aggregated outbox message.
+   * All or nothing: a failure fails the run, so it is retried as a whole.
+   */
+  async _handleRunNotifications(subscription, matches, traceId, { processingId, startedAt, queryDate, channels }) {
+    // Every run is a processing queue job, so the run's events carry its processing record
+    const { created, duplicates } = await this.notificationRepository.createForRun(
+      matches.map(match => this._notificationFromMatch(subscription, match, traceId)),
+      {
+        userId: subscription.user_id,
+        topic: PROCESSOR_RESULTS_TOPIC,
+        processingId,
+        channels,
+        // Only newly created notifications are reported; duplicates were announced before
+        buildEvent: (notifications, indexes) => buildNotificationMessage(
+          subscription,
+          indexes.map((matchIndex, i) => ({ ...matches[matchIndex], notification_id: notifications[i].id })),
+          {
+            processorType: (subscription.type_name || 'boe').toLowerCase(),
+            processingId,
+            traceId,
+            processingTimeMs: Date.now() - startedAt,
+            queryDate
+          }
+        )
+      }
+    );
+    
+    return { created: created.length, duplicates, errors: 0 };
+  }
+  
+  /**
+   * Delivery channels of a subscription's notifications: always Pub/Sub, plus a webhook
+   * when the subscription or its user configured one, plus one email per notification when
+   * the user enabled immediate email notifications (daily users get a digest instead, see
+   * DigestService). The webhook secret is not copied into the outbox; the webhook channel
+   * looks it up when delivering.
+   */
+  async _deliveryChannelsFor(subscription) {
+    const channels = [{ channel: 'pubsub' }];
+    const webhook = await this.subscriptionRepository.findWebhookConfig(subscription.id);
+    if (webhook) {
+      channels.push({
+        channel: 'webhook',
+        destination: { url: webhook.url, subscription_id: subscription.id }
+      });
+    }
+    
+    const email = await this.subscriptionRepository.findEmailSettings(subscription.id);
+    if (email?.enabled && email.frequency === 'daily') {
+      console.debug('User gets a daily digest, no email per notification', {
+        subscription_id: subscription.id,
+        user_id: subscription.user_id
+      });
+    } else if (email?.enabled && email.email) {
+      channels.push({
+        channel: 'email',
+        destination: { email: email.email, frequency: email.frequency, subscription_id: subscription.id },
+        buildPayload: notification => buildEmailNotificationMessage(
+          notification,
+          { id: subscription.user_id, email: email.email },
+          subscription
+        )
+      });
+    } else if (email?.enabled) {
+      console.warn('Email notifications enabled but no email address set', {
+        subscription_id: subscription.id,
+        user_id: subscription.user_id
+      });
+    }
+    return channels;
+  }
+  
+  /**
+   * Update subscription status after processing.
+   * The run's subscription_processing record is completed by the processing queue,
+   * which holds its lease.
+   * @param {Object} [options]
+   * @param {boolean} [options.touchLastProcessed=true] - Set the subscription's last run time
+   */
+  async _updateSubscriptionStatus(subscriptionId, traceId, { touchLastProcessed = true } = {}) {
+    if (!touchLastProcessed) {
+      return;
+    }
+    try {
+      await this.subscriptionRepository.updateLastProcessed(subscriptionId);
+      console.debug('Updated subscription last processed timestamp', {
+        subscription_id: subscriptionId,
+        trace_id: traceId
+      });
     } catch (error) {
       console.warn('Failed to update subscription status', {
         subscription_id: subscriptionId,
@@ -603,66 +1333,155 @@ class SubscriptionService {
     }
   }
 
-  // TODO: Add method for batch processing if needed, e.g., processPendingSubscriptions
-  async processPendingSubscriptions() {
-    console.info('Processing pending subscriptions...');
+  /**
+   * Process pending subscriptions with bounded concurrency.
+   * Runs up to `concurrency` subscriptions at once and at most `perParserConcurrency`
+   * against the same parser URL (overridable per type with `max_concurrency` in the
+   * subscription type metadata). No new subscriptions are started once the time budget
+   * is spent; those stay pending and are picked up by the next scheduler tick.
+   * Each subscription is run through `runSubscription`, which goes through the processing
+   * queue (ProcessingQueueService.runNow) so batch runs hold a lease and are retried like
+   * any other queued run.
+   * @param {Object} [options={}] - Batch options
+   * @param {Function} options.runSubscription - Runs one pending subscription and resolves
+   *   with its result
+   * @param {number} [options.limit] - Maximum number of pending subscriptions to fetch
+   * @param {number} [options.concurrency] - Global concurrency limit
+   * @param {number} [options.perParserConcurrency] - Default concurrency limit per parser URL
+   * @param {number} [options.timeBudgetMs] - Time budget for the whole batch
+   * @param {Function} [options.onProgress] - Called with the running counters once the pending
+   *   subscriptions are known, again after each subscription finishes and with the final
+   *   status once the time budget is spent; calls are made one at a time, in order
+   * @returns {Promise<Object>} Batch result with counts and a per-type breakdown
+   */
+  async processPendingSubscriptions(options = {}) {
+    const {
+      limit = BATCH_FETCH_LIMIT,
+      concurrency = BATCH_CONCURRENCY,
+      perParserConcurrency = BATCH_PER_PARSER_CONCURRENCY,
+      timeBudgetMs = BATCH_TIME_BUDGET_MS,
+      runSubscription,
+      onProgress = null
+    } = options;
+
+    console.info('Processing pending subscriptions...', {
+      limit,
+      concurrency,
+      per_parser_concurrency: perParserConcurrency,
+      time_budget_ms: timeBudgetMs
+    });
     try {
+        if (typeof runSubscription !== 'function') {
+            throw new Error('processPendingSubscriptions requires runSubscription');
+        }
+
         // Get pending subscriptions for all types
-        const pendingSubscriptions = await this.subscriptionRepository.findPendingSubscriptions();
+        const pendingSubscriptions = await this.subscriptionRepository.findPendingSubscriptions({ limit });
         
         console.info(`Found ${pendingSubscriptions.length} pending subscriptions to process`);
-        
+
+        // Per-parser limits, taken from the subscription type metadata when configured
+        const parserLimits = new Map();
+        for (const subscription of pendingSubscriptions) {
+            const key = subscription.parser_url || 'none';
+            const typeLimit = parseInt(subscription.type_metadata?.max_concurrency, 10);
+            if (!parserLimits.has(key)) {
+                parserLimits.set(key, typeLimit > 0 ? typeLimit : perParserConcurrency);
+            }
+        }
+
         const results = {
-            status: 'completed',
-            processed: pendingSubscriptions.length,
+            status: 'running',
+            total: pendingSubscriptions.length,
+            processed: 0,
             success_count: 0,
             error_count: 0,
             skipped_count: 0,
+            retry_count: 0,
+            deferred_count: 0,
+            in_flight_count: 0,
             by_type: {}
         };
         
-        // Process each subscription
-        for (const subscription of pendingSubscriptions) {
-            try {
-                const result = await this.processSubscription(subscription.id);
-                const type_id = subscription.type_id || 'unknown';
-                
-                // Initialize type stats if not present
-                if (!results.by_type[type_id]) {
-                    results.by_type[type_id] = {
-                        success: 0,
-                        error: 0,
-                        skipped: 0
-                    };
-                }
-                
-                if (result.status === 'success') {
-                    results.success_count++;
-                    results.by_type[type_id].success++;
-                } else if (result.status === 'skipped') {
-                    results.skipped_count++;
-                    results.by_type[type_id].skipped++;
-                } else {
-                    results.error_count++;
-                    results.by_type[type_id].error++;
+        // Reports are made one after another, so the final status is stored before the
+        // progress of subscriptions that finish after the time budget ran out
+        let progressReports = Promise.resolve();
+        const reportProgress = () => {
+            if (!onProgress) return progressReports;
+            const progress = { ...results, by_type: { ...results.by_type } };
+            progressReports = progressReports.then(async () => {
+                try {
+                    await onProgress(progress);
+                } catch (progressError) {
+                    console.warn('Failed to report batch progress', { error: progressError.message });
                 }
+            });
+            return progressReports;
+        };
+        
+        // Tally each subscription as soon as it finishes
+        const processAndTally = async (subscription) => {
+            let outcome;
+            try {
+                const result = await runSubscription(subscription);
+                outcome = ['success', 'skipped', 'retry'].includes(result.status) ? result.status : 'error';
             } catch (error) {
                 console.error('Error processing subscription in batch', {
                     subscription_id: subscription.id,
                     error: error.message
                 });
-                results.error_count++;
-                
-                const type_id = subscription.type_id || 'unknown';
-                if (!results.by_type[type_id]) {
-                    results.by_type[type_id] = { success: 0, error: 0, skipped: 0 };
-                }
-                results.by_type[type_id].error++;
+                outcome = 'error';
             }
+            
+            const type_id = subscription.type_id || 'unknown';
+            
+            // Initialize type stats if not present
+            if (!results.by_type[type_id]) {
+                results.by_type[type_id] = {
+                    success: 0,
+                    error: 0,
+                    skipped: 0,
+                    retry: 0
+                };
+            }
+            
+            results.processed++;
+            results[`${outcome}_count`]++;
+            results.by_type[type_id][outcome]++;
+            if (results.status !== 'running') {
+                // Finished after the time budget ran out
+                results.in_flight_count--;
+            }
+            await reportProgress();
+        };
+        
+        await reportProgress();
+        
+        const batch = await runBatch(pendingSubscriptions, processAndTally, {
+            concurrency,
+            keyOf: subscription => subscription.parser_url || 'none',
+            keyLimit: key => parserLimits.get(key) || perParserConcurrency,
+            timeBudgetMs
+        });
+        
+        results.status = batch.deferred.length > 0 || batch.inFlight.length > 0 || results.retry_count > 0
+            ? 'partial'
+            : 'completed';
+        results.deferred_count = batch.deferred.length;
+        results.in_flight_count = batch.inFlight.length;
+        results.elapsed_ms = batch.elapsedMs;
+        await reportProgress();
+        
+        if (batch.timedOut) {
+            console.warn('Batch time budget exhausted, leaving remaining subscriptions for the next run', {
+                time_budget_ms: timeBudgetMs,
+                deferred: results.deferred_count,
+                in_flight: results.in_flight_count
+            });
         }
         
         console.info('Completed processing pending subscriptions', results);
-        return results;
+        return { ...results, by_type: { ...results.by_type } };
     } catch (error) {
         console.error('Error processing pending subscriptions', {
             error: error.message,
@@ -671,14 +1490,18 @@ class SubscriptionService {
         return {
             status: 'error',
             error: error.message,
+            total: 0,
             processed: 0,
             success_count: 0,
             error_count: 0,
             skipped_count: 0,
+            retry_count: 0,
+            deferred_count: 0,
+            in_flight_count: 0,
             by_type: {}
         };
     }
   }
 }
 
-module.exports = { SubscriptionService }; 
\ No newline at end of file
+module.exports = { SubscriptionService, DELIVERY_MODES }; 
\ No newline at end of file
@@ -5,11 +5,9 @@
 
 const { SubscriptionProcessor } = require('./processor');
 // Import other service modules
-const database = require('./database');
 const notification = require('./notification');
 
 module.exports = {
   SubscriptionProcessor,
-  database,
   notification
 }; 
\ No newline at end of file
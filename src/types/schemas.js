@@ -116,6 +116,33 @@ const RealEstateDocumentSchema = z.object({
   property_type: z.string().optional(),
 }).passthrough();
 
+// Subscription type schema, as accepted by /api/subscription-types
+// Metadata holds the parser adapter settings and the default match limits of the type's
+// subscriptions; other keys are kept as they are. null removes a key on update.
+const SubscriptionTypeMetadataSchema = z.object({
+  parser_adapter: z.string().min(1).nullable().optional(),
+  parser_max_retries: z.number().int().min(0).max(10).nullable().optional(),
+  parser_timeout_ms: z.number().int().positive().nullable().optional(),
+  parser_date_range: z.boolean().nullable().optional(),
+  parser_protocol_strict: z.boolean().nullable().optional(),
+  min_relevance_score: z.number().min(0).nullable().optional(),
+  max_matches_per_prompt: z.number().int().positive().nullable().optional(),
+  max_matches_per_run: z.number().int().positive().nullable().optional(),
+}).passthrough();
+
+const SubscriptionTypeSchema = z.object({
+  id: z.string().regex(/^[a-z0-9][a-z0-9_-]{0,63}$/, 'id may only contain lowercase letters, digits, - and _').optional(),
+  name: z.string().trim().min(1).max(100),
+  description: z.string().max(2000).nullable().optional(),
+  icon: z.string().max(100).nullable().optional(),
+  logo_url: z.string().url().nullable().optional(),
+  parser_url: z.string().url().refine(
+    url => /^https?:\/\//i.test(url),
+    'must be an http or https URL'
+  ),
+  metadata: SubscriptionTypeMetadataSchema.optional(),
+}).strict();
+
 module.exports = {
   SubscriptionSchema,
   ProcessorResultSchema,
@@ -123,5 +150,6 @@ module.exports = {
   PubSubNotificationSchema,
   BOEDocumentSchema,
   DOGADocumentSchema,
-  RealEstateDocumentSchema
+  RealEstateDocumentSchema,
+  SubscriptionTypeSchema
 };
\ No newline at end of file
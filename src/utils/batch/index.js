@@ -0,0 +1,10 @@
+/**
+ * Batch utilities module
+ * Bounded-concurrency execution of batch work
+ */
+
+const { runBatch } = require('./runner');
+
+module.exports = {
+  runBatch
+};
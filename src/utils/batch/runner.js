@@ -0,0 +1,99 @@
+/**
+ * Batch runner
+ * Runs async work over a list of items with a global concurrency limit,
+ * per-key concurrency limits and an overall time budget.
+ */
+
+/**
+ * Run a worker over items with bounded concurrency.
+ * Once the time budget is spent no new items are started and the runner
+ * resolves right away; items still running keep going in the background
+ * and are reported as in flight.
+ *
+ * @param {Array} items - Items to process, in priority order
+ * @param {Function} worker - Async function called with each item
+ * @param {Object} [options] - Runner options
+ * @param {number} [options.concurrency=5] - Maximum number of items running at once
+ * @param {Function} [options.keyOf] - Returns the concurrency key of an item (e.g., its parser URL)
+ * @param {Function} [options.keyLimit] - Returns the maximum number of running items for a key
+ * @param {number} [options.timeBudgetMs=Infinity] - Time after which the runner stops and resolves
+ * @returns {Promise<Object>} { results, deferred, inFlight, elapsedMs, timedOut }, where results holds
+ *   { item, value } or { item, error } per finished item and deferred the items never started
+ */
+function runBatch(items, worker, options = {}) {
+  const {
+    concurrency = 5,
+    keyOf = () => 'default',
+    keyLimit = () => Infinity,
+    timeBudgetMs = Infinity
+  } = options;
+
+  const startTime = Date.now();
+  const pending = [...items];
+  const running = new Set();
+  const runningByKey = new Map();
+  const results = [];
+
+  return new Promise(resolve => {
+    let finished = false;
+    let budgetTimer = null;
+
+    const finish = (timedOut) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(budgetTimer);
+      resolve({
+        results: results.slice(),
+        deferred: pending.slice(),
+        inFlight: [...running].map(entry => entry.item),
+        elapsedMs: Date.now() - startTime,
+        timedOut
+      });
+    };
+
+    const fill = () => {
+      if (finished) return;
+
+      for (let i = 0; i < pending.length && running.size < concurrency;) {
+        const item = pending[i];
+        const key = keyOf(item);
+        const active = runningByKey.get(key) || 0;
+
+        if (active >= Math.max(1, keyLimit(key))) {
+          i++; // This key is saturated, try the next item
+          continue;
+        }
+
+        pending.splice(i, 1);
+        runningByKey.set(key, active + 1);
+        const entry = { item };
+        running.add(entry);
+
+        Promise.resolve()
+          .then(() => worker(item))
+          .then(
+            value => results.push({ item, value }),
+            error => results.push({ item, error })
+          )
+          .finally(() => {
+            running.delete(entry);
+            runningByKey.set(key, runningByKey.get(key) - 1);
+            fill();
+          });
+      }
+
+      if (running.size === 0) {
+        finish(false);
+      }
+    };
+
+    if (Number.isFinite(timeBudgetMs)) {
+      budgetTimer = setTimeout(() => finish(true), timeBudgetMs);
+    }
+    fill();
+  });
+}
+
+module.exports = {
+  runBatch
+};
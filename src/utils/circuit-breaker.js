@@ -0,0 +1,170 @@
+/**
+ * Circuit Breaker
+ *
+ * Stops calling a failing dependency for a while instead of letting every caller
+ * wait for its timeouts and retries.
+ *
+ * - closed: calls go through; consecutive failures are counted
+ * - open: calls are rejected right away until the reset timeout has passed
+ * - half_open: a single probe call is let through; success closes the breaker,
+ *   failure opens it again
+ */
+
+const BREAKER_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const DEFAULT_FAILURE_THRESHOLD = parseInt(process.env.PARSER_BREAKER_FAILURE_THRESHOLD, 10) || 3;
+const DEFAULT_RESET_TIMEOUT_MS = parseInt(process.env.PARSER_BREAKER_RESET_TIMEOUT_MS, 10) || 60000; // 1 minute
+
+/**
+ * Error thrown when a call is rejected by an open breaker
+ */
+class CircuitOpenError extends Error {
+  /**
+   * @param {string} name - Name of the protected dependency (e.g., the parser URL)
+   * @param {number} retryAfterMs - Time until the breaker lets a probe call through
+   */
+  constructor(name, retryAfterMs) {
+    super(`Circuit open for ${name}, retry in ${retryAfterMs}ms`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.target = name;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * CircuitBreaker class tracking the health of one dependency
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Name of the protected dependency, used in errors and logs
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the breaker
+   * @param {number} [options.resetTimeoutMs] - Time the breaker stays open before a probe
+   */
+  constructor(name, { failureThreshold, resetTimeoutMs } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+    this.resetTimeoutMs = resetTimeoutMs || DEFAULT_RESET_TIMEOUT_MS;
+
+    this.state = BREAKER_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastFailure = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+  }
+
+  /**
+   * Time until an open breaker lets a probe through (0 when not open)
+   * @returns {number}
+   */
+  retryAfterMs() {
+    if (this.state !== BREAKER_STATES.OPEN) {
+      return 0;
+    }
+    return Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+  }
+
+  /**
+   * Throw a CircuitOpenError if a call would be rejected right now.
+   * Does not take the half-open probe slot.
+   */
+  assertAvailable() {
+    if (this.state === BREAKER_STATES.OPEN && this.retryAfterMs() > 0) {
+      throw new CircuitOpenError(this.name, this.retryAfterMs());
+    }
+    if (this.state === BREAKER_STATES.HALF_OPEN && this.probeInFlight) {
+      throw new CircuitOpenError(this.name, this.resetTimeoutMs);
+    }
+  }
+
+  /**
+   * Reserve a call. Moves an open breaker to half_open once its reset timeout
+   * has passed; in half_open only one probe call is allowed at a time.
+   * @returns {{ probe: boolean }} Whether the call is the half-open probe
+   * @throws {CircuitOpenError} When the call is rejected
+   */
+  acquire() {
+    this.assertAvailable();
+
+    if (this.state === BREAKER_STATES.OPEN) {
+      this._transition(BREAKER_STATES.HALF_OPEN);
+    }
+    if (this.state === BREAKER_STATES.HALF_OPEN) {
+      this.probeInFlight = true;
+      return { probe: true };
+    }
+    return { probe: false };
+  }
+
+  /** Record a successful call */
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    this.probeInFlight = false;
+    this.lastSuccessAt = Date.now();
+    if (this.state !== BREAKER_STATES.CLOSED) {
+      this._transition(BREAKER_STATES.CLOSED);
+    }
+  }
+
+  /**
+   * Record a failed call
+   * @param {string} [reason] - Failure description kept for the status endpoint
+   */
+  recordFailure(reason) {
+    this.consecutiveFailures++;
+    this.probeInFlight = false;
+    this.lastFailure = reason || null;
+    this.lastFailureAt = Date.now();
+
+    if (this.state === BREAKER_STATES.HALF_OPEN ||
+        (this.state === BREAKER_STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold)) {
+      this.openedAt = Date.now();
+      this._transition(BREAKER_STATES.OPEN);
+    }
+  }
+
+  /**
+   * Breaker state for status endpoints
+   * @returns {Object}
+   */
+  getState() {
+    const toIso = time => (time ? new Date(time).toISOString() : null);
+    return {
+      name: this.name,
+      state: this.state,
+      consecutive_failures: this.consecutiveFailures,
+      failure_threshold: this.failureThreshold,
+      reset_timeout_ms: this.resetTimeoutMs,
+      opened_at: toIso(this.openedAt),
+      retry_after_ms: this.retryAfterMs(),
+      last_failure: this.lastFailure,
+      last_failure_at: toIso(this.lastFailureAt),
+      last_success_at: toIso(this.lastSuccessAt)
+    };
+  }
+
+  /** @private */
+  _transition(state) {
+    const log = state === BREAKER_STATES.CLOSED ? console.info : console.warn;
+    log('Circuit breaker state changed', {
+      name: this.name,
+      from: this.state,
+      to: state,
+      consecutive_failures: this.consecutiveFailures
+    });
+    this.state = state;
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+  BREAKER_STATES
+};
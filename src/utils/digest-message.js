@@ -0,0 +1,71 @@
+/**
+ * Daily digest message
+ * Builds the message the email service receives on the daily topic: one per user
+ * and day, with the day's notifications grouped by subscription and prompt.
+ */
+
+const DIGEST_MESSAGE_TYPE = 'daily_digest';
+
+/**
+ * Group notifications by subscription, then by prompt, keeping their order
+ * @param {Array<Object>} notifications - Notifications with subscription_name and type_name
+ * @returns {Array<Object>} One entry per subscription
+ */
+function groupDigestNotifications(notifications) {
+  const subscriptions = new Map();
+  
+  for (const notification of notifications) {
+    if (!subscriptions.has(notification.subscription_id)) {
+      subscriptions.set(notification.subscription_id, {
+        subscriptionId: notification.subscription_id,
+        subscriptionName: notification.subscription_name || notification.type_name || 'Subscription',
+        prompts: new Map()
+      });
+    }
+    const { prompts } = subscriptions.get(notification.subscription_id);
+    const prompt = notification.metadata?.prompt || 'default';
+    if (!prompts.has(prompt)) {
+      prompts.set(prompt, []);
+    }
+    prompts.get(prompt).push({
+      id: notification.id,
+      title: notification.title,
+      content: notification.content,
+      sourceUrl: notification.source_url,
+      createdAt: new Date(notification.created_at).toISOString()
+    });
+  }
+  
+  return Array.from(subscriptions.values()).map(subscription => ({
+    ...subscription,
+    prompts: Array.from(subscription.prompts.entries()).map(([prompt, items]) => ({
+      prompt,
+      notifications: items
+    }))
+  }));
+}
+
+/**
+ * Build the digest message of a user's day
+ * @param {Object} user - { userId, email }
+ * @param {string} digestDate - Date of the digest (YYYY-MM-DD)
+ * @param {Array<Object>} notifications - The user's notifications of the day
+ * @returns {Object} The message
+ */
+function buildDigestMessage({ userId, email }, digestDate, notifications) {
+  return {
+    type: DIGEST_MESSAGE_TYPE,
+    userId,
+    email,
+    digestDate,
+    timestamp: new Date().toISOString(),
+    notificationCount: notifications.length,
+    subscriptions: groupDigestNotifications(notifications)
+  };
+}
+
+module.exports = {
+  DIGEST_MESSAGE_TYPE,
+  groupDigestNotifications,
+  buildDigestMessage
+};
@@ -7,6 +7,7 @@
 const validation = require('./validation');
 const process = require('./process');
 const parser = require('./parser');
+const batch = require('./batch');
 
 module.exports = {
   // Validation utilities
@@ -18,6 +19,9 @@ module.exports = {
   // Parser utilities
   parser,
   
+  // Batch utilities
+  batch,
+  
   // Direct access to common utilities (for backward compatibility)
   validateSubscription: validation.validateSubscription,
   sanitizeSubscription: validation.sanitizeSubscription,
@@ -0,0 +1,93 @@
+/**
+ * Match limits
+ * Subscriptions can cap what a processing run turns into notifications through
+ * their metadata, with defaults in their subscription type's metadata:
+ *
+ * - min_relevance_score: matches scoring below it are dropped
+ * - max_matches_per_prompt: matches kept per prompt, best scores first
+ * - max_matches_per_run: matches kept per run, best scores first
+ */
+
+/**
+ * Read a non-negative number setting
+ * @returns {number|null} The number, or null when missing or invalid
+ */
+function readLimit(value, { integer = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    return null;
+  }
+  return number;
+}
+
+/**
+ * Resolve the match limits of a subscription: its own metadata wins over its type's
+ * @param {Object} [subscriptionMetadata] - subscriptions.metadata
+ * @param {Object} [typeMetadata] - subscription_types.metadata
+ * @param {Object} [defaults] - Values used when neither sets a limit
+ * @returns {{ minRelevanceScore: number|null, maxMatchesPerPrompt: number|null, maxMatchesPerRun: number|null }}
+ */
+function resolveMatchLimits(subscriptionMetadata, typeMetadata, defaults = {}) {
+  const setting = (key, options) => {
+    const own = readLimit(subscriptionMetadata?.[key], options);
+    if (own !== null) {
+      return own;
+    }
+    const inherited = readLimit(typeMetadata?.[key], options);
+    return inherited !== null ? inherited : (defaults[key] ?? null);
+  };
+  
+  return {
+    minRelevanceScore: setting('min_relevance_score'),
+    maxMatchesPerPrompt: setting('max_matches_per_prompt', { integer: true }),
+    maxMatchesPerRun: setting('max_matches_per_run', { integer: true })
+  };
+}
+
+/**
+ * Filter, sort and truncate matches. Matches are sorted by relevance score, best first;
+ * equal scores keep the parser's order.
+ * @param {Array<Object>} matches - Matches of a run
+ * @param {Object} limits - Limits from resolveMatchLimits
+ * @returns {{ matches: Array<Object>, dropped: { below_min_relevance: number, over_prompt_limit: number, over_run_limit: number } }}
+ */
+function applyMatchLimits(matches, { minRelevanceScore, maxMatchesPerPrompt, maxMatchesPerRun }) {
+  const dropped = { below_min_relevance: 0, over_prompt_limit: 0, over_run_limit: 0 };
+  
+  const relevant = matches.filter(match => {
+    if (minRelevanceScore !== null && (match.relevance_score || 0) < minRelevanceScore) {
+      dropped.below_min_relevance++;
+      return false;
+    }
+    return true;
+  });
+  
+  // Array.prototype.sort is stable, so ties keep the parser's order
+  const sorted = [...relevant].sort((a, b) => (b.relevance_score || 0) - (a.relevance_score || 0));
+  
+  const keptPerPrompt = new Map();
+  const kept = sorted.filter(match => {
+    const count = keptPerPrompt.get(match.prompt) || 0;
+    if (maxMatchesPerPrompt !== null && count >= maxMatchesPerPrompt) {
+      dropped.over_prompt_limit++;
+      return false;
+    }
+    keptPerPrompt.set(match.prompt, count + 1);
+    return true;
+  });
+  
+  if (maxMatchesPerRun !== null && kept.length > maxMatchesPerRun) {
+    dropped.over_run_limit = kept.length - maxMatchesPerRun;
+    kept.length = maxMatchesPerRun;
+  }
+  
+  return { matches: kept, dropped };
+}
+
+module.exports = {
+  resolveMatchLimits,
+  applyMatchLimits
+};
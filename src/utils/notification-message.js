@@ -0,0 +1,108 @@
+/**
+ * Aggregated notification message
+ * Builds the PubSubNotificationSchema message that reports all matches of one
+ * processing run (`results.matches[].documents[]`, grouped by prompt), as
+ * consumed by the notification worker.
+ */
+
+const { validatePubSubNotification } = require('./validation');
+
+const MESSAGE_VERSION = '1.0';
+
+/**
+ * Format matches into the expected structure for the notification worker.
+ * Matches without an HTML link cannot be linked to from a notification and are left out.
+ * @param {Array} matches - Matches of the run
+ * @param {string} processorType - The type of processor (e.g., 'boe')
+ * @returns {Array} Matches grouped by prompt
+ */
+function formatMatches(matches, processorType = 'boe') {
+  if (!matches || !Array.isArray(matches)) {
+    return [];
+  }
+  
+  // Group matches by prompt
+  const matchesByPrompt = {};
+  
+  matches.forEach(match => {
+    const html = match.links?.html || match.source_url;
+    if (!html) {
+      return;
+    }
+    const prompt = match.prompt || 'default';
+    if (!matchesByPrompt[prompt]) {
+      matchesByPrompt[prompt] = [];
+    }
+    
+    matchesByPrompt[prompt].push({
+      document_type: `${processorType}_document`,
+      title: match.title || 'Unknown title',
+      summary: match.summary || match.content || 'No summary available',
+      relevance_score: match.relevance_score || 0.5,
+      links: {
+        html,
+        ...(match.links?.pdf && { pdf: match.links.pdf })
+      },
+      publication_date: match.publication_date || match.dates?.publication_date || new Date().toISOString(),
+      section: match.section || '',
+      bulletin_type: match.document_type || match.bulletin_type || 'OTHER',
+      ...(match.notification_id && { notification_id: match.notification_id })
+    });
+  });
+  
+  // Convert to expected array format
+  return Object.entries(matchesByPrompt).map(([prompt, documents]) => ({
+    prompt,
+    documents
+  }));
+}
+
+/**
+ * Build the aggregated message of a processing run
+ * @param {Object} subscription - The subscription data
+ * @param {Array} matches - The matches of the run
+ * @param {Object} run - Run details
+ * @param {string} run.processorType - The type of processor (e.g., 'boe')
+ * @param {string} run.processingId - ID of the processing run
+ * @param {string} run.traceId - Trace ID of the processing run
+ * @param {number} run.processingTimeMs - Time the run took so far
+ * @param {string} [run.queryDate] - Date the parser was queried for (YYYY-MM-DD)
+ * @returns {Object} The message
+ * @throws {Error} When the message does not match PubSubNotificationSchema
+ */
+function buildNotificationMessage(subscription, matches, { processorType, processingId, traceId, processingTimeMs, queryDate }) {
+  const formattedMatches = formatMatches(matches, processorType);
+  const message = {
+    version: MESSAGE_VERSION,
+    processor_type: processorType,
+    timestamp: new Date().toISOString(),
+    trace_id: traceId,
+    request: {
+      subscription_id: subscription.subscription_id || subscription.id,
+      processing_id: processingId,
+      user_id: subscription.user_id,
+      prompts: subscription.prompts || []
+    },
+    results: {
+      query_date: queryDate || new Date().toISOString().split('T')[0],
+      matches: formattedMatches
+    },
+    metadata: {
+      processing_time_ms: processingTimeMs,
+      total_matches: formattedMatches.reduce((total, group) => total + group.documents.length, 0),
+      status: 'success',
+      error: null
+    }
+  };
+  
+  const validationResult = validatePubSubNotification(message);
+  if (!validationResult.valid) {
+    throw new Error(`Invalid notification message: ${JSON.stringify(validationResult.errors)}`);
+  }
+  return validationResult.data;
+}
+
+module.exports = {
+  formatMatches,
+  buildNotificationMessage
+};
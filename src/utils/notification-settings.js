@@ -0,0 +1,26 @@
+/**
+ * User notification settings
+ * Normalizes the email settings of users.notification_settings
+ * (emailNotifications, notificationEmail, frequency).
+ */
+
+/**
+ * Parse the email settings of a user
+ * @param {Object} [notificationSettings] - users.notification_settings
+ * @param {string} [accountEmail] - users.email, used when no notificationEmail is set
+ * @returns {{ enabled: boolean, email: string|null, frequency: string }} frequency is
+ *   'immediate' or 'daily'
+ */
+function parseEmailSettings(notificationSettings, accountEmail) {
+  const settings = notificationSettings || {};
+  return {
+    // Older settings store the flag as a string
+    enabled: settings.emailNotifications === true || settings.emailNotifications === 'true',
+    email: settings.notificationEmail || accountEmail || null,
+    frequency: settings.frequency === 'daily' ? 'daily' : 'immediate'
+  };
+}
+
+module.exports = {
+  parseEmailSettings
+};
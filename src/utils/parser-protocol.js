@@ -9,6 +9,15 @@ const axios = require('axios');
 const { z } = require('zod');
 const http = require('http');
 const https = require('https');
+// Response validation and normalization are owned by the parser adapters
+const { ParserResponseSchema, getParserAdapter } = require('./parser/adapters');
+const {
+  PROTOCOL_VERSION_HEADER,
+  LATEST_PROTOCOL_VERSION,
+  PROTOCOL_STRICT,
+  ParserProtocolError,
+  responseProtocolVersion
+} = require('./parser/protocol-versions');
 
 // Constants
 const DEFAULT_TIMEOUT = 120000; // 2 minutes
@@ -16,6 +25,48 @@ const MAX_RETRIES = 3;
 const INITIAL_RETRY_DELAY = 1000; // 1 second
 const MAX_RETRY_DELAY = 20000; // 20 seconds
 
+// Why a request failed, as reported in failure_class of error results. Only the classes
+// in PARSER_UNAVAILABLE_FAILURES say the parser itself is unavailable; the others are
+// answers it gave (4xx, responses the worker cannot read)
+const FAILURE_CLASSES = {
+  TRANSPORT: 'transport',
+  TIMEOUT: 'timeout',
+  SERVER_ERROR: 'server_error',
+  RATE_LIMITED: 'rate_limited',
+  CLIENT_ERROR: 'client_error',
+  PROTOCOL: 'protocol',
+  INVALID_RESPONSE: 'invalid_response'
+};
+const PARSER_UNAVAILABLE_FAILURES = new Set([
+  FAILURE_CLASSES.TRANSPORT,
+  FAILURE_CLASSES.TIMEOUT,
+  FAILURE_CLASSES.SERVER_ERROR,
+  FAILURE_CLASSES.RATE_LIMITED
+]);
+
+/**
+ * Classify the error of a failed parser request
+ * @param {Error} error - Error thrown by the request or while reading its response
+ * @returns {string} One of FAILURE_CLASSES
+ */
+function classifyFailure(error) {
+  if (error instanceof ParserProtocolError) {
+    return FAILURE_CLASSES.PROTOCOL;
+  }
+  if (error.response) {
+    if (error.response.status === 429) {
+      return FAILURE_CLASSES.RATE_LIMITED;
+    }
+    return error.response.status >= 500 ? FAILURE_CLASSES.SERVER_ERROR : FAILURE_CLASSES.CLIENT_ERROR;
+  }
+  if (error.isAxiosError || error.request) {
+    const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message);
+    return timedOut ? FAILURE_CLASSES.TIMEOUT : FAILURE_CLASSES.TRANSPORT;
+  }
+  // Thrown while reading a response the parser did send
+  return FAILURE_CLASSES.INVALID_RESPONSE;
+}
+
 // Configure schema to validate parser request
 const ParserRequestSchema = z.object({
   texts: z.array(z.string()).min(1),
@@ -27,29 +78,6 @@ const ParserRequestSchema = z.object({
   date: z.string().optional()
 });
 
-// Configure schema to validate parser response
-const ParserResponseSchema = z.object({
-  query_date: z.string(),
-  results: z.array(z.object({
-    prompt: z.string().optional(),
-    matches: z.array(z.object({
-      document_type: z.string(),
-      title: z.string(),
-      issuing_body: z.string().optional(),
-      summary: z.string().optional(),
-      relevance_score: z.number(),
-      links: z.object({
-        html: z.string().url(),
-        pdf: z.string().url().optional()
-      }).optional()
-    }).passthrough())
-  })),
-  metadata: z.object({
-    total_items_processed: z.number().optional(),
-    processing_time_ms: z.number().optional()
-  }).optional()
-}).passthrough();
-
 /**
  * Creates a standardized HTTP/HTTPS agent to handle socket connection issues
  * @param {boolean} isHttps - Whether to create an HTTPS agent
@@ -77,12 +105,19 @@ class ParserClient {
    * @param {string} config.baseURL - Base URL for the parser service
    * @param {string} [config.apiKey] - API key for authentication
    * @param {string} [config.type] - Parser type (e.g., 'boe', 'doga')
+   * @param {number} [config.maxRetries] - Retry attempts for retryable errors (default MAX_RETRIES)
+   * @param {number} [config.timeoutMs] - Request timeout of the first attempt (default DEFAULT_TIMEOUT)
+   * @param {boolean} [config.strictProtocol] - Reject responses in unknown protocol versions or failing
+   *   their version's schema instead of normalizing them anyway (default PARSER_PROTOCOL_STRICT)
    */
   constructor(config = {}) {
     this.config = config || {};
     this.baseURL = config.baseURL || process.env.PARSER_BASE_URL || '';
     this.apiKey = config.apiKey || '';
     this.type = config.type || 'generic';
+    this.maxRetries = Number.isInteger(config.maxRetries) ? config.maxRetries : MAX_RETRIES;
+    this.timeoutMs = config.timeoutMs || DEFAULT_TIMEOUT;
+    this.strictProtocol = typeof config.strictProtocol === 'boolean' ? config.strictProtocol : PROTOCOL_STRICT;
     
     // Check if we should initialize now or wait for updateBaseURL
     if (this.baseURL) {
@@ -103,9 +138,8 @@ class ParserClient {
    * @private
    */
   _setupAgents() {
-    const isHttps = this.baseURL.startsWith('https://');
-    this.httpAgent = createKeepAliveAgent(!isHttps);
-    this.httpsAgent = createKeepAliveAgent(isHttps);
+    this.httpAgent = createKeepAliveAgent(false);
+    this.httpsAgent = createKeepAliveAgent(true);
   }
   
   /**
@@ -114,17 +148,16 @@ class ParserClient {
    * @returns {Object} Configured axios instance
    */
   _createAxiosClient() {
-    const isHttps = this.baseURL.startsWith('https://');
     return axios.create({
       baseURL: this.baseURL,
-      timeout: DEFAULT_TIMEOUT,
+      timeout: this.timeoutMs,
       httpAgent: this.httpAgent,
       httpsAgent: this.httpsAgent,
       headers: {
         'Content-Type': 'application/json',
         'Accept': 'application/json, text/plain, */*',
-        'Connection': 'keep-alive',
-        ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
+        'Connection': 'keep-alive'
+        // Authentication headers are added per request by the parser adapter
       },
       maxContentLength: 50 * 1024 * 1024, // 50MB
       maxRedirects: 5
@@ -267,7 +300,7 @@ class ParserClient {
         user_id: safeUserId,
         subscription_id: safeSubscriptionId
       },
-      limit: options.limit || 5,
+      ...(options.limit && { limit: options.limit }), // the schema defaults to 5 per prompt
       date: options.date || new Date().toISOString().split('T')[0]
     };
     
@@ -286,16 +319,26 @@ class ParserClient {
   
   /**
    * Send a request to the parser service with retry logic
-   * @param {Object} requestBody - The request body created by createRequest
+   * @param {Object} requestBody - The request body created by createRequest or an adapter
    * @param {Object} [options] - Options for the request
-   * @returns {Promise<Object>} Normalized response
+   * @param {Object} [options.adapter] - Parser adapter owning endpoint, auth and normalization (default: 'standard')
+   * @param {string} [options.endpoint] - Overrides the adapter endpoint
+   * @param {number} [options.maxRetries] - Overrides the client's retry attempts for this request
+   * @param {string} [options.protocolVersion] - Protocol version to ask for (default: the latest supported)
+   * @returns {Promise<Object>} Normalized response with the protocol_version it was in and, when it
+   *   was normalized without passing its schema, schema_fallback ('unknown_version' or
+   *   'invalid_response'). Error results carry failure_class (see FAILURE_CLASSES); those of
+   *   responses rejected in strict mode also carry schema_rejected.
    */
   async send(requestBody, options = {}) {
     if (!this.baseURL || !this.client) {
       throw new Error('ParserClient: Cannot send request - no baseURL set or client not initialized');
     }
     
-    const endpoint = options.endpoint || '/api/analyze-text';
+    const adapter = options.adapter || getParserAdapter();
+    const endpoint = options.endpoint || adapter.endpoint;
+    const maxRetries = Number.isInteger(options.maxRetries) ? options.maxRetries : this.maxRetries;
+    const protocolVersion = options.protocolVersion || LATEST_PROTOCOL_VERSION;
     let retries = 0;
     let lastError = null;
     let timeoutFactor = 1.0;
@@ -303,18 +346,18 @@ class ParserClient {
     // Extract the subscription ID for logging
     const subscriptionId = requestBody.metadata?.subscription_id || 'unknown';
     
-    console.info('Sending request to parser', { endpoint, type: this.type, baseURL: this.baseURL });
+    console.info('Sending request to parser', { endpoint, adapter: adapter.name, baseURL: this.baseURL });
     
-    while (retries <= MAX_RETRIES) {
+    while (retries <= maxRetries) {
       try {
         // Adjust timeout for retries
         const currentTimeout = Math.min(
-          DEFAULT_TIMEOUT * timeoutFactor,
+          this.timeoutMs * timeoutFactor,
           240000 // Max 4 minutes
         );
         
         if (retries > 0) {
-          console.debug(`Retry attempt ${retries}/${MAX_RETRIES}`, {
+          console.debug(`Retry attempt ${retries}/${maxRetries}`, {
             subscription_id: subscriptionId,
             timeout_ms: currentTimeout
           });
@@ -323,23 +366,14 @@ class ParserClient {
         // Send the request
         const response = await this.client.post(endpoint, requestBody, {
           timeout: currentTimeout,
+          headers: {
+            [PROTOCOL_VERSION_HEADER]: protocolVersion,
+            ...adapter.buildHeaders(this.apiKey)
+          },
           validateStatus: status => status >= 200 && status < 300
         });
         
-        // Validate the response
-        try {
-          const validatedResponse = ParserResponseSchema.parse(response.data);
-          return this._normalizeResponse(validatedResponse, requestBody.texts);
-        } catch (validationError) {
-          console.warn('Invalid parser response format', {
-            subscription_id: subscriptionId,
-            error: validationError.message,
-            issues: validationError.issues
-          });
-          
-          // Return a best-effort response even if validation fails
-          return this._normalizeResponse(response.data, requestBody.texts);
-        }
+        return this._readResponse(response.data, requestBody, adapter, subscriptionId);
         
       } catch (error) {
         lastError = error;
@@ -355,12 +389,23 @@ class ParserClient {
           error.message.includes('socket hang up')
         );
         
+        // A response the client cannot read is not retried: the parser would answer the same
+        if (error instanceof ParserProtocolError) {
+          console.error('ParserClient: Rejected parser response', {
+            error: error.message,
+            reason: error.reason,
+            protocol_version: error.protocolVersion,
+            subscription_id: subscriptionId
+          });
+          break;
+        }
+        
         const isServerError = error.response?.status >= 500;
         const isTooManyRequests = error.response?.status === 429;
         const isRetryable = isNetworkError || isServerError || isTooManyRequests;
         
         // If not retryable or max retries reached, break the loop
-        if (!isRetryable || retries > MAX_RETRIES) {
+        if (!isRetryable || retries > maxRetries) {
           console.error('ParserClient: Non-retryable error or max retries reached', { 
             error: error.message, 
             status: error.response?.status, 
@@ -396,52 +441,74 @@ class ParserClient {
       entries: [],
       status: 'error',
       error: lastError?.message || 'Unknown error',
+      failure_class: lastError ? classifyFailure(lastError) : FAILURE_CLASSES.TRANSPORT,
+      ...(lastError instanceof ParserProtocolError && {
+        protocol_version: lastError.protocolVersion,
+        schema_rejected: lastError.reason
+      }),
       timestamp: new Date().toISOString()
     };
   }
   
   /**
-   * Normalize the parser response to a standard format
+   * Validate a response against the schema of its protocol version and normalize it.
+   * Adapters without versioned schemas (no responseSchemaFor) validate with their one
+   * responseSchema, if any.
    * @private
-   * @param {Object} response - Parser service response
-   * @param {Array<string>} prompts - Original prompts sent to the parser
-   * @returns {Object} Normalized response
+   * @throws {ParserProtocolError} In strict mode, when the response cannot be validated
    */
-  _normalizeResponse(response, prompts) {
-    // If no results, return empty response
-    if (!response || !response.results || !Array.isArray(response.results)) {
-      return {
-        entries: [],
-        status: 'success',
-        timestamp: new Date().toISOString()
-      };
-    }
-    
-    // Extract matches from all results
-    const entries = [];
+  _readResponse(response, requestBody, adapter, subscriptionId) {
+    const version = responseProtocolVersion(response);
+    // A numeric protocol_version (1 for 1.0) is validated as the version it names
+    const data = typeof response?.protocol_version === 'number'
+      ? { ...response, protocol_version: version }
+      : response;
+    const versioned = typeof adapter.responseSchemaFor === 'function';
+    const schema = versioned ? adapter.responseSchemaFor(version) : adapter.responseSchema;
+    const normalize = (body, fallback = null) => ({
+      ...adapter.normalizeResponse(body, requestBody),
+      protocol_version: version,
+      ...(fallback && { schema_fallback: fallback })
+    });
     
-    response.results.forEach((result, index) => {
-      const currentPrompt = prompts[index] || 'unknown';
-      
-      if (result.matches && Array.isArray(result.matches)) {
-        // Add the prompt to each match
-        const matchesWithPrompt = result.matches.map(match => ({
-          ...match,
-          prompt: currentPrompt
-        }));
-        
-        entries.push(...matchesWithPrompt);
+    if (!schema) {
+      if (!versioned) {
+        return normalize(data);
+      }
+      if (this.strictProtocol) {
+        throw new ParserProtocolError(`Unsupported parser protocol version: ${version}`, {
+          reason: 'unknown_version',
+          version
+        });
       }
+      console.warn('Parser response in unknown protocol version', {
+        subscription_id: subscriptionId,
+        adapter: adapter.name,
+        protocol_version: version
+      });
+      return normalize(data, 'unknown_version');
+    }
+    
+    const validation = schema.safeParse(data);
+    if (validation.success) {
+      return normalize(validation.data);
+    }
+    if (this.strictProtocol) {
+      throw new ParserProtocolError(`Invalid parser response for protocol ${version}: ${validation.error.message}`, {
+        reason: 'invalid_response',
+        version
+      });
+    }
+    console.warn('Invalid parser response format', {
+      subscription_id: subscriptionId,
+      adapter: adapter.name,
+      protocol_version: version,
+      error: validation.error.message,
+      issues: validation.error.issues
     });
     
-    // Return standardized response
-    return {
-      entries,
-      status: 'success',
-      query_date: response.query_date,
-      source_info: response.boe_info || response.doga_info || {},
-      timestamp: new Date().toISOString()
-    };
+    // Return a best-effort response even if validation fails
+    return normalize(data, 'invalid_response');
   }
   
   /**
@@ -467,6 +534,8 @@ module.exports = {
   ParserClient,
   ParserRequestSchema,
   ParserResponseSchema,
+  FAILURE_CLASSES,
+  PARSER_UNAVAILABLE_FAILURES,
   DEFAULT_TIMEOUT,
   MAX_RETRIES,
   INITIAL_RETRY_DELAY,
@@ -0,0 +1,69 @@
+/**
+ * Parser adapter registry
+ * Each subscription type names the adapter its parser needs in
+ * subscription_types.metadata.parser_adapter; types without one use 'standard'.
+ * An adapter owns the request body, endpoint path, auth headers and
+ * response normalization of its parser.
+ */
+
+const { StandardParserAdapter, ParserResponseSchema } = require('./standard');
+
+const DEFAULT_ADAPTER_NAME = 'standard';
+
+const adapters = new Map();
+
+/**
+ * Register a parser adapter, replacing any adapter with the same name
+ * @param {Object} adapter - Adapter instance with a unique `name`
+ */
+function registerParserAdapter(adapter) {
+  if (!adapter || !adapter.name) {
+    throw new Error('Parser adapter must have a name');
+  }
+  adapters.set(adapter.name, adapter);
+}
+
+/**
+ * Get a registered parser adapter by name
+ * @param {string} [name='standard'] - Adapter name
+ * @returns {Object} The adapter
+ */
+function getParserAdapter(name = DEFAULT_ADAPTER_NAME) {
+  const adapter = adapters.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown parser adapter: ${name}`);
+  }
+  return adapter;
+}
+
+/**
+ * Resolve the adapter configured for a subscription type
+ * @param {Object} [typeMetadata] - subscription_types.metadata
+ * @returns {Object} The adapter
+ */
+function resolveParserAdapter(typeMetadata) {
+  return getParserAdapter(typeMetadata?.parser_adapter || DEFAULT_ADAPTER_NAME);
+}
+
+/**
+ * Names of all registered adapters
+ * @returns {Array<string>}
+ */
+function listParserAdapters() {
+  return Array.from(adapters.keys());
+}
+
+// Built-in adapters
+registerParserAdapter(new StandardParserAdapter());
+registerParserAdapter(new StandardParserAdapter({ name: 'boe', sourceInfoKey: 'boe_info' }));
+registerParserAdapter(new StandardParserAdapter({ name: 'doga', sourceInfoKey: 'doga_info' }));
+
+module.exports = {
+  StandardParserAdapter,
+  ParserResponseSchema,
+  DEFAULT_ADAPTER_NAME,
+  registerParserAdapter,
+  getParserAdapter,
+  resolveParserAdapter,
+  listParserAdapters
+};
@@ -0,0 +1,130 @@
+/**
+ * Standard parser adapter
+ * Speaks the NIFYA parser protocol: POST /api/analyze-text with one text per
+ * prompt, Bearer authentication and a `results[].matches[]` response, and
+ * GET /api/capabilities describing the parser.
+ * See docs/parser-protocol.md.
+ */
+
+const { ParserResponseSchemaV1, getResponseSchema } = require('../protocol-versions');
+
+// Schema of protocol 1.0 responses, the version parsers predating versioning speak
+const ParserResponseSchema = ParserResponseSchemaV1;
+
+/**
+ * StandardParserAdapter class for parsers implementing the NIFYA parser protocol.
+ * Adapters for other sources extend it and override what differs.
+ */
+class StandardParserAdapter {
+  /**
+   * Create a new StandardParserAdapter
+   * @param {Object} [options] - Adapter settings
+   * @param {string} [options.name='standard'] - Name used in subscription_types.metadata.parser_adapter
+   * @param {string} [options.endpoint='/api/analyze-text'] - Path requests are posted to
+   * @param {string} [options.sourceInfoKey] - Response field holding source details (e.g., 'boe_info')
+   * @param {string} [options.capabilitiesEndpoint='/api/capabilities'] - Path the parser describes itself at
+   */
+  constructor({
+    name = 'standard',
+    endpoint = '/api/analyze-text',
+    sourceInfoKey = null,
+    capabilitiesEndpoint = '/api/capabilities'
+  } = {}) {
+    this.name = name;
+    this.endpoint = endpoint;
+    this.capabilitiesEndpoint = capabilitiesEndpoint;
+    this.sourceInfoKey = sourceInfoKey;
+    this.responseSchema = ParserResponseSchema;
+  }
+
+  /**
+   * Response schema of a protocol version
+   * @param {string} version - protocol_version of the response
+   * @returns {Object|null} Zod schema, or null when the version is unknown
+   */
+  responseSchemaFor(version) {
+    return getResponseSchema(version);
+  }
+
+  /**
+   * Build the request body for a subscription
+   * @param {Object} params - Request parameters
+   * @param {Object} params.subscription - Subscription with its type fields
+   * @param {Array<string>} params.prompts - Validated prompts
+   * @param {string} params.traceId - Trace ID of the processing run
+   * @param {string} [params.date] - Date to query (YYYY-MM-DD), defaults to today
+   * @param {number} [params.limit] - Maximum results per prompt; the parser's default when missing
+   * @param {string} [params.dateFrom] - First date of a range, for parsers accepting date ranges
+   * @param {string} [params.dateTo] - Last date of a range
+   * @returns {Object} Request body
+   */
+  buildRequest({ subscription, prompts, traceId, date, limit, dateFrom, dateTo }) {
+    return {
+      texts: prompts,
+      metadata: {
+        user_id: subscription.user_id,
+        subscription_id: subscription.id,
+        type_id: subscription.type_id,
+        type_name: subscription.type_name,
+        trace_id: traceId
+      },
+      ...(limit && { limit }),
+      date: date || new Date().toISOString().split('T')[0],
+      ...(dateFrom && dateTo && { date_from: dateFrom, date_to: dateTo })
+    };
+  }
+
+  /**
+   * Build the authentication headers of a request
+   * @param {string|null} apiKey - Parser API key
+   * @returns {Object} Headers to add to the request
+   */
+  buildHeaders(apiKey) {
+    return apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+  }
+
+  /**
+   * Normalize a parser response to { entries, status, query_date, source_info, timestamp }
+   * @param {Object} response - Parser response body
+   * @param {Object} request - The request body it answers
+   * @returns {Object} Normalized response
+   */
+  normalizeResponse(response, request) {
+    // If no results, return empty response
+    if (!response || !response.results || !Array.isArray(response.results)) {
+      return {
+        entries: [],
+        status: 'success',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const prompts = request?.texts || [];
+    const entries = [];
+
+    response.results.forEach((result, index) => {
+      const currentPrompt = prompts[index] || 'unknown';
+
+      if (result.matches && Array.isArray(result.matches)) {
+        // Add the prompt to each match
+        entries.push(...result.matches.map(match => ({
+          ...match,
+          prompt: currentPrompt
+        })));
+      }
+    });
+
+    return {
+      entries,
+      status: 'success',
+      query_date: response.query_date,
+      source_info: (this.sourceInfoKey && response[this.sourceInfoKey]) || response.source_info || {},
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = {
+  StandardParserAdapter,
+  ParserResponseSchema
+};
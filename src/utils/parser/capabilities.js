@@ -0,0 +1,82 @@
+/**
+ * Parser capabilities
+ * Parsers describe themselves at GET /api/capabilities: the sections they cover, how
+ * many prompts one request may carry, whether they accept date ranges, the protocol
+ * version they speak and the extensions their responses carry.
+ * See docs/parser-protocol.md.
+ */
+
+const { z } = require('zod');
+const { isSupportedProtocolVersion, normalizeProtocolVersion } = require('./protocol-versions');
+
+// Configure schema to validate a capabilities response
+const ParserCapabilitiesSchema = z.object({
+  protocol_version: z.union([z.string(), z.number()]).transform(normalizeProtocolVersion).optional(),
+  max_prompts_per_request: z.number().int().positive().optional(),
+  date_range: z.boolean().optional(),
+  sections: z.array(z.object({
+    id: z.string(),
+    name: z.string(),
+    description: z.string().optional()
+  })).optional(),
+  extensions: z.array(z.string()).optional()
+}).passthrough();
+
+/**
+ * Capabilities of a parser that did not describe itself (no capabilities endpoint, or an
+ * invalid answer). null means unknown: callers keep the behaviour configured for the
+ * subscription type.
+ * @param {string|null} [error] - Why the capabilities are unknown
+ * @returns {Object} Unknown capabilities
+ */
+function unknownCapabilities(error = null) {
+  return {
+    available: false,
+    protocol_version: null,
+    protocol_supported: null,
+    max_prompts_per_request: null,
+    date_range: null,
+    sections: [],
+    extensions: [],
+    error,
+    fetched_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Validate and normalize a capabilities response
+ * @param {Object} response - Body of GET /api/capabilities
+ * @returns {Object} { available, protocol_version, protocol_supported, max_prompts_per_request,
+ *   date_range, sections, extensions, error, fetched_at }; unknown capabilities when the body is invalid
+ */
+function normalizeCapabilities(response) {
+  const parsed = ParserCapabilitiesSchema.safeParse(response);
+  if (!parsed.success) {
+    return unknownCapabilities(`Invalid capabilities response: ${parsed.error.issues
+      .map(issue => `${issue.path.join('.') || 'body'}: ${issue.message}`)
+      .join('; ')}`);
+  }
+
+  const capabilities = parsed.data;
+  return {
+    available: true,
+    protocol_version: capabilities.protocol_version || null,
+    protocol_supported: capabilities.protocol_version ? isSupportedProtocolVersion(capabilities.protocol_version) : null,
+    max_prompts_per_request: capabilities.max_prompts_per_request || null,
+    date_range: typeof capabilities.date_range === 'boolean' ? capabilities.date_range : null,
+    sections: (capabilities.sections || []).map(section => ({
+      id: section.id,
+      name: section.name,
+      description: section.description || null
+    })),
+    extensions: capabilities.extensions || [],
+    error: null,
+    fetched_at: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  ParserCapabilitiesSchema,
+  unknownCapabilities,
+  normalizeCapabilities
+};
@@ -12,6 +12,9 @@ const {
   INITIAL_RETRY_DELAY,
   MAX_RETRY_DELAY
 } = require('./protocol');
+const adapters = require('./adapters');
+const capabilities = require('./capabilities');
+const protocolVersions = require('./protocol-versions');
 
 module.exports = {
   ParserClient,
@@ -20,5 +23,8 @@ module.exports = {
   DEFAULT_TIMEOUT,
   MAX_RETRIES,
   INITIAL_RETRY_DELAY,
-  MAX_RETRY_DELAY
+  MAX_RETRY_DELAY,
+  adapters,
+  capabilities,
+  protocolVersions
 }; 
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * Parser protocol versions
+ * Requests carry the protocol version the worker asks for in the
+ * X-Parser-Protocol-Version header; responses name the version they are in with
+ * `protocol_version`. Each supported version has its own response schema.
+ * Responses without a version are from parsers predating versioning and are
+ * read as LEGACY_PROTOCOL_VERSION. See docs/parser-protocol.md.
+ */
+
+const { z } = require('zod');
+
+const PROTOCOL_VERSION_HEADER = 'X-Parser-Protocol-Version';
+const LEGACY_PROTOCOL_VERSION = '1.0';
+// Rejects responses in unknown versions and responses failing their schema, instead of
+// normalizing them on a best-effort basis; per subscription type: parser_protocol_strict
+const PROTOCOL_STRICT = process.env.PARSER_PROTOCOL_STRICT === 'true';
+
+// Schema of a protocol 1.0 response; fields beyond it are source extensions (e.g., boe_info)
+const ParserResponseSchemaV1 = z.object({
+  protocol_version: z.literal('1.0').optional(),
+  query_date: z.string(),
+  results: z.array(z.object({
+    prompt: z.string().optional(),
+    matches: z.array(z.object({
+      document_type: z.string(),
+      title: z.string(),
+      issuing_body: z.string().optional(),
+      summary: z.string().optional(),
+      relevance_score: z.number(),
+      links: z.object({
+        html: z.string().url(),
+        pdf: z.string().url().optional()
+      }).optional()
+    }).passthrough())
+  })),
+  metadata: z.object({
+    total_items_processed: z.number().optional(),
+    processing_time_ms: z.number().optional()
+  }).optional()
+}).passthrough();
+
+// Response schema of every supported version, oldest first
+const RESPONSE_SCHEMAS = new Map([
+  ['1.0', ParserResponseSchemaV1]
+]);
+
+const SUPPORTED_PROTOCOL_VERSIONS = Array.from(RESPONSE_SCHEMAS.keys());
+const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[SUPPORTED_PROTOCOL_VERSIONS.length - 1];
+
+/**
+ * Whether the worker speaks a protocol version
+ * @param {string} version - Protocol version
+ * @returns {boolean}
+ */
+function isSupportedProtocolVersion(version) {
+  return RESPONSE_SCHEMAS.has(version);
+}
+
+/**
+ * Response schema of a protocol version
+ * @param {string} version - Protocol version
+ * @returns {Object|null} Zod schema, or null for an unknown version
+ */
+function getResponseSchema(version) {
+  return RESPONSE_SCHEMAS.get(version) || null;
+}
+
+/**
+ * Protocol version as a string. Parsers sending a JSON number mean the same version:
+ * 1.0 arrives as 1, and is read as '1.0'.
+ * @param {string|number} version - protocol_version of a response or capabilities
+ * @returns {string}
+ */
+function normalizeProtocolVersion(version) {
+  return Number.isInteger(version) ? version.toFixed(1) : String(version);
+}
+
+/**
+ * Protocol version a response is in
+ * @param {Object} response - Parser response body
+ * @returns {string} Its protocol_version, or LEGACY_PROTOCOL_VERSION when it names none
+ */
+function responseProtocolVersion(response) {
+  const version = response?.protocol_version;
+  return version === undefined || version === null ? LEGACY_PROTOCOL_VERSION : normalizeProtocolVersion(version);
+}
+
+/**
+ * Protocol version to ask a parser for: the version it reports speaking when the worker
+ * speaks it too, otherwise the latest the worker speaks.
+ * @param {string|null} [reportedVersion] - protocol_version from the parser's capabilities
+ * @returns {string}
+ */
+function requestProtocolVersion(reportedVersion) {
+  return reportedVersion && isSupportedProtocolVersion(reportedVersion) ? reportedVersion : LATEST_PROTOCOL_VERSION;
+}
+
+/**
+ * Error of a response the worker cannot read in strict mode
+ */
+class ParserProtocolError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details
+   * @param {string} details.reason - 'unknown_version' or 'invalid_response'
+   * @param {string} details.version - Protocol version of the response
+   */
+  constructor(message, { reason, version }) {
+    super(message);
+    this.name = 'ParserProtocolError';
+    this.code = 'PARSER_PROTOCOL';
+    this.reason = reason;
+    this.protocolVersion = version;
+  }
+}
+
+module.exports = {
+  PROTOCOL_VERSION_HEADER,
+  LEGACY_PROTOCOL_VERSION,
+  LATEST_PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  PROTOCOL_STRICT,
+  ParserResponseSchemaV1,
+  ParserProtocolError,
+  isSupportedProtocolVersion,
+  getResponseSchema,
+  normalizeProtocolVersion,
+  responseProtocolVersion,
+  requestProtocolVersion
+};
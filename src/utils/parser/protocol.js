@@ -267,7 +267,7 @@ class ParserClient {
         user_id: safeUserId,
         subscription_id: safeSubscriptionId
       },
-      limit: options.limit || 5,
+      ...(options.limit && { limit: options.limit }), // the schema defaults to 5 per prompt
       date: options.date || new Date().toISOString().split('T')[0]
     };
     
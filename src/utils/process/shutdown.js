@@ -3,24 +3,47 @@
  */
 const { promisify } = require('util');
 
+/**
+ * Runs shutdown tasks one after another, logging failures instead of stopping
+ * @param {Array<Function>} tasks - Async tasks
+ */
+async function runTasks(tasks) {
+  for (const task of tasks) {
+    try {
+      await task();
+    } catch (taskError) {
+      console.error({ error: taskError.message }, 'Cleanup task failed during shutdown');
+    }
+  }
+}
+
 /**
  * Sets up graceful shutdown handlers for the application
  * 
  * @param {object} server - The HTTP server instance to close
  * @param {object} pool - The database pool to close
+ * @param {object} [tasks]
+ * @param {Array<Function>} [tasks.stopTasks=[]] - Async tasks run as soon as shutdown starts, while the
+ *   server closes: ending long-lived responses (which would keep it open) and stopping background work
+ * @param {Array<Function>} [tasks.cleanupTasks=[]] - Async tasks run after the server closes and before the pool is closed
  */
-function setupGracefulShutdown(server, pool) {
+function setupGracefulShutdown(server, pool, { stopTasks = [], cleanupTasks = [] } = {}) {
   const signals = ['SIGINT', 'SIGTERM'];
   
   const shutdown = async (signal) => {
     console.info({ signal }, 'Shutdown signal received. Closing server gracefully...');
     
     try {
-      // 1. Stop accepting new connections
-      await promisify(server.close.bind(server))();
+      // 1. Stop accepting new connections, and stop background work while in-flight requests finish
+      const serverClosed = promisify(server.close.bind(server))();
+      server.closeIdleConnections();
+      await Promise.all([serverClosed, runTasks(stopTasks)]);
       console.info('HTTP server closed.');
       
-      // 2. Close database pool
+      // 2. Release what in-flight requests and background work were using
+      await runTasks(cleanupTasks);
+      
+      // 3. Close database pool
       if (pool && typeof pool.end === 'function') {
         await pool.end();
         console.info('Database pool closed.');
@@ -28,7 +51,7 @@ function setupGracefulShutdown(server, pool) {
         console.warn('Database pool not available or cannot be closed during shutdown.');
       }
       
-      // 3. Add cleanup for other resources if needed (e.g., PubSub clients)
+      // 4. Add cleanup for other resources if needed (e.g., PubSub clients)
 
       console.info('Graceful shutdown complete. Exiting process.');
       process.exit(0);
@@ -0,0 +1,112 @@
+/**
+ * Processing window
+ * Works out which bulletin dates a subscription run has to query: every date after
+ * the subscription's high-water mark (metadata.processed_through_date, the last date
+ * fully covered) up to today. Today is always queried again, because its bulletin
+ * may still change, and is never marked as covered. A backlog longer than the lookback
+ * is worked off over several runs, oldest dates first.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * UTC date of a point in time
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Shift a date by a number of days
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+}
+
+/**
+ * Whether a value is a real calendar date in YYYY-MM-DD form
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isDateString(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  // Date.parse rolls days like 02-30 over into the next month
+  const time = Date.parse(value);
+  return !Number.isNaN(time) && toDateString(new Date(time)) === value;
+}
+
+/**
+ * Every date from one date to another, both included
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Array<string>} Empty when from is after to
+ */
+function dateRange(from, to) {
+  const dates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Compute the dates a run has to query
+ * @param {Object} params
+ * @param {string} [params.processedThrough] - Last date fully covered (YYYY-MM-DD)
+ * @param {string} [params.lastProcessedAt] - Time of the last successful run, used when there
+ *   is no high-water mark yet; its date is queried again
+ * @param {string} [params.today] - Today's date, defaults to the current UTC date
+ * @param {number} params.maxLookbackDays - Most dates one window covers; a longer backlog is
+ *   queried in windows of this size, oldest first, and the dates after the window are left
+ *   to the next runs
+ * @returns {{ from: string, to: string, today: string, dates: Array<string>, remaining_days: number }}
+ *   remaining_days counts the uncovered dates after the window, up to today
+ */
+function computeProcessingWindow({ processedThrough, lastProcessedAt, today = toDateString(new Date()), maxLookbackDays }) {
+  let from = today;
+  if (isDateString(processedThrough)) {
+    from = addDays(processedThrough, 1);
+  } else if (lastProcessedAt && !Number.isNaN(Date.parse(lastProcessedAt))) {
+    from = toDateString(new Date(lastProcessedAt));
+  }
+  if (from > today) {
+    from = today;
+  }
+  
+  let to = addDays(from, Math.max(maxLookbackDays, 1) - 1);
+  if (to > today) {
+    to = today;
+  }
+  
+  return { from, to, today, dates: dateRange(from, to), remaining_days: dateRange(addDays(to, 1), today).length };
+}
+
+/**
+ * New high-water mark after a run: the last covered date before today
+ * @param {Object} window - Window from computeProcessingWindow
+ * @param {Array<string>} coveredDates - Dates queried successfully, in order, from the window's start
+ * @returns {string|null} The date, or null when the mark does not move
+ */
+function coveredThrough(window, coveredDates) {
+  const today = window.today || window.to;
+  const completed = coveredDates.filter(date => date < today);
+  return completed.length > 0 ? completed[completed.length - 1] : null;
+}
+
+module.exports = {
+  toDateString,
+  addDays,
+  isDateString,
+  dateRange,
+  computeProcessingWindow,
+  coveredThrough
+};
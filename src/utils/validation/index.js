@@ -6,6 +6,7 @@
 const { validateSubscription, sanitizeSubscription } = require('./subscription');
 const { validateProcessorResult, validateProcessingRequest } = require('./processing');
 const { validatePubSubNotification } = require('./notification');
+const { validateSubscriptionType } = require('./subscription-type');
 
 module.exports = {
   // Subscription validation
@@ -17,5 +18,8 @@ module.exports = {
   validateProcessingRequest,
   
   // Notification validation
-  validatePubSubNotification
+  validatePubSubNotification,
+  
+  // Subscription type validation
+  validateSubscriptionType
 }; 
\ No newline at end of file
@@ -0,0 +1,43 @@
+const { SubscriptionTypeSchema } = require('../../types/schemas');
+const { listParserAdapters } = require('../parser/adapters');
+
+// Updates may change every field but the ID
+const SubscriptionTypeUpdateSchema = SubscriptionTypeSchema.omit({ id: true }).partial();
+
+/**
+ * Validate the subscription type data of a create or update request
+ * @param {Object} input - Subscription type data
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Validate an update: every field is optional
+ * @returns {{ data: Object|null, valid: boolean, errors: Array<string>|null }} Validated data,
+ *   or one message per invalid field
+ */
+function validateSubscriptionType(input, { partial = false } = {}) {
+  const schema = partial ? SubscriptionTypeUpdateSchema : SubscriptionTypeSchema;
+  const result = schema.safeParse(input || {});
+
+  if (!result.success) {
+    return {
+      data: null,
+      valid: false,
+      errors: result.error.issues.map(issue => `${issue.path.join('.') || 'body'}: ${issue.message}`)
+    };
+  }
+
+  const errors = [];
+  const adapter = result.data.metadata?.parser_adapter;
+  if (adapter && !listParserAdapters().includes(adapter)) {
+    errors.push(`metadata.parser_adapter: unknown adapter '${adapter}', expected one of: ${listParserAdapters().join(', ')}`);
+  }
+  if (partial && Object.keys(result.data).length === 0) {
+    errors.push('body: no fields to update');
+  }
+
+  return errors.length > 0
+    ? { data: null, valid: false, errors }
+    : { data: result.data, valid: true, errors: null };
+}
+
+module.exports = {
+  validateSubscriptionType
+};
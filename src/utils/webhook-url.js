@@ -0,0 +1,114 @@
+/**
+ * Webhook URLs
+ * Webhook URLs are set by users, so requests to them must not reach the worker's own
+ * network: only https URLs are accepted, and hosts that are or resolve to loopback,
+ * link-local (e.g. the cloud metadata server), private or otherwise reserved addresses
+ * are rejected. URLs are checked when a webhook is looked up, and the address a delivery
+ * connects to is checked again when its host name is resolved.
+ */
+
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+
+// Host names of metadata servers and the local machine, besides their addresses below
+const BLOCKED_HOSTNAMES = ['localhost', 'metadata', 'metadata.google.internal'];
+
+// One list per family: a BlockList also matches IPv4 addresses against IPv4-mapped IPv6 rules
+const BLOCKED_IPV4 = new net.BlockList();
+const BLOCKED_IPV6 = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, metadata servers
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3] // multicast and reserved
+]) {
+  BLOCKED_IPV4.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], // unspecified and loopback
+  ['::ffff:0:0', 96], // IPv4-mapped, may carry any of the addresses above
+  ['64:ff9b::', 96], // IPv4/IPv6 translation, likewise
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+]) {
+  BLOCKED_IPV6.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Whether webhooks may not be sent to an IP address
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return BLOCKED_IPV4.check(address, 'ipv4');
+  }
+  if (family === 6) {
+    return BLOCKED_IPV6.check(address, 'ipv6');
+  }
+  return true;
+}
+
+/**
+ * Check a webhook URL without resolving its host name
+ * @param {string} url - Webhook URL
+ * @returns {string|null} Why the URL is not allowed, or null when it is
+ */
+function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'Webhook URL is not a valid URL';
+  }
+  if (parsed.protocol !== 'https:') {
+    return 'Webhook URL must use https';
+  }
+  // IPv6 literals come with brackets
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (BLOCKED_HOSTNAMES.includes(hostname) || hostname.endsWith('.localhost') || hostname.endsWith('.internal')) {
+    return `Webhook host ${hostname} is not allowed`;
+  }
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    return `Webhook address ${hostname} is not allowed`;
+  }
+  return null;
+}
+
+/**
+ * dns.lookup that fails for blocked addresses, for the connections of webhook deliveries
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      const blockedError = new Error(`Webhook host ${hostname} resolves to blocked address ${blocked.address}`);
+      blockedError.code = 'EWEBHOOKBLOCKED';
+      return callback(blockedError);
+    }
+    return callback(null, address, family);
+  });
+}
+
+// Keep-alive is off so every delivery resolves its host name, and is checked, again
+const webhookAgent = new https.Agent({ keepAlive: false, lookup: safeLookup });
+
+module.exports = {
+  isBlockedAddress,
+  validateWebhookUrl,
+  safeLookup,
+  webhookAgent
+};